@@ -0,0 +1,117 @@
+/**
+ * Dynamic Command Builder
+ * Builds SlashCommandBuilder and ContextMenuCommandBuilder definitions from endpoint configuration
+ */
+
+const { SlashCommandBuilder, ContextMenuCommandBuilder, ApplicationCommandType, PermissionFlagsBits } = require('discord.js');
+
+// Maps configured option types to SlashCommandBuilder methods
+const OPTION_BUILDERS = {
+    string: 'addStringOption',
+    integer: 'addIntegerOption',
+    number: 'addNumberOption',
+    boolean: 'addBooleanOption',
+    user: 'addUserOption',
+    channel: 'addChannelOption',
+    role: 'addRoleOption',
+    mentionable: 'addMentionableOption',
+    attachment: 'addAttachmentOption'
+};
+
+/**
+ * Apply an option's configuration to its builder
+ * @param {Object} option - Discord.js option builder
+ * @param {Object} optionConfig - Option configuration from endpoints.json
+ * @returns {Object} The configured option builder
+ */
+function configureOption(option, optionConfig) {
+    option.setName(optionConfig.name)
+        .setDescription(optionConfig.description)
+        .setRequired(optionConfig.required === true);
+
+    if (optionConfig.choices?.length) {
+        option.addChoices(...optionConfig.choices);
+    }
+    if (optionConfig.autocomplete && typeof option.setAutocomplete === 'function') {
+        option.setAutocomplete(true);
+    }
+    if (optionConfig.minValue !== undefined) option.setMinValue(optionConfig.minValue);
+    if (optionConfig.maxValue !== undefined) option.setMaxValue(optionConfig.maxValue);
+    if (optionConfig.minLength !== undefined) option.setMinLength(optionConfig.minLength);
+    if (optionConfig.maxLength !== undefined) option.setMaxLength(optionConfig.maxLength);
+
+    return option;
+}
+
+/**
+ * Resolve permission flag names to a bitfield
+ * @param {string[]} [names] - PermissionFlagsBits names
+ * @returns {bigint|null} Combined permissions, or null when unrestricted
+ * @throws {Error} When a permission name is unknown
+ */
+function resolvePermissions(names) {
+    if (!names?.length) return null;
+
+    return names.reduce((bits, name) => {
+        const flag = PermissionFlagsBits[name];
+        if (flag === undefined) {
+            throw new Error(`Unknown permission: ${name}`);
+        }
+        return bits | flag;
+    }, 0n);
+}
+
+/**
+ * Build the slash command definition for a configured command
+ * @param {string} name - Command name
+ * @param {Object} commandConfig - Command configuration from endpoints.json
+ * @returns {SlashCommandBuilder} The command builder instance
+ */
+function buildDynamicCommand(name, commandConfig) {
+    const builder = new SlashCommandBuilder()
+        .setName(name)
+        .setDescription(commandConfig.description)
+        .setDMPermission(commandConfig.permissions?.dmPermission === true);
+
+    const permissions = resolvePermissions(commandConfig.permissions?.defaultMemberPermissions);
+    if (permissions !== null) {
+        builder.setDefaultMemberPermissions(permissions);
+    }
+
+    // Discord requires required options to precede optional ones
+    const options = [...(commandConfig.options || [])]
+        .sort((a, b) => Number(b.required === true) - Number(a.required === true));
+
+    for (const optionConfig of options) {
+        const method = OPTION_BUILDERS[optionConfig.type || 'string'];
+        builder[method](option => configureOption(option, optionConfig));
+    }
+
+    return builder;
+}
+
+/**
+ * Build the context menu command definition for a configured context menu
+ * @param {Object} menuConfig - Context menu configuration from endpoints.json
+ * @returns {ContextMenuCommandBuilder} The command builder instance
+ */
+function buildContextMenuCommand(menuConfig) {
+    const builder = new ContextMenuCommandBuilder()
+        .setName(menuConfig.name)
+        .setType(menuConfig.type === 'user' ? ApplicationCommandType.User : ApplicationCommandType.Message)
+        .setDMPermission(menuConfig.permissions?.dmPermission === true);
+
+    const permissions = resolvePermissions(menuConfig.permissions?.defaultMemberPermissions);
+    if (permissions !== null) {
+        builder.setDefaultMemberPermissions(permissions);
+    }
+
+    return builder;
+}
+
+module.exports = {
+    buildDynamicCommand,
+    buildContextMenuCommand,
+    resolvePermissions,
+    OPTION_BUILDERS
+};
@@ -0,0 +1,126 @@
+/**
+ * Dynamic Context Menu Executor
+ * Sends the message or user a context menu command was used on to its endpoint
+ */
+
+const { sendToN8n } = require('../../lib/n8n-service');
+const { deliverReply } = require('../../lib/reply-renderer');
+const { formatMessage, formatMessageDetails, formatUser, formatMember } = require('../../lib/formatters');
+const { logger, correlation } = require('../../lib/logging');
+
+/**
+ * Format the target of a context menu interaction
+ * Message targets include attachments, embeds, mentions and replies; user targets include the
+ * guild member when the command was used in a guild
+ * @param {Object} interaction - Discord context menu interaction
+ * @returns {Promise<Object>} Formatted target message or user
+ */
+async function formatTarget(interaction) {
+    if (interaction.isMessageContextMenuCommand()) {
+        const message = interaction.targetMessage;
+        return {
+            ...formatMessage(message),
+            url: message.url,
+            details: formatMessageDetails(message)
+        };
+    }
+
+    const member = interaction.guild ?
+        await interaction.guild.members.fetch(interaction.targetUser.id).catch(() => null) : null;
+
+    return {
+        ...formatUser(interaction.targetUser),
+        bot: interaction.targetUser.bot,
+        member: member ? formatMember(member) : null
+    };
+}
+
+/**
+ * Build the N8N payload for a context menu command
+ * @param {Object} params - Payload parameters
+ * @param {string} params.name - Context menu name
+ * @param {string} params.type - 'message' or 'user'
+ * @param {Object} params.target - Formatted target
+ * @param {Object} params.interaction - Discord interaction object
+ * @returns {Object} Data for N8N processing
+ */
+function buildContextMenuPayload({ name, type, target, interaction }) {
+    const timestamp = Date.now();
+    const random = Math.random().toString(36).substring(2, 8);
+
+    return {
+        command: name,
+        target_type: type,
+        target,
+        timestamp,
+        request_id: `${type}_context_${interaction.guildId || 'dm'}_${interaction.user.id}_${timestamp}_${random}`,
+        user_context: {
+            user_id: interaction.user.id,
+            username: interaction.user.username,
+            guild_id: interaction.guildId,
+            channel_id: interaction.channelId,
+            channel_name: interaction.channel?.name
+        }
+    };
+}
+
+/**
+ * Create the execute handler for a configured context menu
+ * @param {Object} params - Handler parameters
+ * @param {string} params.endpoint - Endpoint the target is sent to
+ * @param {Object} params.menuConfig - Context menu configuration from endpoints.json
+ * @returns {Function} Execute handler receiving the interaction
+ */
+function createContextMenuExecutor({ endpoint, menuConfig }) {
+    const { name, type } = menuConfig;
+    const eventType = `${type}_context_menu`;
+    const ephemeral = menuConfig.ephemeral !== false;
+
+    return async (interaction) => {
+        const correlationId = correlation.getCorrelationId();
+
+        try {
+            await interaction.deferReply({ ephemeral });
+
+            const target = await formatTarget(interaction);
+            logger.info('Processing context menu command', {
+                correlationId,
+                command: name,
+                endpoint,
+                targetId: target.id,
+                userId: interaction.user.id
+            });
+
+            const payload = buildContextMenuPayload({ name, type, target, interaction });
+            const response = await sendToN8n(payload, eventType, {
+                route: endpoint,
+                durable: false,
+                rateLimit: false
+            });
+
+            const replied = await deliverReply(response, { interaction });
+            if (!replied) {
+                await interaction.editReply({ content: `✅ Sent to **${name}**.` });
+            }
+        } catch (error) {
+            logger.error('Error in context menu execution', { correlationId, command: name, endpoint, error });
+
+            const content = `An error occurred while running **${name}**. Please try again later.`;
+            try {
+                if (interaction.deferred) {
+                    await interaction.editReply({ content });
+                } else {
+                    await interaction.reply({ content, ephemeral: true });
+                }
+            } catch (replyError) {
+                logger.error('Failed to send error response in context menu', { correlationId, error: replyError });
+            }
+        }
+    };
+}
+
+module.exports = {
+    createContextMenuExecutor,
+    buildContextMenuPayload,
+    formatTarget
+};
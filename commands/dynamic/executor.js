@@ -0,0 +1,145 @@
+/**
+ * Dynamic Command Executor
+ * Forwards configured slash command options to their endpoint
+ */
+
+const { sendToN8n } = require('../../lib/n8n-service');
+const { deliverReply } = require('../../lib/reply-renderer');
+const { formatUser, formatChannel } = require('../../lib/formatters');
+const { logger, correlation } = require('../../lib/logging');
+
+/**
+ * Convert an option value into a JSON-safe representation
+ * @param {Object} option - Resolved interaction option
+ * @param {string} type - Configured option type
+ * @returns {*} Serialized option value
+ */
+function serializeOptionValue(option, type) {
+    switch (type) {
+        case 'user':
+            return formatUser(option.user);
+        case 'channel':
+            return formatChannel(option.channel);
+        case 'role':
+            return { id: option.role.id, name: option.role.name };
+        case 'mentionable':
+            return option.user ? formatUser(option.user) : { id: option.role.id, name: option.role.name };
+        case 'attachment':
+            return {
+                id: option.attachment.id,
+                name: option.attachment.name,
+                url: option.attachment.url,
+                content_type: option.attachment.contentType,
+                size: option.attachment.size
+            };
+        default:
+            return option.value;
+    }
+}
+
+/**
+ * Collect the configured options supplied with an interaction
+ * @param {Object} interaction - Discord interaction object
+ * @param {Object[]} optionConfigs - Option configuration from endpoints.json
+ * @returns {Object} Option values keyed by option name
+ */
+function collectOptions(interaction, optionConfigs = []) {
+    const options = {};
+
+    for (const { name, type = 'string' } of optionConfigs) {
+        const option = interaction.options.get(name);
+        if (option) {
+            options[name] = serializeOptionValue(option, type);
+        }
+    }
+
+    return options;
+}
+
+/**
+ * Build the N8N payload for a dynamic command
+ * @param {Object} params - Payload parameters
+ * @param {string} params.name - Command name
+ * @param {Object} params.options - Collected option values
+ * @param {Object} params.interaction - Discord interaction object
+ * @returns {Object} Data for N8N processing
+ */
+function buildCommandPayload({ name, options, interaction }) {
+    const timestamp = Date.now();
+    const random = Math.random().toString(36).substring(2, 8);
+
+    return {
+        command: name,
+        options,
+        timestamp,
+        request_id: `${name}_${interaction.guildId || 'dm'}_${interaction.user.id}_${timestamp}_${random}`,
+        user_context: {
+            user_id: interaction.user.id,
+            username: interaction.user.username,
+            guild_id: interaction.guildId,
+            channel_id: interaction.channelId,
+            channel_name: interaction.channel?.name
+        }
+    };
+}
+
+/**
+ * Create the execute handler for a configured command
+ * @param {Object} params - Handler parameters
+ * @param {string} params.name - Command name
+ * @param {string} params.endpoint - Endpoint the command forwards to
+ * @param {Object} params.commandConfig - Command configuration from endpoints.json
+ * @returns {Function} Execute handler receiving the interaction
+ */
+function createDynamicExecutor({ name, endpoint, commandConfig }) {
+    const ephemeral = commandConfig.ephemeral !== false;
+
+    return async (interaction) => {
+        const correlationId = correlation.getCorrelationId();
+
+        try {
+            await interaction.deferReply({ ephemeral });
+
+            const options = collectOptions(interaction, commandConfig.options);
+            logger.info('Processing dynamic command', {
+                correlationId,
+                command: name,
+                endpoint,
+                optionNames: Object.keys(options),
+                userId: interaction.user.id
+            });
+
+            const payload = buildCommandPayload({ name, options, interaction });
+            const response = await sendToN8n(payload, endpoint, {
+                durable: false,
+                rateLimit: false,
+                schemaType: 'command'
+            });
+
+            const replied = await deliverReply(response, { interaction });
+            if (!replied) {
+                await interaction.editReply({ content: `✅ Your \`/${name}\` request was submitted.` });
+            }
+        } catch (error) {
+            logger.error('Error in dynamic command execution', { correlationId, command: name, endpoint, error });
+
+            const content = `An error occurred while processing your \`/${name}\` request. Please try again later.`;
+            try {
+                if (interaction.deferred) {
+                    await interaction.editReply({ content });
+                } else {
+                    await interaction.reply({ content, ephemeral: true });
+                }
+            } catch (replyError) {
+                logger.error('Failed to send error response in dynamic command', { correlationId, error: replyError });
+            }
+        }
+    };
+}
+
+module.exports = {
+    createDynamicExecutor,
+    collectOptions,
+    buildCommandPayload,
+    serializeOptionValue
+};
@@ -0,0 +1,107 @@
+/**
+ * Dynamic Commands
+ * Creates slash commands for endpoints that declare a `command` block in endpoints.json,
+ * and message or user context menu commands for endpoints that declare `contextMenus`
+ */
+
+const configManager = require('../../config');
+const { logger } = require('../../lib/logging');
+const { buildDynamicCommand, buildContextMenuCommand } = require('./builder');
+const { createDynamicExecutor } = require('./executor');
+const { createContextMenuExecutor } = require('./context-menu');
+const { fetchRemoteSuggestions } = require('../../lib/interactions/autocomplete');
+
+const COMMAND_NAME_PATTERN = /^[a-z0-9_-]{1,32}$/;
+
+/**
+ * Build the slash command object for an endpoint's command block
+ * @param {string} endpoint - Endpoint name
+ * @param {Object} commandConfig - Command configuration from endpoints.json
+ * @param {Set<string>} taken - Names already taken, extended with the new command
+ * @returns {Object|null} Command object, or null when the command is skipped
+ */
+function loadSlashCommand(endpoint, commandConfig, taken) {
+    const name = commandConfig.name || endpoint;
+    if (!COMMAND_NAME_PATTERN.test(name)) {
+        logger.warn('Skipping dynamic command with invalid name', { endpoint, name });
+        return null;
+    }
+    if (taken.has(name)) {
+        logger.warn('Skipping dynamic command that conflicts with an existing command', { endpoint, name });
+        return null;
+    }
+
+    try {
+        const command = {
+            data: buildDynamicCommand(name, commandConfig),
+            execute: createDynamicExecutor({ name, endpoint, commandConfig }),
+            autocomplete: commandConfig.options?.some(option => option.autocomplete) ? fetchRemoteSuggestions : undefined,
+            endpoint
+        };
+        taken.add(name);
+        return command;
+    } catch (error) {
+        logger.warn('Skipping dynamic command with invalid definition', { endpoint, name, error: error.message });
+        return null;
+    }
+}
+
+/**
+ * Build the context menu command objects for an endpoint's contextMenus
+ * @param {string} endpoint - Endpoint name
+ * @param {Object[]} menuConfigs - Context menu configurations from endpoints.json
+ * @param {Set<string>} taken - Names already taken, extended with the new commands
+ * @returns {Object[]} Command objects
+ */
+function loadContextMenus(endpoint, menuConfigs, taken) {
+    const commands = [];
+
+    for (const menuConfig of menuConfigs) {
+        const { name } = menuConfig;
+        if (taken.has(name)) {
+            logger.warn('Skipping context menu that conflicts with an existing command', { endpoint, name });
+            continue;
+        }
+
+        try {
+            commands.push({
+                data: buildContextMenuCommand(menuConfig),
+                execute: createContextMenuExecutor({ endpoint, menuConfig }),
+                endpoint
+            });
+            taken.add(name);
+        } catch (error) {
+            logger.warn('Skipping context menu with invalid definition', { endpoint, name, error: error.message });
+        }
+    }
+
+    return commands;
+}
+
+/**
+ * Load command objects for every enabled endpoint with a command block or context menus
+ * @param {Object} [options] - Loading options
+ * @param {string[]} [options.reservedNames=[]] - Names already taken by static commands
+ * @returns {Object[]} Command objects with data, execute and endpoint
+ */
+function loadDynamicCommands({ reservedNames = [] } = {}) {
+    const taken = new Set(reservedNames);
+    const commands = [];
+
+    for (const [endpoint, endpointConfig] of Object.entries(configManager.getAllEndpoints())) {
+        if (endpointConfig.enabled === false) continue;
+
+        if (endpointConfig.command) {
+            const command = loadSlashCommand(endpoint, endpointConfig.command, taken);
+            if (command) commands.push(command);
+        }
+
+        commands.push(...loadContextMenus(endpoint, endpointConfig.contextMenus || [], taken));
+    }
+
+    return commands;
+}
+
+module.exports = {
+    loadDynamicCommands
+};
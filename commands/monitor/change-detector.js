@@ -0,0 +1,222 @@
+/**
+ * Monitor Change Detector
+ * Hashes the structured output of monitor runs and reports field-level changes as an embed
+ */
+
+const crypto = require('crypto');
+const { formatErrorMessage } = require('../scrape/formatters');
+const { extractDomain } = require('../scrape/utils');
+
+// Snapshots larger than this are stored as a hash only, so their changes cannot be itemized
+const MAX_SNAPSHOT_LENGTH = 50000;
+// Discord allows 25 fields and 6000 characters per embed
+const MAX_DIFF_FIELDS = 10;
+const MAX_VALUE_LENGTH = 300;
+const CHANGE_COLOR = 0xf1c40f;
+// Fields tried in order to match array items between runs
+const STABLE_ITEM_KEYS = ['id', 'url', 'link', 'name', 'title'];
+
+/**
+ * Take the structured output from a workflow response
+ * Callback-style responses carry it in `result`; a `reply` meant for Discord is not part of it.
+ * @param {*} data - Webhook response data
+ * @returns {*} Structured output
+ */
+function extractSnapshot(data) {
+    if (!data || typeof data !== 'object' || Array.isArray(data)) return data ?? null;
+    if ('result' in data) return data.result;
+
+    const { reply, ...snapshot } = data;
+    return snapshot;
+}
+
+/**
+ * Serialize a value with object keys sorted, so key order does not count as a change
+ * @param {*} value - Value
+ * @returns {string} Canonical JSON
+ */
+function canonicalJson(value) {
+    if (Array.isArray(value)) return `[${value.map(canonicalJson).join(',')}]`;
+    if (value && typeof value === 'object') {
+        return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`).join(',')}}`;
+    }
+    return JSON.stringify(value ?? null);
+}
+
+/**
+ * Hash a snapshot
+ * @param {*} snapshot - Structured output
+ * @returns {string} Hex SHA-256 of the canonical JSON
+ */
+const hashSnapshot = (snapshot) => crypto.createHash('sha256').update(canonicalJson(snapshot)).digest('hex');
+
+/**
+ * Pick the field that identifies every item of an array, such as `id` or `url`
+ * @param {Array} items - Array items
+ * @returns {string|null} Field holding a unique string or number in every item, or null
+ */
+function findItemKey(items) {
+    return STABLE_ITEM_KEYS.find(field =>
+        items.every(item => item && typeof item === 'object' && ['string', 'number'].includes(typeof item[field])) &&
+        new Set(items.map(item => item[field])).size === items.length) || null;
+}
+
+/**
+ * Flatten a value into leaves keyed by a position-independent identity
+ * Array items are matched by their stable key field (`stories[id=42].title`) and recorded as `item` entries
+ * too; items without one are compared whole by content (`tags[]`), so an insertion or removal does not shift
+ * the items after it.
+ * @param {*} value - Value
+ * @param {string} [identity=''] - Identity of the value
+ * @param {string} [path=''] - Path of the value shown to users
+ * @param {Map} [leaves=new Map()] - Collected leaves
+ * @returns {Map<string, Object>} `{ path, value, item? }` by identity
+ */
+function flatten(value, identity = '', path = '', leaves = new Map()) {
+    const isContainer = value && typeof value === 'object';
+    if (!isContainer || Object.keys(value).length === 0) {
+        leaves.set(identity, { path, value });
+    } else if (Array.isArray(value)) {
+        const key = findItemKey(value);
+        const occurrences = new Map();
+        for (const item of value) {
+            if (key) {
+                const selector = `[${key}=${JSON.stringify(item[key])}]`;
+                leaves.set(`${identity}${selector}`, { path: `${path}${selector}`, value: item, item: true });
+                flatten(item, `${identity}${selector}`, `${path}${selector}`, leaves);
+            } else {
+                const content = canonicalJson(item);
+                const occurrence = (occurrences.get(content) || 0) + 1;
+                occurrences.set(content, occurrence);
+                leaves.set(`${identity}[${content}#${occurrence}]`, { path: `${path}[]`, value: item });
+            }
+        }
+    } else {
+        Object.keys(value).forEach(field =>
+            flatten(value[field], `${identity}.${field}`, path ? `${path}.${field}` : field, leaves));
+    }
+    return leaves;
+}
+
+/**
+ * List the fields that differ between two snapshots
+ * Keyed array items that were inserted or removed are listed once as a whole rather than field by field.
+ * @param {*} before - Previous snapshot
+ * @param {*} after - Current snapshot
+ * @returns {Object[]} `{ path, type, before, after }` with type 'added', 'removed' or 'changed'
+ */
+function diffSnapshots(before, after) {
+    const previous = flatten(before);
+    const current = flatten(after);
+    const changes = [];
+    const reported = [];
+    const isReported = (identity) => reported.some(item => identity.startsWith(item));
+
+    for (const [identity, { path, value, item }] of current) {
+        const old = previous.get(identity);
+        if (isReported(identity)) continue;
+        if (!old) {
+            changes.push({ path, type: 'added', after: value });
+            if (item) reported.push(identity);
+        } else if (!item && canonicalJson(old.value) !== canonicalJson(value)) {
+            changes.push({ path, type: 'changed', before: old.value, after: value });
+        }
+    }
+    for (const [identity, { path, value, item }] of previous) {
+        if (current.has(identity) || isReported(identity)) continue;
+        changes.push({ path, type: 'removed', before: value });
+        if (item) reported.push(identity);
+    }
+
+    return changes;
+}
+
+/**
+ * Format a changed value for an embed field
+ * @param {*} value - Value
+ * @returns {string} Inline code
+ */
+function formatValue(value) {
+    const text = JSON.stringify(value ?? null).replace(/`/g, "'");
+    return `\`${text.length > MAX_VALUE_LENGTH ? `${text.substring(0, MAX_VALUE_LENGTH)}…` : text}\``;
+}
+
+/**
+ * Build the embed announcing a change
+ * @param {Object} schedule - Monitor schedule record
+ * @param {Object[]|null} changes - Field changes, or null when the snapshot was too large to compare
+ * @param {string} requestId - Request ID of the run that saw the change
+ * @returns {Object} Raw Discord embed
+ */
+function buildChangeEmbed(schedule, changes, requestId) {
+    const labels = { added: '➕ Added', removed: '➖ Removed', changed: '✏️ Changed' };
+    const fields = (changes || []).slice(0, MAX_DIFF_FIELDS).map(change => ({
+        name: `${labels[change.type]}: ${change.path || '(whole result)'}`.substring(0, 256),
+        value: change.type === 'added' ? formatValue(change.after) :
+            change.type === 'removed' ? `~~${formatValue(change.before)}~~` :
+                `${formatValue(change.before)} → ${formatValue(change.after)}`
+    }));
+    const hidden = changes ? changes.length - fields.length : 0;
+
+    return {
+        title: `🔔 ${schedule.name} changed`.substring(0, 256),
+        url: schedule.url,
+        color: CHANGE_COLOR,
+        description: changes ?
+            `${changes.length} field(s) changed on ${extractDomain(schedule.url)}${hidden ? ` (${hidden} not shown)` : ''}.` :
+            `The result from ${extractDomain(schedule.url)} changed; it is too large to list the fields.`,
+        fields,
+        footer: { text: `Request ${requestId}` },
+        timestamp: new Date().toISOString()
+    };
+}
+
+/**
+ * Compare a monitor run with the previous one and post to the channel when it changed
+ * The first successful run stores a baseline silently; failures are posted once until a run succeeds again.
+ * @param {Object} schedule - Monitor schedule record
+ * @param {Object} run - Run outcome
+ * @param {Object} run.channel - Channel the monitor posts to
+ * @param {string} run.status - Job state of the run
+ * @param {Object} run.response - Response returned by sendToN8n
+ * @param {string} run.requestId - Request ID of the run
+ * @returns {Promise<Object>} Schedule fields to store
+ */
+async function reportMonitorRun(schedule, { channel, status, response, requestId }) {
+    if (status !== 'completed') {
+        if (status === 'failed' && schedule.last_status !== 'failed') {
+            const error = response?.error?.message || 'The scrape failed';
+            await channel.send({
+                content: `📡 **Monitor:** ${schedule.name}\n${formatErrorMessage({ error, url: schedule.url })}`,
+                allowedMentions: { parse: [] }
+            });
+        }
+        return {};
+    }
+
+    const snapshot = extractSnapshot(response.data);
+    const hash = hashSnapshot(snapshot);
+    if (hash === schedule.last_hash) return {};
+
+    const tooLarge = canonicalJson(snapshot).length > MAX_SNAPSHOT_LENGTH;
+    if (schedule.last_hash) {
+        // A stored null snapshot whose hash is not that of null was too large to keep
+        const previousKept = schedule.last_snapshot !== null || schedule.last_hash === hashSnapshot(null);
+        const changes = previousKept && !tooLarge ? diffSnapshots(schedule.last_snapshot, snapshot) : null;
+        await channel.send({ embeds: [buildChangeEmbed(schedule, changes, requestId)], allowedMentions: { parse: [] } });
+    }
+
+    return {
+        last_hash: hash,
+        last_snapshot: tooLarge ? null : snapshot,
+        last_changed_at: schedule.last_hash ? Date.now() : null
+    };
+}
+
+module.exports = {
+    extractSnapshot,
+    hashSnapshot,
+    diffSnapshots,
+    buildChangeEmbed,
+    reportMonitorRun
+};
@@ -0,0 +1,59 @@
+/**
+ * Monitor Command Main Handler
+ * Re-scrapes pages on a schedule and posts to a channel only when their structured output changes
+ */
+
+const { SlashCommandBuilder, PermissionFlagsBits } = require('discord.js');
+const { addNameOption, addScheduleOptions } = require('../scrape/builder');
+const { executeScheduleCommand } = require('../scrape/schedules');
+const { autocompleteScrape } = require('../scrape/autocomplete');
+
+/**
+ * Main monitor command execution handler
+ * Monitors are stored and run as schedules of the 'monitor' kind
+ * @param {Object} interaction - Discord interaction object
+ * @returns {Promise<void>} Promise that resolves when command is handled
+ */
+async function executeMonitorCommand(interaction) {
+    await executeScheduleCommand(interaction, 'monitor');
+}
+
+/**
+ * Build the slash command definition
+ * @returns {SlashCommandBuilder} The command builder instance
+ */
+function buildMonitorCommand() {
+    return new SlashCommandBuilder()
+        .setName('monitor')
+        .setDescription('Watch a page and get notified when the scraped data changes')
+        .setDefaultMemberPermissions(PermissionFlagsBits.ManageGuild)
+        .addSubcommand(subcommand => addScheduleOptions(subcommand
+            .setName('add')
+            .setDescription('Re-scrape a URL on a schedule and post field-level changes')))
+        .addSubcommand(subcommand => subcommand
+            .setName('list')
+            .setDescription('List the monitors in this server'))
+        .addSubcommand(subcommand => addNameOption(subcommand)
+            .setName('pause')
+            .setDescription('Pause a monitor'))
+        .addSubcommand(subcommand => addNameOption(subcommand)
+            .setName('resume')
+            .setDescription('Resume a paused monitor'))
+        .addSubcommand(subcommand => addNameOption(subcommand)
+            .setName('remove')
+            .setDescription('Remove a monitor'));
+}
+
+// Export the command object; monitor runs are sent to, and rate limited against, the monitor endpoint
+const monitorCommand = {
+    data: buildMonitorCommand(),
+    execute: executeMonitorCommand,
+    autocomplete: autocompleteScrape,
+    endpoint: 'monitor'
+};
+
+module.exports = {
+    monitorCommand,
+    executeMonitorCommand,
+    buildMonitorCommand
+};
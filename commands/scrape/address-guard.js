@@ -0,0 +1,87 @@
+/**
+ * Address Guard
+ * Keeps requests the bot itself makes for a user, such as sitemap fetches, off private and local networks
+ */
+
+const dns = require('dns');
+const net = require('net');
+const http = require('http');
+const https = require('https');
+
+// Ranges that are not on the public internet: unspecified, private, carrier-grade NAT, loopback,
+// link-local, benchmarking, multicast and reserved addresses
+const BLOCKED_SUBNETS = [
+    ['0.0.0.0', 8, 'ipv4'],
+    ['10.0.0.0', 8, 'ipv4'],
+    ['100.64.0.0', 10, 'ipv4'],
+    ['127.0.0.0', 8, 'ipv4'],
+    ['169.254.0.0', 16, 'ipv4'],
+    ['172.16.0.0', 12, 'ipv4'],
+    ['192.0.0.0', 24, 'ipv4'],
+    ['192.168.0.0', 16, 'ipv4'],
+    ['198.18.0.0', 15, 'ipv4'],
+    ['224.0.0.0', 4, 'ipv4'],
+    ['240.0.0.0', 4, 'ipv4'],
+    ['::', 128, 'ipv6'],
+    ['::1', 128, 'ipv6'],
+    ['fc00::', 7, 'ipv6'],
+    ['fe80::', 10, 'ipv6'],
+    ['ff00::', 8, 'ipv6']
+];
+
+const blockedAddresses = new net.BlockList();
+BLOCKED_SUBNETS.forEach(([address, prefix, type]) => blockedAddresses.addSubnet(address, prefix, type));
+
+/**
+ * Check whether an IP address is outside the public internet
+ * IPv4-mapped IPv6 addresses are checked against the IPv4 ranges.
+ * @param {string} address - IPv4 or IPv6 address
+ * @returns {boolean} True when requests to the address must be refused
+ */
+const isBlockedAddress = (address) => blockedAddresses.check(address, net.isIPv6(address) ? 'ipv6' : 'ipv4');
+
+/**
+ * Resolve a hostname like `dns.lookup`, failing when any address it resolves to is blocked
+ * Used as the connection lookup, so the checked address is the one connected to even if DNS changes.
+ * @param {string} hostname - Hostname to resolve
+ * @param {Object} options - `dns.lookup` options
+ * @param {Function} callback - `dns.lookup` callback
+ */
+function guardedLookup(hostname, options, callback) {
+    dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+        if (error) return callback(error);
+
+        if (addresses.some(({ address }) => isBlockedAddress(address))) {
+            const blocked = new Error(`${hostname} resolves to a private or local network address`);
+            blocked.code = 'EADDRBLOCKED';
+            return callback(blocked);
+        }
+        return options.all ? callback(null, addresses) : callback(null, addresses[0].address, addresses[0].family);
+    });
+}
+
+const guardedAgents = {
+    httpAgent: new http.Agent({ lookup: guardedLookup }),
+    httpsAgent: new https.Agent({ lookup: guardedLookup })
+};
+
+/**
+ * Get axios options for a request that must only reach public addresses
+ * IP literals are checked here, as connecting to them skips the lookup; redirects are not followed.
+ * @param {string} url - Request URL
+ * @returns {Object} axios request options
+ * @throws {Error} When the URL's host is a blocked IP address
+ */
+function publicRequestOptions(url) {
+    const hostname = new URL(url).hostname.replace(/^\[|\]$/g, '');
+    if (net.isIP(hostname) && isBlockedAddress(hostname)) {
+        throw new Error(`${hostname} is a private or local network address`);
+    }
+
+    return { ...guardedAgents, maxRedirects: 0 };
+}
+
+module.exports = {
+    isBlockedAddress,
+    publicRequestOptions
+};
@@ -0,0 +1,110 @@
+/**
+ * Scrape Command Autocomplete
+ * Suggests the user's recent URLs and output schemas, common schema presets, saved templates, jobs, schedules
+ * and monitors
+ */
+
+const { recentValues } = require('../../lib/interactions/recent-values');
+const { templateStore } = require('./template-store');
+const { scheduleStore } = require('./schedule-store');
+const { scrapeJobs } = require('../../lib/job-registry');
+const { extractDomain } = require('./utils');
+
+// Presets short enough to fit Discord's 100 character choice value limit
+const SCHEMA_PRESETS = [
+    { name: 'Title and date', value: '{"title": "string", "date": "string"}' },
+    { name: 'Stories with points', value: '{"stories": [{"title": "string", "points": "number"}]}' },
+    { name: 'Products with prices', value: '{"products": [{"name": "string", "price": "number"}]}' },
+    { name: 'Links', value: '{"links": [{"text": "string", "url": "string"}]}' },
+    { name: 'Article', value: '{"title": "string", "author": "string", "summary": "string"}' }
+];
+
+/**
+ * Remember the values of a submitted scrape request for later suggestions
+ * @param {string} userId - Discord user ID
+ * @param {Object} input - Submitted input
+ * @param {string} input.url - Scraped URL
+ * @param {string} input.extractionRequest - Extraction request
+ * @param {string} input.outputSchema - Output schema JSON
+ */
+function rememberScrapeInput(userId, { url, extractionRequest, outputSchema }) {
+    recentValues.remember(userId, 'scrape:url', url);
+    recentValues.remember(userId, 'scrape:extraction_request', extractionRequest);
+    recentValues.remember(userId, 'scrape:output_schema', outputSchema);
+}
+
+/**
+ * Get the values of the user's last scrape request
+ * Every request remembers all three values, so the newest of each belongs to the same request
+ * @param {string} userId - Discord user ID
+ * @returns {Object} `{ url, extractionRequest, outputSchema }`, each null when unknown
+ */
+function getLastScrapeInput(userId) {
+    return {
+        url: recentValues.list(userId, 'scrape:url')[0] || null,
+        extractionRequest: recentValues.list(userId, 'scrape:extraction_request')[0] || null,
+        outputSchema: recentValues.list(userId, 'scrape:output_schema')[0] || null
+    };
+}
+
+/**
+ * Suggest values for the focused scrape option
+ * @param {Object} interaction - Discord autocomplete interaction
+ * @returns {Promise<Array<Object>>} Suggested choices
+ */
+async function autocompleteScrape(interaction) {
+    const focused = interaction.options.getFocused(true);
+    const query = focused.value.trim().toLowerCase();
+    const matches = (text) => text.toLowerCase().includes(query);
+
+    // /monitor shares the schedule options, storing its monitors as schedules of the 'monitor' kind
+    const scheduleKind = interaction.commandName === 'monitor' ? 'monitor' :
+        interaction.options.getSubcommandGroup(false) === 'schedule' ? 'scrape' : null;
+    if (focused.name === 'name' && scheduleKind) {
+        const schedules = await scheduleStore.list(interaction.guildId, scheduleKind);
+        return schedules
+            .filter(schedule => matches(schedule.name))
+            .map(schedule => ({ name: `${schedule.paused ? 'paused' : 'active'} · ${schedule.name} — ${schedule.url}`, value: schedule.name }));
+    }
+
+    if (focused.name === 'name') {
+        const templates = await templateStore.list({ userId: interaction.user.id, guildId: interaction.guildId });
+        return templates
+            .filter(template => matches(template.name))
+            .map(template => ({ name: `${template.name} — ${template.url_pattern}`, value: template.name }));
+    }
+
+    if (focused.name === 'id') {
+        // Only unfinished jobs can be cancelled
+        const active = interaction.options.getSubcommand(false) === 'cancel';
+        return scrapeJobs.listForUser(interaction.user.id, { active })
+            .filter(job => matches(job.requestId) || matches(job.url))
+            .map(job => ({ name: `${job.state} · ${extractDomain(job.url)} · ${job.requestId}`, value: job.requestId }));
+    }
+
+    if (focused.name === 'url' || focused.name === 'url_pattern') {
+        return recentValues.list(interaction.user.id, 'scrape:url')
+            .filter(matches)
+            .map(url => ({ name: url, value: url }));
+    }
+
+    if (focused.name === 'output_schema') {
+        const recent = recentValues.list(interaction.user.id, 'scrape:output_schema')
+            .map(schema => ({ name: `Recent: ${schema}`, value: schema }));
+        const presets = SCHEMA_PRESETS.map(preset => ({ name: `${preset.name}: ${preset.value}`, value: preset.value }));
+
+        // Suggestions are optional; Discord still submits whatever the user typed
+        return [...recent, ...presets]
+            .filter(choice => matches(choice.name))
+            .filter((choice, index, choices) => choices.findIndex(other => other.value === choice.value) === index);
+    }
+
+    return [];
+}
+
+module.exports = {
+    SCHEMA_PRESETS,
+    autocompleteScrape,
+    rememberScrapeInput,
+    getLastScrapeInput
+};
@@ -0,0 +1,127 @@
+/**
+ * Scrape Batch Sources
+ * Collects the URLs of a batch from the urls option, a text attachment and a sitemap
+ */
+
+const axios = require('axios');
+const { validateUrl } = require('./validator');
+const { publicRequestOptions } = require('./address-guard');
+
+const MAX_BATCH_URLS = 25;
+const MAX_ATTACHMENT_BYTES = 100 * 1024;
+const MAX_SITEMAP_BYTES = 5 * 1024 * 1024;
+const FETCH_TIMEOUT_MS = 10000;
+
+/**
+ * Fetch a text document, reporting failures in terms of the batch source
+ * @param {string} url - Document URL
+ * @param {number} maxBytes - Largest accepted response
+ * @param {string} source - Source name used in error messages
+ * @param {Object} [requestOptions={}] - Extra axios options
+ * @returns {Promise<string>} Document text
+ * @throws {Error} When the document cannot be fetched
+ */
+async function fetchText(url, maxBytes, source, requestOptions = {}) {
+    try {
+        const response = await axios.get(url, {
+            ...requestOptions,
+            responseType: 'text',
+            timeout: FETCH_TIMEOUT_MS,
+            maxContentLength: maxBytes
+        });
+        return String(response.data);
+    } catch (error) {
+        throw new Error(`Could not read the ${source}: ${error.message}`);
+    }
+}
+
+/**
+ * Split free text into URL candidates separated by whitespace or commas
+ * @param {string} text - Text holding URLs
+ * @returns {string[]} URL candidates
+ */
+const splitUrls = (text = '') => text.split(/[\s,]+/).map(url => url.trim()).filter(Boolean);
+
+/**
+ * Read the URLs listed in a text attachment, one or more per line
+ * @param {Object} attachment - Discord attachment
+ * @returns {Promise<string[]>} URL candidates
+ * @throws {Error} When the attachment is not a small text file
+ */
+async function readAttachmentUrls(attachment) {
+    if (attachment.contentType && !attachment.contentType.startsWith('text/')) {
+        throw new Error('The attachment must be a text file with one URL per line.');
+    }
+    if (attachment.size > MAX_ATTACHMENT_BYTES) {
+        throw new Error(`The attachment must be smaller than ${MAX_ATTACHMENT_BYTES / 1024}KB.`);
+    }
+
+    return splitUrls(await fetchText(attachment.url, MAX_ATTACHMENT_BYTES, 'attachment'));
+}
+
+/**
+ * Read the page URLs listed in a sitemap
+ * Sitemap indexes and redirects are not followed, and sitemaps on private or local networks are refused
+ * @param {string} sitemapUrl - Sitemap URL
+ * @returns {Promise<string[]>} URL candidates
+ * @throws {Error} When the sitemap URL is not allowed or the sitemap cannot be read
+ */
+async function readSitemapUrls(sitemapUrl) {
+    const urlValidation = validateUrl(sitemapUrl);
+    if (!urlValidation.isValid) {
+        throw new Error(`Sitemap: ${urlValidation.error}`);
+    }
+
+    const sitemap = await fetchText(sitemapUrl, MAX_SITEMAP_BYTES, 'sitemap', publicRequestOptions(sitemapUrl));
+    if (/<sitemapindex[\s>]/i.test(sitemap)) {
+        throw new Error('That is a sitemap index; use one of the sitemaps it lists.');
+    }
+
+    return [...sitemap.matchAll(/<loc>\s*([^<]+?)\s*<\/loc>/gi)]
+        .map(match => match[1].replace(/&amp;/g, '&'));
+}
+
+/**
+ * Collect, deduplicate and validate the URLs of a batch
+ * URLs that fail validation are reported instead of failing the batch
+ * @param {Object} sources - Batch sources
+ * @param {string} [sources.urls] - URLs separated by whitespace or commas
+ * @param {Object} [sources.attachment] - Text attachment with URLs
+ * @param {string} [sources.sitemap] - Sitemap URL
+ * @returns {Promise<Object>} `{ urls, rejected, truncated }`, rejected as `{ url, error }`
+ * @throws {Error} When no source was given or a source cannot be read
+ */
+async function collectBatchUrls({ urls, attachment, sitemap }) {
+    if (!urls && !attachment && !sitemap) {
+        throw new Error('Provide `urls`, a `file` with one URL per line, or a `sitemap`.');
+    }
+
+    const candidates = [
+        ...splitUrls(urls),
+        ...(attachment ? await readAttachmentUrls(attachment) : []),
+        ...(sitemap ? await readSitemapUrls(sitemap) : [])
+    ];
+
+    const accepted = [];
+    const rejected = [];
+    for (const url of new Set(candidates)) {
+        const urlValidation = validateUrl(url);
+        if (urlValidation.isValid) {
+            accepted.push(url);
+        } else {
+            rejected.push({ url, error: urlValidation.error });
+        }
+    }
+
+    return {
+        urls: accepted.slice(0, MAX_BATCH_URLS),
+        rejected,
+        truncated: Math.max(accepted.length - MAX_BATCH_URLS, 0)
+    };
+}
+
+module.exports = {
+    MAX_BATCH_URLS,
+    collectBatchUrls,
+    splitUrls
+};
@@ -0,0 +1,218 @@
+/**
+ * Scrape Batch Mode
+ * Fans a shared extraction request out to many URLs with bounded concurrency and combines the results
+ */
+
+const { AttachmentBuilder } = require('discord.js');
+const ConcurrentRequestManager = require('../../services/concurrentRequestManager');
+const { serviceManager } = require('../../services');
+const { sendToN8n } = require('../../lib/n8n-service');
+const { logger, correlation } = require('../../lib/logging');
+const { validateScrapeInput } = require('./validator');
+const { transformScrapeData } = require('./transformer');
+const { formatBatchProgress, formatBatchResult, formatBatchRateLimit } = require('./formatters');
+const { collectBatchUrls } = require('./batch-sources');
+const { handleCommandError } = require('./run');
+const { scrapeJobs } = require('../../lib/job-registry');
+
+// Requests of one batch in flight at once; the rest wait in the batch's queue
+const BATCH_CONCURRENCY = 3;
+// URLs not started this long after the command are skipped, so the requests still in flight finish and the
+// result is posted before the interaction token expires after 15 minutes
+const BATCH_START_DEADLINE_MS = 10 * 60 * 1000;
+// Minimum time between progress message edits
+const PROGRESS_INTERVAL_MS = 2000;
+
+/**
+ * Generate a batch identifier
+ * @param {Object} interaction - Discord interaction object
+ * @returns {string} Batch identifier
+ */
+function generateBatchId(interaction) {
+    const random = Math.random().toString(36).substring(2, 8);
+    return `batch_${interaction.guildId || 'dm'}_${interaction.user.id}_${Date.now()}_${random}`;
+}
+
+/**
+ * Send one URL of a batch to N8N unless its job was cancelled while queued or the batch ran out of time
+ * @param {string} url - URL as given by the user
+ * @param {Object} scrapeData - Transformed request
+ * @param {number} deadline - Time in milliseconds after which the URL is not started
+ * @returns {Promise<Object>} `{ url, request_id, status, data?, error? }`
+ */
+async function scrapeBatchUrl(url, scrapeData, deadline) {
+    const requestId = scrapeData.request_id;
+    if (scrapeJobs.get(requestId)?.state === 'cancelled') {
+        return { url, request_id: requestId, status: 'cancelled' };
+    }
+    if (Date.now() >= deadline) {
+        const error = 'Not started before the batch time limit';
+        scrapeJobs.transition(requestId, 'cancelled', { error });
+        return { url, request_id: requestId, status: 'cancelled', error };
+    }
+
+    // sendToN8n throws on unsuccessful responses
+    let result;
+    try {
+        scrapeJobs.transition(requestId, 'sent');
+        const response = await sendToN8n(scrapeData, 'scrape_command', {
+            durable: false,
+            rateLimit: false,
+            priority: scrapeData.processing_hints.priority
+        });
+        result = { url, request_id: requestId, status: 'completed', data: response.data ?? null };
+    } catch (error) {
+        result = { url, request_id: requestId, status: 'failed', error: error.message };
+    }
+
+    // A job cancelled while in flight stays cancelled
+    const job = scrapeJobs.transition(requestId, result.status, { error: result.error });
+    return { ...result, status: job?.state || result.status };
+}
+
+/**
+ * Run /scrape batch
+ * @param {Object} interaction - Discord interaction object
+ * @returns {Promise<void>} Promise that resolves when every URL finished
+ */
+async function executeScrapeBatch(interaction) {
+    const correlationId = correlation.getCorrelationId();
+
+    try {
+        const extractionRequest = interaction.options.getString('extraction_request');
+        const outputSchema = interaction.options.getString('output_schema');
+
+        // Reading an attachment or sitemap can outlast the interaction deadline
+        await interaction.deferReply({ ephemeral: true });
+
+        let batch;
+        try {
+            batch = await collectBatchUrls({
+                urls: interaction.options.getString('urls'),
+                attachment: interaction.options.getAttachment('file'),
+                sitemap: interaction.options.getString('sitemap')
+            });
+        } catch (error) {
+            await interaction.editReply({ content: `🚫 ${error.message}` });
+            return;
+        }
+
+        const { urls, rejected, truncated } = batch;
+        if (urls.length === 0) {
+            await interaction.editReply({ content: `🚫 No valid URLs to scrape${rejected.length ? ` (${rejected.length} rejected)` : ''}.` });
+            return;
+        }
+
+        const validationResult = validateScrapeInput({ url: urls[0], extractionRequest, outputSchema });
+        if (!validationResult.isValid) {
+            await interaction.editReply({ content: validationResult.error });
+            return;
+        }
+
+        // The command counted one request against its endpoint; the rest of the batch is reserved up front
+        // against the same endpoint so it is not cut short
+        const command = interaction.client.commands.get(interaction.commandName);
+        const limit = serviceManager.getRateLimiter()?.consume({
+            route: command?.endpoint || interaction.commandName,
+            userId: interaction.user.id,
+            guildId: interaction.guildId,
+            cost: urls.length - 1
+        });
+        if (limit && !limit.allowed) {
+            await interaction.editReply({ content: formatBatchRateLimit(urls.length, limit) });
+            return;
+        }
+
+        const batchId = generateBatchId(interaction);
+        logger.info('Processing scrape batch', {
+            correlationId,
+            batchId,
+            urls: urls.length,
+            rejected: rejected.length,
+            userId: interaction.user.id
+        });
+
+        const results = await runBatch({ interaction, batchId, urls, extractionRequest, outputSchema });
+
+        const file = new AttachmentBuilder(Buffer.from(JSON.stringify({
+            batch_id: batchId,
+            extraction_request: extractionRequest,
+            output_schema: JSON.parse(outputSchema),
+            results,
+            rejected
+        }, null, 2)), { name: `${batchId}.json` });
+
+        await interaction.editReply({ content: formatBatchResult({ results, rejected, truncated }), files: [file] });
+
+        logger.info('Scrape batch completed', {
+            correlationId,
+            batchId,
+            succeeded: results.filter(result => result.status === 'completed').length,
+            failed: results.filter(result => result.status === 'failed').length
+        });
+    } catch (error) {
+        await handleCommandError(interaction, error, correlationId);
+    }
+}
+
+/**
+ * Send every URL through a batch-local request manager, editing the progress message as URLs finish
+ * Every URL is registered as a queued job up front so it can be cancelled before its turn; URLs whose turn
+ * comes after the start deadline are cancelled.
+ * Batch results are collected from the webhook responses, so no callback URL is offered.
+ * @param {Object} params - Batch parameters
+ * @returns {Promise<Object[]>} Per URL results in input order
+ */
+async function runBatch({ interaction, batchId, urls, extractionRequest, outputSchema }) {
+    const deadline = interaction.createdTimestamp + BATCH_START_DEADLINE_MS;
+    const manager = new ConcurrentRequestManager({
+        maxConcurrentRequests: BATCH_CONCURRENCY,
+        queueSize: urls.length,
+        queueTimeout: BATCH_START_DEADLINE_MS
+    });
+    const progress = { done: 0, failed: 0, total: urls.length, lastUrl: urls[0] };
+    let lastEdit = 0;
+    let edits = Promise.resolve();
+
+    const requests = urls.map((url, index) => {
+        const scrapeData = transformScrapeData({ url, extractionRequest, outputSchema, interaction });
+        scrapeData.response_preferences.callback_url = null;
+        scrapeData.batch = { id: batchId, index, total: urls.length };
+        scrapeJobs.create({ requestId: scrapeData.request_id, url, interaction, batchId });
+        return { url, scrapeData };
+    });
+
+    const track = (result) => {
+        progress.done++;
+        progress.failed += result.status === 'completed' ? 0 : 1;
+        progress.lastUrl = result.url;
+
+        if (Date.now() - lastEdit >= PROGRESS_INTERVAL_MS) {
+            lastEdit = Date.now();
+            const content = formatBatchProgress(progress);
+            edits = edits.then(() => interaction.editReply({ content })).catch(() => null);
+        }
+        return result;
+    };
+
+    await interaction.editReply({ content: formatBatchProgress(progress) });
+
+    try {
+        return await Promise.all(requests.map(({ url, scrapeData }) => manager.executeRequest(
+            scrapeData.request_id,
+            () => scrapeBatchUrl(url, scrapeData, deadline)
+        ).catch(error => {
+            scrapeJobs.transition(scrapeData.request_id, 'failed', { error: error.message });
+            return { url, request_id: scrapeData.request_id, status: 'failed', error: error.message };
+        }).then(track)));
+    } finally {
+        manager.shutdown();
+        await edits;
+    }
+}
+
+module.exports = {
+    executeScrapeBatch,
+    formatBatchProgress,
+    formatBatchResult
+};
@@ -0,0 +1,185 @@
+/**
+ * Scrape Command Builder
+ * Builds the /scrape slash command definition with its subcommands and groups
+ */
+
+const { SlashCommandBuilder, ChannelType } = require('discord.js');
+const { MAX_BATCH_URLS } = require('./batch-sources');
+
+/**
+ * Add the options shared by every subcommand that describes what to extract
+ * @param {Object} subcommand - Subcommand builder
+ * @returns {Object} The subcommand builder
+ */
+function addExtractionOptions(subcommand) {
+    return subcommand
+        .addStringOption(option =>
+            option.setName('extraction_request')
+                .setDescription('Specify what data you want to extract from the website')
+                .setRequired(true))
+        .addStringOption(option =>
+            option.setName('output_schema')
+                .setDescription('Define the structure of the output data (JSON format)')
+                .setRequired(true)
+                .setAutocomplete(true));
+}
+
+/**
+ * Add the template or schedule name option
+ * @param {Object} subcommand - Subcommand builder
+ * @param {boolean} [autocomplete=true] - Suggest existing names
+ * @returns {Object} The subcommand builder
+ */
+function addNameOption(subcommand, autocomplete = true) {
+    return subcommand.addStringOption(option =>
+        option.setName('name')
+            .setDescription('Name (letters, numbers, - and _)')
+            .setRequired(true)
+            .setMaxLength(32)
+            .setAutocomplete(autocomplete));
+}
+
+/**
+ * Add the job ID option
+ * @param {Object} subcommand - Subcommand builder
+ * @returns {Object} The subcommand builder
+ */
+function addJobIdOption(subcommand) {
+    return subcommand.addStringOption(option =>
+        option.setName('id')
+            .setDescription('Job ID shown when the request was submitted')
+            .setRequired(true)
+            .setAutocomplete(true));
+}
+
+/**
+ * Add the options of /scrape schedule add and /monitor add
+ * @param {Object} subcommand - Subcommand builder
+ * @returns {Object} The subcommand builder
+ */
+function addScheduleOptions(subcommand) {
+    return addExtractionOptions(addNameOption(subcommand, false)
+        .addStringOption(option =>
+            option.setName('url')
+                .setDescription('The URL to scrape on every run')
+                .setRequired(true)
+                .setAutocomplete(true)))
+        .addChannelOption(option =>
+            option.setName('channel')
+                .setDescription('Channel the results are posted to')
+                .setRequired(true)
+                .addChannelTypes(ChannelType.GuildText, ChannelType.GuildAnnouncement))
+        .addStringOption(option =>
+            option.setName('cron')
+                .setDescription('Cron expression in UTC, e.g. "0 9 * * 1-5" (use this or every)'))
+        .addStringOption(option =>
+            option.setName('every')
+                .setDescription('Interval such as 30m, 6h or 1d (use this or cron)'))
+        .addStringOption(option =>
+            option.setName('jitter')
+                .setDescription('Random delay of up to this long added to every run, e.g. 5m'))
+        .addStringOption(option =>
+            option.setName('missed')
+                .setDescription('What to do with runs missed while the bot was offline (default: run once)')
+                .addChoices(
+                    { name: 'Run once', value: 'run_once' },
+                    { name: 'Skip', value: 'skip' }
+                ));
+}
+
+/**
+ * Build the slash command definition
+ * @returns {SlashCommandBuilder} The command builder instance
+ */
+function buildScrapeCommand() {
+    return new SlashCommandBuilder()
+        .setName('scrape')
+        .setDescription('Scrape data from a provided URL using intelligent extraction')
+        .addSubcommand(subcommand => addExtractionOptions(subcommand
+            .setName('run')
+            .setDescription('Scrape a URL')
+            .addStringOption(option =>
+                option.setName('url')
+                    .setDescription('The URL to scrape data from (must be a valid HTTP/HTTPS URL)')
+                    .setRequired(true)
+                    .setAutocomplete(true))))
+        .addSubcommand(subcommand => subcommand
+            .setName('form')
+            .setDescription('Scrape a URL using a form for long extraction requests and schemas')
+            .addStringOption(option =>
+                option.setName('url')
+                    .setDescription('The URL to scrape; defaults to the URL of your last request')
+                    .setAutocomplete(true)))
+        .addSubcommand(subcommand => addExtractionOptions(subcommand
+            .setName('batch')
+            .setDescription(`Scrape up to ${MAX_BATCH_URLS} URLs with the same extraction request and schema`))
+            .addStringOption(option =>
+                option.setName('urls')
+                    .setDescription('URLs separated by spaces or commas'))
+            .addAttachmentOption(option =>
+                option.setName('file')
+                    .setDescription('Text file with one URL per line'))
+            .addStringOption(option =>
+                option.setName('sitemap')
+                    .setDescription('Sitemap URL whose pages should be scraped')))
+        .addSubcommand(subcommand => addJobIdOption(subcommand
+            .setName('status')
+            .setDescription('Show the status of one of your scrape jobs')))
+        .addSubcommand(subcommand => subcommand
+            .setName('list')
+            .setDescription('List your recent scrape jobs'))
+        .addSubcommand(subcommand => addJobIdOption(subcommand
+            .setName('cancel')
+            .setDescription('Cancel one of your unfinished scrape jobs')))
+        .addSubcommandGroup(group => group
+            .setName('template')
+            .setDescription('Saved extraction requests and output schemas')
+            .addSubcommand(subcommand => addExtractionOptions(addNameOption(subcommand, false)
+                .setName('save')
+                .setDescription('Save or update a template')
+                .addStringOption(option =>
+                    option.setName('url_pattern')
+                        .setDescription('URL, or URL pattern where * matches anything (e.g. https://example.com/*)')
+                        .setRequired(true)
+                        .setAutocomplete(true)))
+                .addBooleanOption(option =>
+                    option.setName('shared')
+                        .setDescription('Let everyone in this server run the template')))
+            .addSubcommand(subcommand => subcommand
+                .setName('list')
+                .setDescription('List your templates and those shared in this server'))
+            .addSubcommand(subcommand => addNameOption(subcommand)
+                .setName('delete')
+                .setDescription('Delete a template'))
+            .addSubcommand(subcommand => addNameOption(subcommand)
+                .setName('run')
+                .setDescription('Scrape with a template')
+                .addStringOption(option =>
+                    option.setName('url')
+                        .setDescription('URL to scrape; required when the template URL pattern has wildcards')
+                        .setAutocomplete(true))))
+        .addSubcommandGroup(group => group
+            .setName('schedule')
+            .setDescription('Recurring scrapes that post their results to a channel')
+            .addSubcommand(subcommand => addScheduleOptions(subcommand
+                .setName('add')
+                .setDescription('Scrape a URL on a cron or interval schedule')))
+            .addSubcommand(subcommand => subcommand
+                .setName('list')
+                .setDescription('List the schedules in this server'))
+            .addSubcommand(subcommand => addNameOption(subcommand)
+                .setName('pause')
+                .setDescription('Pause a schedule'))
+            .addSubcommand(subcommand => addNameOption(subcommand)
+                .setName('resume')
+                .setDescription('Resume a paused schedule'))
+            .addSubcommand(subcommand => addNameOption(subcommand)
+                .setName('remove')
+                .setDescription('Remove a schedule')));
+}
+
+module.exports = {
+    buildScrapeCommand,
+    addNameOption,
+    addScheduleOptions
+};
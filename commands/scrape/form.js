@@ -0,0 +1,116 @@
+/**
+ * Scrape Form
+ * Collects /scrape input through a modal with paragraph inputs for long extraction requests and schemas
+ */
+
+const { ActionRowBuilder, ModalBuilder, TextInputBuilder, TextInputStyle } = require('discord.js');
+const { logger, correlation } = require('../../lib/logging');
+const { getLastScrapeInput } = require('./autocomplete');
+const { runScrape } = require('./run');
+
+// How long the user has to submit the form
+const FORM_TIMEOUT_MS = 10 * 60 * 1000;
+
+/**
+ * Build a modal text input, pre-filled when a value is known
+ * @param {Object} params - Input parameters
+ * @returns {ActionRowBuilder} Action row holding the input
+ */
+function buildInput({ customId, label, style, placeholder, minLength, maxLength, value }) {
+    const input = new TextInputBuilder()
+        .setCustomId(customId)
+        .setLabel(label)
+        .setStyle(style)
+        .setPlaceholder(placeholder)
+        .setMinLength(minLength)
+        .setMaxLength(maxLength)
+        .setRequired(true);
+
+    if (value) {
+        input.setValue(value.substring(0, maxLength));
+    }
+
+    return new ActionRowBuilder().addComponents(input);
+}
+
+/**
+ * Build the scrape modal
+ * Input limits match the scrape input validation so Discord rejects out of range values up front
+ * @param {string} customId - Modal customId
+ * @param {Object} defaults - Pre-filled `{ url, extractionRequest, outputSchema }`
+ * @returns {ModalBuilder} The modal
+ */
+function buildScrapeModal(customId, { url, extractionRequest, outputSchema }) {
+    return new ModalBuilder()
+        .setCustomId(customId)
+        .setTitle('Scrape a website')
+        .addComponents(
+            buildInput({
+                customId: 'url',
+                label: 'URL',
+                style: TextInputStyle.Short,
+                placeholder: 'https://news.ycombinator.com',
+                minLength: 1,
+                maxLength: 2000,
+                value: url
+            }),
+            buildInput({
+                customId: 'extraction_request',
+                label: 'What should be extracted?',
+                style: TextInputStyle.Paragraph,
+                placeholder: 'Extract the top 5 story titles and their points',
+                minLength: 10,
+                maxLength: 1000,
+                value: extractionRequest
+            }),
+            buildInput({
+                customId: 'output_schema',
+                label: 'Output schema (JSON)',
+                style: TextInputStyle.Paragraph,
+                placeholder: '{"stories": [{"title": "string", "points": "number"}]}',
+                minLength: 5,
+                maxLength: 2000,
+                value: outputSchema
+            })
+        );
+}
+
+/**
+ * Open the scrape form and run the submitted request
+ * The form is pre-filled from the user's last request; a `url` option replaces the remembered URL.
+ * The modal's customId is claimed by no endpoint, so its submission is collected here.
+ * @param {Object} interaction - Discord interaction object
+ * @returns {Promise<void>} Promise that resolves when the form was submitted and handled, or expired
+ */
+async function executeScrapeForm(interaction) {
+    const correlationId = correlation.getCorrelationId();
+    const customId = `scrape_form:${interaction.id}`;
+    const defaults = {
+        ...getLastScrapeInput(interaction.user.id),
+        ...(interaction.options.getString('url') ? { url: interaction.options.getString('url') } : {})
+    };
+
+    await interaction.showModal(buildScrapeModal(customId, defaults));
+
+    let submission;
+    try {
+        submission = await interaction.awaitModalSubmit({
+            filter: (modal) => modal.customId === customId && modal.user.id === interaction.user.id,
+            time: FORM_TIMEOUT_MS
+        });
+    } catch (error) {
+        logger.debug('Scrape form was not submitted in time', { correlationId, userId: interaction.user.id });
+        return;
+    }
+
+    await runScrape(submission, {
+        url: submission.fields.getTextInputValue('url').trim(),
+        extractionRequest: submission.fields.getTextInputValue('extraction_request'),
+        outputSchema: submission.fields.getTextInputValue('output_schema')
+    });
+}
+
+module.exports = {
+    executeScrapeForm,
+    buildScrapeModal
+};
@@ -5,6 +5,15 @@
 
 const { logger } = require('../../lib/logging');
 const { extractDomain } = require('./utils');
+const {
+    formatErrorMessage,
+    formatStatusMessage,
+    formatRateLimitMessage,
+    generateProgressBar
+} = require('../../lib/formatters/status-messages');
+
+const MAX_BATCH_SUMMARY_LENGTH = 1800;
+const BATCH_STATUS_EMOJIS = { completed: '✅', failed: '❌', cancelled: '⏹️' };
 
 /**
  * Format success message for scrape command completion
@@ -52,39 +61,6 @@ function formatSuccessMessage({ url, extractionRequest, outputSchema }) {
     return message;
 }
 
-/**
- * Format error message for scrape command failures
- * @param {Object} params - Parameters for error message
- * @param {string} params.error - The error that occurred
- * @param {string} [params.url] - The URL that failed (optional)
- * @param {string} [params.suggestion] - Suggestion for fixing the error
- * @returns {string} Formatted error message
- */
-function formatErrorMessage({ error, url, suggestion }) {
-    let message = `❌ **Scrape Request Failed**\n\n`;
-    
-    if (url) {
-        const domain = extractDomain(url);
-        message += `🌐 **Website:** ${domain}\n`;
-    }
-    
-    message += `⚠️ **Error:** ${error}\n`;
-    
-    if (suggestion) {
-        message += `💡 **Suggestion:** ${suggestion}\n`;
-    }
-    
-    message += `\n🔧 **Need Help?** Make sure your URL is accessible and your extraction request is clear.`;
-    
-    logger.debug('Formatted error message', {
-        error,
-        url: url ? extractDomain(url) : 'unknown',
-        hasSuggestion: !!suggestion
-    });
-    
-    return message;
-}
-
 /**
  * Format validation error message with helpful guidance
  * @param {string} validationError - The validation error message
@@ -106,72 +82,16 @@ function formatValidationError(validationError) {
     return message;
 }
 
-/**
- * Format processing status message for long-running requests
- * @param {Object} params - Status parameters
- * @param {string} params.status - Current processing status
- * @param {string} params.url - The URL being processed
- * @param {number} [params.progress] - Progress percentage (0-100)
- * @returns {string} Formatted status message
- */
-function formatStatusMessage({ status, url, progress }) {
-    const domain = extractDomain(url);
-    const timestamp = new Date().toLocaleTimeString();
-    
-    let statusEmoji = '🔄';
-    let statusText = status;
-    
-    switch (status.toLowerCase()) {
-        case 'queued':
-            statusEmoji = '⏳';
-            statusText = 'Queued for processing';
-            break;
-        case 'processing':
-            statusEmoji = '🔄';
-            statusText = 'Currently processing';
-            break;
-        case 'extracting':
-            statusEmoji = '🔍';
-            statusText = 'Extracting data';
-            break;
-        case 'completing':
-            statusEmoji = '🔧';
-            statusText = 'Finalizing results';
-            break;
-    }
-    
-    let message = `${statusEmoji} **${statusText}**\n\n` +
-                  `🌐 **Website:** ${domain}\n` +
-                  `⏰ **Last Update:** ${timestamp}`;
-    
-    if (progress !== undefined && progress >= 0 && progress <= 100) {
-        const progressBar = generateProgressBar(progress);
-        message += `\n📊 **Progress:** ${progress}%\n${progressBar}`;
-    }
-    
-    return message;
-}
-
-/**
- * Generate a simple text progress bar
- * @param {number} progress - Progress percentage (0-100)
- * @returns {string} Text progress bar
- */
-function generateProgressBar(progress) {
-    const totalBars = 20;
-    const filledBars = Math.round((progress / 100) * totalBars);
-    const emptyBars = totalBars - filledBars;
-    
-    return '█'.repeat(filledBars) + '░'.repeat(emptyBars);
-}
-
 /**
  * Format help message for scrape command usage
  * @returns {string} Formatted help message
  */
 function formatHelpMessage() {
     return `🤖 **Scrape Command Help**\n\n` +
-           `**Usage:** \`/scrape url:<website> extraction_request:<what_to_extract> output_schema:<json_format>\`\n\n` +
+           `**Usage:** \`/scrape run url:<website> extraction_request:<what_to_extract> output_schema:<json_format>\`\n` +
+           `**Long inputs:** \`/scrape form\` opens a form pre-filled from your last request\n` +
+           `**Templates:** \`/scrape template save|list|delete|run\` reuse an extraction request and schema\n` +
+           `**Schedules:** \`/scrape schedule add|list|pause|resume|remove\` scrape a URL regularly into a channel\n\n` +
            `**Parameters:**\n` +
            `• **url:** The website URL to scrape (must be public)\n` +
            `• **extraction_request:** Describe what data you want (10-1000 chars)\n` +
@@ -190,26 +110,63 @@ function formatHelpMessage() {
 }
 
 /**
- * Format rate limit message when user hits limits
- * @param {Object} params - Rate limit parameters
- * @param {number} params.remainingRequests - Requests remaining
- * @param {number} params.resetTime - When limit resets (timestamp)
- * @returns {string} Formatted rate limit message
+ * Format the aggregated progress of a batch
+ * @param {Object} params - Progress parameters
+ * @param {number} params.done - URLs finished so far
+ * @param {number} params.failed - URLs that failed or were cancelled so far
+ * @param {number} params.total - URLs in the batch
+ * @param {string} params.lastUrl - URL finished most recently
+ * @returns {string} Formatted progress message
  */
-function formatRateLimitMessage({ remainingRequests, resetTime }) {
-    const resetDate = new Date(resetTime);
-    const resetTimeString = resetDate.toLocaleTimeString();
-    
-    if (remainingRequests > 0) {
-        return `⚠️ **Rate Limit Warning**\n\n` +
-               `📊 **Remaining Requests:** ${remainingRequests}\n` +
-               `🔄 **Limit Resets:** ${resetTimeString}\n\n` +
-               `💡 Consider spacing out your requests to avoid hitting the limit.`;
-    } else {
-        return `🚫 **Rate Limit Exceeded**\n\n` +
-               `⏰ **Limit Resets:** ${resetTimeString}\n\n` +
-               `Please wait before submitting another scrape request.`;
+function formatBatchProgress({ done, failed, total, lastUrl }) {
+    const progress = Math.round((done / total) * 100);
+    return `📦 **Batch scrape:** ${done}/${total} URLs done${failed ? ` (${failed} not completed)` : ''}\n\n` +
+        formatStatusMessage({ status: done === total ? 'completing' : 'processing', url: lastUrl, progress });
+}
+
+/**
+ * Format the combined batch result shown next to the attached result file
+ * @param {Object} params - Result parameters
+ * @param {Object[]} params.results - Per URL results
+ * @param {Object[]} params.rejected - URLs rejected before sending
+ * @param {number} params.truncated - Valid URLs beyond the batch limit
+ * @returns {string} Formatted summary
+ */
+function formatBatchResult({ results, rejected, truncated }) {
+    const succeeded = results.filter(result => result.status === 'completed').length;
+    const header = `${succeeded === results.length ? '✅' : '⚠️'} **Batch scrape finished:** ` +
+        `${succeeded}/${results.length} URLs succeeded\n`;
+    const notes = [
+        rejected.length ? `🚫 ${rejected.length} invalid URL(s) skipped` : null,
+        truncated ? `✂️ ${truncated} URL(s) over the batch limit skipped` : null
+    ].filter(Boolean).map(note => `${note}\n`).join('');
+
+    let body = '';
+    for (const [index, result] of results.entries()) {
+        const line = `${BATCH_STATUS_EMOJIS[result.status] || '❌'} ${extractDomain(result.url)} — ` +
+            `\`${result.url.substring(0, 80)}\`${result.error ? `: ${result.error}` : ''}\n`;
+        if (header.length + notes.length + body.length + line.length > MAX_BATCH_SUMMARY_LENGTH) {
+            body += `…and ${results.length - index} more in the attached file\n`;
+            break;
+        }
+        body += line;
     }
+
+    return `${header}${notes}\n${body}`;
+}
+
+/**
+ * Format the reply to a batch that needs more requests than the rate limit has left
+ * @param {number} count - URLs in the batch
+ * @param {Object} limit - Denied rate limit decision
+ * @returns {string} Formatted message
+ */
+function formatBatchRateLimit(count, { remainingRequests, resetTime }) {
+    // The command itself already counted one request of the batch
+    return `🚫 **Rate Limit Exceeded**\n\n` +
+        `This batch sends ${count} requests, but only ${remainingRequests + 1} fit in your rate limit right now.\n` +
+        `⏰ **Limit Resets:** ${new Date(resetTime).toLocaleTimeString()}\n\n` +
+        `Send fewer URLs or try again later.`;
 }
 
 module.exports = {
@@ -219,5 +176,8 @@ module.exports = {
     formatStatusMessage,
     formatHelpMessage,
     formatRateLimitMessage,
-    generateProgressBar
+    generateProgressBar,
+    formatBatchProgress,
+    formatBatchResult,
+    formatBatchRateLimit
 };
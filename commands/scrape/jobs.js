@@ -0,0 +1,164 @@
+/**
+ * Scrape Job Subcommands
+ * Handles /scrape status, /scrape list and /scrape cancel for the requesting user's jobs
+ */
+
+const { sendToN8n } = require('../../lib/n8n-service');
+const { pendingRequests } = require('../../lib/callbacks/pending-requests');
+const { logger, correlation } = require('../../lib/logging');
+const { formatStatusMessage } = require('./formatters');
+const { extractDomain } = require('./utils');
+const { scrapeJobs } = require('../../lib/job-registry');
+const { handleCommandError } = require('./run');
+
+const JOB_EMOJIS = {
+    queued: '⏳',
+    sent: '📨',
+    running: '🔄',
+    completed: '✅',
+    failed: '❌',
+    cancelled: '⏹️'
+};
+const MAX_LISTED_JOBS = 15;
+
+/**
+ * Format a timestamp as a Discord relative timestamp
+ * @param {number} timestamp - Milliseconds since the Unix epoch
+ * @returns {string} Discord timestamp markup
+ */
+const relativeTime = (timestamp) => `<t:${Math.floor(timestamp / 1000)}:R>`;
+
+/**
+ * Find one of the user's jobs, replying when it does not exist
+ * @param {Object} interaction - Discord interaction object
+ * @returns {Promise<Object|null>} The job
+ */
+async function findOwnJob(interaction) {
+    const requestId = interaction.options.getString('id').trim();
+    const job = scrapeJobs.get(requestId);
+    if (job && job.userId === interaction.user.id) return job;
+
+    await interaction.reply({ content: `No scrape job \`${requestId}\` of yours is known. See \`/scrape list\`.`, ephemeral: true });
+    return null;
+}
+
+/**
+ * Format the details of a job
+ * @param {Object} job - Job
+ * @returns {string} Formatted job status
+ */
+function formatJobStatus(job) {
+    const status = job.state === 'running' ? 'processing' : job.state;
+    const history = job.history.map(entry => entry.state).join(' → ');
+
+    return `${formatStatusMessage({ status, url: job.url, progress: job.progress ?? undefined })}\n` +
+        `🆔 **Job:** \`${job.requestId}\`\n` +
+        `🔗 **URL:** ${job.url}\n` +
+        `🕒 **Created:** ${relativeTime(job.createdAt)} · **Updated:** ${relativeTime(job.updatedAt)}\n` +
+        `🧭 **History:** ${history}` +
+        (job.batchId ? `\n📦 **Batch:** \`${job.batchId}\`` : '') +
+        (job.template ? `\n📋 **Template:** ${job.template}` : '') +
+        (job.error ? `\n⚠️ **Error:** ${job.error}` : '');
+}
+
+/**
+ * Show the status of one of the user's jobs
+ * @param {Object} interaction - Discord interaction object
+ */
+async function showJobStatus(interaction) {
+    const job = await findOwnJob(interaction);
+    if (!job) return;
+
+    await interaction.reply({ content: formatJobStatus(job), ephemeral: true });
+}
+
+/**
+ * List the user's recent jobs
+ * @param {Object} interaction - Discord interaction object
+ */
+async function listJobs(interaction) {
+    const jobs = scrapeJobs.listForUser(interaction.user.id, { limit: MAX_LISTED_JOBS });
+    if (jobs.length === 0) {
+        await interaction.reply({ content: 'You have no recent scrape jobs.', ephemeral: true });
+        return;
+    }
+
+    const lines = jobs.map(job =>
+        `${JOB_EMOJIS[job.state]} **${job.state}** · \`${job.requestId}\` · ${extractDomain(job.url)} · ${relativeTime(job.createdAt)}`);
+
+    await interaction.reply({ content: `📋 **Your scrape jobs**\n${lines.join('\n')}`, ephemeral: true });
+}
+
+/**
+ * Cancel one of the user's unfinished jobs and tell the workflow to stop working on it
+ * The user is answered first; the notification is durable, so it is replayed if N8N is unreachable
+ * @param {Object} interaction - Discord interaction object
+ * @param {string} correlationId - Request correlation ID
+ */
+async function cancelJob(interaction, correlationId) {
+    const job = await findOwnJob(interaction);
+    if (!job) return;
+
+    if (scrapeJobs.isFinal(job)) {
+        await interaction.reply({ content: `Job \`${job.requestId}\` already ${job.state}.`, ephemeral: true });
+        return;
+    }
+
+    const previousState = job.state;
+    scrapeJobs.transition(job.requestId, 'cancelled');
+    pendingRequests.remove(job.requestId);
+
+    logger.info('Scrape job cancelled', { correlationId, requestId: job.requestId, previousState, userId: interaction.user.id });
+    await interaction.reply({ content: `⏹️ Job \`${job.requestId}\` cancelled.`, ephemeral: true });
+
+    // Jobs still queued in a batch were never sent, so there is nothing for the workflow to stop
+    if (previousState !== 'queued') {
+        try {
+            await sendToN8n({
+                request_id: job.requestId,
+                batch_id: job.batchId,
+                url: job.url,
+                previous_state: previousState,
+                cancelled_at: Date.now(),
+                user_context: {
+                    user_id: interaction.user.id,
+                    username: interaction.user.username,
+                    guild_id: interaction.guildId,
+                    channel_id: interaction.channelId,
+                    channel_name: interaction.channel?.name
+                }
+            }, 'scrape_cancel', { rateLimit: false });
+        } catch (error) {
+            logger.warn('Failed to notify N8N of a cancelled scrape job', { correlationId, requestId: job.requestId, error: error.message });
+        }
+    }
+}
+
+/**
+ * Dispatch a job subcommand
+ * @param {Object} interaction - Discord interaction object
+ * @returns {Promise<void>} Promise that resolves when the subcommand is handled
+ */
+async function executeJobCommand(interaction) {
+    const correlationId = correlation.getCorrelationId();
+
+    try {
+        switch (interaction.options.getSubcommand()) {
+            case 'status':
+                return await showJobStatus(interaction);
+            case 'list':
+                return await listJobs(interaction);
+            case 'cancel':
+                return await cancelJob(interaction, correlationId);
+            default:
+                await interaction.reply({ content: 'Unknown job subcommand.', ephemeral: true });
+        }
+    } catch (error) {
+        await handleCommandError(interaction, error, correlationId);
+    }
+}
+
+module.exports = {
+    executeJobCommand,
+    formatJobStatus
+};
@@ -0,0 +1,173 @@
+/**
+ * Scrape Command Runner
+ * Validates a scrape request, sends it to N8N and reports the outcome to the user
+ */
+
+const { sendToN8n } = require('../../lib/n8n-service');
+const { deliverReply } = require('../../lib/reply-renderer');
+const { pendingRequests } = require('../../lib/callbacks/pending-requests');
+const { logger, correlation } = require('../../lib/logging');
+const { validateScrapeInput } = require('./validator');
+const { transformScrapeData, formatSuccessMessage } = require('./transformer');
+const { rememberScrapeInput } = require('./autocomplete');
+const { scrapeJobs } = require('../../lib/job-registry');
+
+/**
+ * Run a scrape request for an interaction
+ * @param {Object} interaction - Discord interaction object
+ * @param {Object} input - Scrape input
+ * @param {string} input.url - Target URL to scrape
+ * @param {string} input.extractionRequest - What data to extract
+ * @param {string} input.outputSchema - Desired output structure
+ * @param {Object} [input.template] - Template the request was built from
+ * @returns {Promise<void>} Promise that resolves when the request is handled
+ */
+async function runScrape(interaction, { url, extractionRequest, outputSchema, template }) {
+    const correlationId = correlation.getCorrelationId();
+
+    try {
+        logger.info('Processing scrape command', {
+            correlationId,
+            url,
+            extractionRequest: extractionRequest.substring(0, 100),
+            outputSchema: outputSchema.substring(0, 100),
+            template: template?.name,
+            userId: interaction.user.id,
+            guildId: interaction.guildId
+        });
+
+        // Validate input parameters
+        const validationResult = validateScrapeInput({ url, extractionRequest, outputSchema });
+        if (!validationResult.isValid) {
+            await handleValidationError(interaction, validationResult.error, correlationId);
+            return;
+        }
+
+        // Defer reply for processing
+        await interaction.deferReply({ ephemeral: true });
+        rememberScrapeInput(interaction.user.id, { url, extractionRequest, outputSchema });
+
+        // Transform data for N8N processing
+        const scrapeData = transformScrapeData({
+            url,
+            extractionRequest,
+            outputSchema,
+            template,
+            interaction
+        });
+
+        // Track the request so an asynchronous N8N callback can reach this interaction
+        const requestId = scrapeData.request_id;
+        scrapeJobs.create({ requestId, url, interaction, template: template?.name });
+        pendingRequests.register({
+            requestId: scrapeData.request_id,
+            correlationId,
+            interaction,
+            commandType: 'scrape',
+            context: { url }
+        });
+
+        // Send to N8N routing service; the user is told about failures, so skip the outbox.
+        // The rate limit was already enforced when the interaction was dispatched.
+        let response;
+        try {
+            scrapeJobs.transition(requestId, 'sent');
+            response = await sendToN8n(scrapeData, 'scrape_command', {
+                durable: false,
+                rateLimit: false,
+                priority: scrapeData.processing_hints.priority
+            });
+        } catch (error) {
+            pendingRequests.remove(requestId);
+            scrapeJobs.transition(requestId, 'failed', { error: error.message });
+            throw error;
+        }
+
+        if (scrapeJobs.get(requestId)?.state === 'cancelled') {
+            await interaction.editReply({ content: `⏹️ Scrape job \`${requestId}\` was cancelled.` });
+            return;
+        }
+
+        // Render the workflow's reply when it returned one, otherwise confirm submission
+        const replied = await deliverReply(response, { interaction });
+        if (replied) {
+            scrapeJobs.transition(requestId, 'completed');
+        } else {
+            const successMessage = formatSuccessMessage({ url, extractionRequest, outputSchema });
+            await interaction.editReply({
+                content: `${successMessage}\n\n🆔 **Job:** \`${requestId}\` (see \`/scrape status\`)`,
+                ephemeral: true
+            });
+        }
+
+        logger.info('Scrape command completed successfully', {
+            correlationId,
+            url,
+            replied,
+            userId: interaction.user.id
+        });
+
+    } catch (error) {
+        await handleCommandError(interaction, error, correlationId);
+    }
+}
+
+/**
+ * Handle validation errors with user-friendly messages
+ * @param {Object} interaction - Discord interaction object
+ * @param {string} errorMessage - Validation error message
+ * @param {string} correlationId - Request correlation ID
+ */
+async function handleValidationError(interaction, errorMessage, correlationId) {
+    logger.warn('Scrape command validation failed', {
+        correlationId,
+        error: errorMessage,
+        userId: interaction.user.id
+    });
+
+    await interaction.reply({
+        content: errorMessage,
+        ephemeral: true
+    });
+}
+
+/**
+ * Handle command execution errors with logging and user feedback
+ * @param {Object} interaction - Discord interaction object
+ * @param {Error} error - The error that occurred
+ * @param {string} correlationId - Request correlation ID
+ */
+async function handleCommandError(interaction, error, correlationId) {
+    logger.error('Error in scrape command execution', {
+        correlationId,
+        error,
+        userId: interaction.user?.id
+    });
+
+    const errorMessage = 'An error occurred while processing your scrape request. Please try again later.';
+
+    try {
+        if (!interaction.deferred) {
+            await interaction.reply({
+                content: errorMessage,
+                ephemeral: true
+            });
+        } else {
+            await interaction.editReply({
+                content: errorMessage,
+                ephemeral: true
+            });
+        }
+    } catch (replyError) {
+        logger.error('Failed to send error response in scrape command', {
+            correlationId,
+            error: replyError
+        });
+    }
+}
+
+module.exports = {
+    runScrape,
+    handleValidationError,
+    handleCommandError
+};
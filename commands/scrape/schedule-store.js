@@ -0,0 +1,144 @@
+/**
+ * Scrape Schedule Store
+ * Persists recurring scrapes and change monitors per guild so they survive restarts
+ */
+
+const { JsonStore, getDataPath } = require('../../lib/json-store');
+
+const SCHEDULE_NAME_PATTERN = /^[a-z0-9_-]{1,32}$/;
+const MAX_SCHEDULES_PER_GUILD = 25;
+
+// Kinds of stored schedules: `/scrape schedule` posts every result, `/monitor` only posts changes
+const SCHEDULE_KINDS = {
+    scrape: { noun: 'schedule', title: 'Schedule', command: '/scrape schedule' },
+    monitor: { noun: 'monitor', title: 'Monitor', command: '/monitor' }
+};
+
+/**
+ * Scrape Schedule Store Class
+ * Schedule names are unique per kind within a guild
+ */
+class ScheduleStore {
+    constructor(config = {}) {
+        this.config = {
+            ...config,
+            filePath: config.filePath || getDataPath('scrape-schedules.json'),
+            maxPerGuild: config.maxPerGuild || MAX_SCHEDULES_PER_GUILD
+        };
+
+        this.store = new JsonStore(this.config.filePath, { schedules: [] });
+        this.loading = null;
+    }
+
+    /**
+     * Load the stored schedules once
+     * @returns {Promise<Object[]>} Stored schedules
+     */
+    async getSchedules() {
+        this.loading = this.loading || this.store.read().then(data => data.schedules || []);
+        try {
+            return await this.loading;
+        } catch (error) {
+            this.loading = null;
+            throw error;
+        }
+    }
+
+    /**
+     * List a guild's schedules of one kind by name
+     * @param {string} guildId - Discord guild ID
+     * @param {string} [kind='scrape'] - Schedule kind
+     * @returns {Promise<Object[]>} Schedules
+     */
+    async list(guildId, kind = 'scrape') {
+        return (await this.getSchedules())
+            .filter(schedule => schedule.guild_id === guildId && (schedule.kind || 'scrape') === kind)
+            .sort((a, b) => a.name.localeCompare(b.name));
+    }
+
+    /**
+     * Find a guild's schedule by name
+     * @param {string} guildId - Discord guild ID
+     * @param {string} name - Schedule name
+     * @param {string} [kind='scrape'] - Schedule kind
+     * @returns {Promise<Object|null>} Schedule
+     */
+    async find(guildId, name, kind = 'scrape') {
+        const key = name.toLowerCase();
+        return (await this.list(guildId, kind)).find(schedule => schedule.name === key) || null;
+    }
+
+    /**
+     * Add a schedule
+     * @param {Object} schedule - Schedule record without `id` and `created_at`; `kind` defaults to 'scrape'
+     * @returns {Promise<Object>} `{ success, schedule }` or `{ success: false, error }`
+     */
+    async add(schedule) {
+        const name = schedule.name.toLowerCase();
+        const kind = schedule.kind || 'scrape';
+        const { noun } = SCHEDULE_KINDS[kind];
+        if (!SCHEDULE_NAME_PATTERN.test(name)) {
+            return { success: false, error: `The ${noun} name may only use letters, numbers, \`-\` and \`_\` (up to 32 characters).` };
+        }
+
+        const existing = await this.list(schedule.guild_id, kind);
+        if (existing.some(candidate => candidate.name === name)) {
+            return { success: false, error: `A ${noun} named **${name}** already exists in this server.` };
+        }
+        if (existing.length >= this.config.maxPerGuild) {
+            return { success: false, error: `A server can have up to ${this.config.maxPerGuild} ${noun}s. Remove one first.` };
+        }
+
+        const record = {
+            ...schedule,
+            kind,
+            id: `sched_${Date.now().toString(36)}_${Math.random().toString(36).substring(2, 8)}`,
+            name,
+            created_at: new Date().toISOString()
+        };
+
+        const schedules = await this.getSchedules();
+        schedules.push(record);
+        await this.store.write({ schedules });
+        return { success: true, schedule: record };
+    }
+
+    /**
+     * Update a schedule in place and persist it
+     * @param {string} id - Schedule ID
+     * @param {Object} changes - Fields to change
+     * @returns {Promise<Object|null>} Updated schedule, or null when it no longer exists
+     */
+    async update(id, changes) {
+        const schedules = await this.getSchedules();
+        const schedule = schedules.find(candidate => candidate.id === id);
+        if (!schedule) return null;
+
+        Object.assign(schedule, changes);
+        await this.store.write({ schedules });
+        return schedule;
+    }
+
+    /**
+     * Remove a schedule
+     * @param {string} id - Schedule ID
+     * @returns {Promise<boolean>} True when the schedule existed
+     */
+    async remove(id) {
+        const schedules = await this.getSchedules();
+        const index = schedules.findIndex(schedule => schedule.id === id);
+        if (index === -1) return false;
+
+        schedules.splice(index, 1);
+        await this.store.write({ schedules });
+        return true;
+    }
+}
+
+const scheduleStore = new ScheduleStore();
+
+module.exports = {
+    ScheduleStore,
+    scheduleStore,
+    SCHEDULE_KINDS
+};
@@ -0,0 +1,224 @@
+/**
+ * Scrape Scheduler
+ * Fires stored scrape schedules and monitors through the standard scrape pipeline and posts to their channel
+ */
+
+const { sendToN8n } = require('../../lib/n8n-service');
+const { deliverReply } = require('../../lib/reply-renderer');
+const { buildResultPayload } = require('../../lib/callbacks/callback-handler');
+const { nextCronRun } = require('../../lib/cron');
+const { logger, correlation } = require('../../lib/logging');
+const { transformScrapeData } = require('./transformer');
+const { scrapeJobs } = require('../../lib/job-registry');
+const { scheduleStore } = require('./schedule-store');
+const { reportMonitorRun } = require('../monitor/change-detector');
+
+// How often due schedules are looked for
+const TICK_INTERVAL_MS = 15 * 1000;
+// Runs overdue by more than this at startup were missed while the bot was offline
+const MISSED_RUN_GRACE_MS = 2 * TICK_INTERVAL_MS;
+
+/**
+ * Work out when a schedule should run next
+ * Interval schedules step from their previous base time so jitter does not drift the cadence.
+ * @param {Object} schedule - Schedule record
+ * @param {number} [after=Date.now()] - Milliseconds since the Unix epoch
+ * @returns {Object} `{ next_base_at, next_run_at }`
+ */
+function planNextRun(schedule, after = Date.now()) {
+    let base;
+    if (schedule.cron) {
+        base = nextCronRun(schedule.cron, after);
+    } else {
+        base = schedule.next_base_at ?? after;
+        if (base <= after) {
+            base += Math.ceil((after - base + 1) / schedule.interval_ms) * schedule.interval_ms;
+        }
+    }
+
+    const jitter = schedule.jitter_ms ? Math.floor(Math.random() * schedule.jitter_ms) : 0;
+    return { next_base_at: base, next_run_at: base + jitter };
+}
+
+/**
+ * Scrape Scheduler Class
+ * Due schedules are run one at a time; each run is planned again before it is sent, so a failing
+ * run is not retried in a loop.
+ */
+class ScrapeScheduler {
+    constructor(config = {}) {
+        this.config = {
+            ...config,
+            tickIntervalMs: config.tickIntervalMs || TICK_INTERVAL_MS,
+            missedRunGraceMs: config.missedRunGraceMs || MISSED_RUN_GRACE_MS
+        };
+
+        this.client = null;
+        this.timer = null;
+        this.ticking = false;
+    }
+
+    /**
+     * Handle runs missed while offline, then start looking for due schedules
+     * @param {Object} client - Discord client instance
+     * @returns {Promise<void>} Promise that resolves once the scheduler runs
+     */
+    async start(client) {
+        if (this.timer) return;
+        this.client = client;
+
+        await this.handleMissedRuns();
+        this.timer = setInterval(() => this.tick(), this.config.tickIntervalMs);
+        this.timer.unref();
+        logger.info('Scrape scheduler started', { schedules: (await scheduleStore.getSchedules()).length });
+    }
+
+    /**
+     * Stop looking for due schedules
+     */
+    stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+    }
+
+    /**
+     * Apply each overdue schedule's missed-run policy
+     * `run_once` leaves the schedule due so it runs once on the next tick; `skip` plans the next future run.
+     * @returns {Promise<void>} Promise that resolves when every schedule was checked
+     */
+    async handleMissedRuns() {
+        const cutoff = Date.now() - this.config.missedRunGraceMs;
+
+        for (const schedule of await scheduleStore.getSchedules()) {
+            if (schedule.paused || schedule.next_run_at > cutoff) continue;
+
+            logger.info('Scrape schedule missed a run while offline', {
+                scheduleId: schedule.id,
+                missedSince: new Date(schedule.next_run_at).toISOString(),
+                policy: schedule.missed
+            });
+            if (schedule.missed === 'skip') {
+                await scheduleStore.update(schedule.id, planNextRun(schedule));
+            }
+        }
+    }
+
+    /**
+     * Run every schedule that is due
+     * @returns {Promise<void>} Promise that resolves when the due schedules ran
+     */
+    async tick() {
+        if (this.ticking) return;
+        this.ticking = true;
+
+        try {
+            const now = Date.now();
+            const due = (await scheduleStore.getSchedules())
+                .filter(schedule => !schedule.paused && schedule.next_run_at <= now);
+
+            for (const schedule of due) {
+                await this.runSchedule(schedule);
+            }
+        } catch (error) {
+            logger.error('Scrape scheduler tick failed', { error });
+        } finally {
+            this.ticking = false;
+        }
+    }
+
+    /**
+     * Run a schedule once and post the outcome to its channel; monitors only post changes and new failures
+     * @param {Object} schedule - Schedule record
+     * @returns {Promise<Object>} The updated schedule
+     */
+    async runSchedule(schedule) {
+        const correlationId = correlation.startCorrelation();
+        const startedAt = Date.now();
+        await scheduleStore.update(schedule.id, { ...planNextRun(schedule, startedAt), last_run_at: startedAt });
+
+        let requestId = null;
+        let channel = null;
+        let status;
+        let changes = {};
+        try {
+            channel = await this.client.channels.fetch(schedule.channel_id);
+            const context = {
+                user: { id: schedule.owner_id, username: schedule.owner_name },
+                guildId: schedule.guild_id,
+                channelId: schedule.channel_id,
+                channel
+            };
+
+            const scrapeData = transformScrapeData({
+                url: schedule.url,
+                extractionRequest: schedule.extraction_request,
+                outputSchema: schedule.output_schema,
+                interaction: context
+            });
+            // Scheduled results come back with the webhook response, so no callback URL is offered
+            scrapeData.response_preferences.callback_url = null;
+            scrapeData.schedule = { id: schedule.id, name: schedule.name, kind: schedule.kind || 'scrape', run_at: startedAt };
+            requestId = scrapeData.request_id;
+
+            logger.info('Running scheduled scrape', { correlationId, scheduleId: schedule.id, requestId, url: schedule.url });
+            scrapeJobs.create({ requestId, url: schedule.url, interaction: context });
+            scrapeJobs.transition(requestId, 'sent');
+
+            // Monitor runs carry the same payload but go to the monitor workflow
+            const response = await sendToN8n(scrapeData, 'scrape_command', {
+                durable: false,
+                rateLimit: false,
+                priority: scrapeData.processing_hints.priority,
+                route: schedule.kind === 'monitor' ? 'monitor' : 'scrape_command'
+            });
+
+            // A job cancelled while in flight stays cancelled
+            status = scrapeJobs.transition(requestId, 'completed')?.state || 'completed';
+
+            if (schedule.kind === 'monitor') {
+                changes = await reportMonitorRun(schedule, { channel, status, response, requestId });
+            } else if (status === 'completed' && !(await deliverReply(response, { channel }))) {
+                const payload = buildResultPayload({ requestId, context: { url: schedule.url } }, status, response.data ?? null);
+                await channel.send({ ...payload, content: `🗓️ **Scheduled scrape:** ${schedule.name}\n${payload.content}` });
+            }
+        } catch (error) {
+            // sendToN8n throws on unsuccessful responses, so failed runs are reported from here
+            status = (requestId && scrapeJobs.transition(requestId, 'failed', { error: error.message })?.state) || 'failed';
+            logger.error('Scheduled scrape failed', { correlationId, scheduleId: schedule.id, requestId, error });
+
+            if (channel && status === 'failed') {
+                await this.reportFailure(schedule, { channel, status, error, requestId })
+                    .catch(postError => logger.error('Could not post scheduled scrape failure', { scheduleId: schedule.id, error: postError }));
+            }
+        } finally {
+            correlation.endCorrelation();
+        }
+
+        return scheduleStore.update(schedule.id, { ...changes, last_status: status, last_request_id: requestId });
+    }
+
+    /**
+     * Post a failed run to the schedule's channel; monitors only post the first of consecutive failures
+     * @param {Object} schedule - Schedule record
+     * @param {Object} run - Run outcome with channel, status, error and requestId
+     * @returns {Promise<void>} Promise that resolves when the failure was posted
+     */
+    async reportFailure(schedule, { channel, status, error, requestId }) {
+        if (schedule.kind === 'monitor') {
+            await reportMonitorRun(schedule, { channel, status, response: { error }, requestId });
+            return;
+        }
+
+        const payload = buildResultPayload({ requestId, context: { url: schedule.url } }, status, { error: error.message });
+        await channel.send({ ...payload, content: `🗓️ **Scheduled scrape:** ${schedule.name}\n${payload.content}` });
+    }
+}
+
+const scrapeScheduler = new ScrapeScheduler();
+
+module.exports = {
+    ScrapeScheduler,
+    scrapeScheduler,
+    planNextRun,
+    TICK_INTERVAL_MS
+};
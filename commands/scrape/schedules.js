@@ -0,0 +1,247 @@
+/**
+ * Scrape Schedule Subcommands
+ * Handles add, list, pause, resume and remove for /scrape schedule and /monitor
+ */
+
+const { PermissionFlagsBits } = require('discord.js');
+const { parseCron, nextCronRun } = require('../../lib/cron');
+const { logger, correlation } = require('../../lib/logging');
+const { validateScrapeInput } = require('./validator');
+const { parseDuration } = require('./utils');
+const { scheduleStore, SCHEDULE_KINDS } = require('./schedule-store');
+const { planNextRun } = require('./scheduler');
+const { handleValidationError, handleCommandError } = require('./run');
+
+// Shortest time allowed between two runs of a schedule
+const MIN_INTERVAL_MS = 15 * 60 * 1000;
+// Consecutive cron runs checked against MIN_INTERVAL_MS
+const CRON_RUNS_CHECKED = 10;
+const STATUS_EMOJIS = { completed: '✅', failed: '❌', cancelled: '⏹️' };
+// A member may only schedule posts to channels they can read and post in themselves
+const MEMBER_CHANNEL_PERMISSIONS = [PermissionFlagsBits.ViewChannel, PermissionFlagsBits.SendMessages];
+
+/**
+ * Format a duration in milliseconds, e.g. `1h 30m`
+ * @param {number} ms - Duration in milliseconds
+ * @returns {string} Formatted duration
+ */
+function formatDuration(ms) {
+    const units = [['d', 86400000], ['h', 3600000], ['m', 60000], ['s', 1000]];
+    const parts = [];
+    for (const [unit, size] of units) {
+        if (ms >= size) {
+            parts.push(`${Math.floor(ms / size)}${unit}`);
+            ms %= size;
+        }
+    }
+    return parts.join(' ') || '0s';
+}
+
+/**
+ * Work out a schedule's timing from the cron and every options
+ * @param {Object} interaction - Discord interaction object
+ * @returns {Object} `{ cron, interval_ms, period }` or `{ error }`
+ */
+function parseTiming(interaction) {
+    const cron = interaction.options.getString('cron')?.trim() || null;
+    const every = interaction.options.getString('every')?.trim() || null;
+
+    if (Boolean(cron) === Boolean(every)) {
+        return { error: '🚫 Give either a `cron` expression or an `every` interval.' };
+    }
+
+    if (every) {
+        const intervalMs = parseDuration(every);
+        if (!intervalMs) return { error: '🚫 `every` must be a duration such as `30m`, `6h` or `1d`.' };
+        if (intervalMs < MIN_INTERVAL_MS) return { error: `🚫 Schedules can run at most every ${formatDuration(MIN_INTERVAL_MS)}.` };
+        return { cron: null, interval_ms: intervalMs, period: intervalMs };
+    }
+
+    let period = Infinity;
+    try {
+        const parsed = parseCron(cron);
+        let previous = nextCronRun(parsed);
+        for (let run = 1; run < CRON_RUNS_CHECKED; run++) {
+            const next = nextCronRun(parsed, previous);
+            period = Math.min(period, next - previous);
+            previous = next;
+        }
+    } catch (error) {
+        return { error: `🚫 Invalid cron expression: ${error.message}.` };
+    }
+    if (period < MIN_INTERVAL_MS) return { error: `🚫 Schedules can run at most every ${formatDuration(MIN_INTERVAL_MS)}.` };
+    return { cron, interval_ms: null, period };
+}
+
+/**
+ * Describe when a schedule runs
+ * @param {Object} schedule - Schedule record
+ * @returns {string} Timing description
+ */
+const describeTiming = (schedule) =>
+    (schedule.cron ? `cron \`${schedule.cron}\` (UTC)` : `every ${formatDuration(schedule.interval_ms)}`) +
+    (schedule.jitter_ms ? ` ±${formatDuration(schedule.jitter_ms)}` : '');
+
+/**
+ * Add a schedule after validating it like a scrape request
+ * @param {Object} interaction - Discord interaction object
+ * @param {string} kind - Schedule kind
+ * @param {string} correlationId - Request correlation ID
+ */
+async function addSchedule(interaction, kind, correlationId) {
+    const url = interaction.options.getString('url');
+    const extractionRequest = interaction.options.getString('extraction_request');
+    const outputSchema = interaction.options.getString('output_schema');
+    const channel = interaction.options.getChannel('channel');
+
+    const validationResult = validateScrapeInput({ url, extractionRequest, outputSchema });
+    if (!validationResult.isValid) {
+        await handleValidationError(interaction, validationResult.error, correlationId);
+        return;
+    }
+
+    const timing = parseTiming(interaction);
+    const jitterText = interaction.options.getString('jitter');
+    const jitterMs = jitterText ? parseDuration(jitterText) : 0;
+    const error = timing.error ||
+        (jitterMs === null ? '🚫 `jitter` must be a duration such as `5m`.' : null) ||
+        (jitterMs >= timing.period ? '🚫 `jitter` must be shorter than the time between runs.' : null) ||
+        (channel.permissionsFor?.(interaction.member)?.has(MEMBER_CHANNEL_PERMISSIONS) !== true ?
+            `🚫 You need to be able to view and send messages in ${channel}.` : null) ||
+        (channel.permissionsFor?.(interaction.client.user)?.has(PermissionFlagsBits.SendMessages) === false ?
+            `🚫 I cannot send messages in ${channel}.` : null);
+    if (error) {
+        await interaction.reply({ content: error, ephemeral: true });
+        return;
+    }
+
+    const schedule = {
+        kind,
+        name: interaction.options.getString('name'),
+        owner_id: interaction.user.id,
+        owner_name: interaction.user.username,
+        guild_id: interaction.guildId,
+        channel_id: channel.id,
+        url,
+        extraction_request: extractionRequest,
+        output_schema: outputSchema,
+        cron: timing.cron,
+        interval_ms: timing.interval_ms,
+        jitter_ms: jitterMs,
+        missed: interaction.options.getString('missed') || 'run_once',
+        paused: false,
+        last_run_at: null,
+        last_status: null,
+        last_request_id: null
+    };
+
+    const result = await scheduleStore.add({ ...schedule, ...planNextRun(schedule) });
+    if (!result.success) {
+        await interaction.reply({ content: result.error, ephemeral: true });
+        return;
+    }
+
+    logger.info('Scrape schedule added', { correlationId, kind, scheduleId: result.schedule.id, userId: interaction.user.id });
+    const posting = kind === 'monitor' ? 'posting changes to' : 'posting to';
+    await interaction.reply({
+        content: `🗓️ ${SCHEDULE_KINDS[kind].title} **${result.schedule.name}** added: ${describeTiming(result.schedule)}, ` +
+            `${posting} <#${channel.id}>.\n` +
+            `⏭️ **Next run:** <t:${Math.floor(result.schedule.next_run_at / 1000)}:R>`,
+        ephemeral: true
+    });
+}
+
+/**
+ * List the guild's schedules of one kind
+ * @param {Object} interaction - Discord interaction object
+ * @param {string} kind - Schedule kind
+ */
+async function listSchedules(interaction, kind) {
+    const { noun, title, command } = SCHEDULE_KINDS[kind];
+    const schedules = await scheduleStore.list(interaction.guildId, kind);
+    if (schedules.length === 0) {
+        await interaction.reply({ content: `This server has no ${noun}s. Add one with \`${command} add\`.`, ephemeral: true });
+        return;
+    }
+
+    const lines = schedules.map(schedule =>
+        `${schedule.paused ? '⏸️' : '▶️'} **${schedule.name}** · ${describeTiming(schedule)} · <#${schedule.channel_id}>\n` +
+        `   ${schedule.url.substring(0, 80)} · ${schedule.paused ? 'paused' : `next <t:${Math.floor(schedule.next_run_at / 1000)}:R>`}` +
+        (schedule.last_status ? ` · last ${STATUS_EMOJIS[schedule.last_status] || '❌'} <t:${Math.floor(schedule.last_run_at / 1000)}:R>` : '') +
+        (schedule.last_changed_at ? ` · changed <t:${Math.floor(schedule.last_changed_at / 1000)}:R>` : ''));
+
+    await interaction.reply({ content: `🗓️ **${title}s**\n${lines.join('\n')}`.substring(0, 2000), ephemeral: true });
+}
+
+/**
+ * Pause, resume or remove a schedule owned by the user, or any schedule for server managers
+ * Resumed schedules skip the runs that fell in the pause.
+ * @param {Object} interaction - Discord interaction object
+ * @param {string} action - 'pause', 'resume' or 'remove'
+ * @param {string} kind - Schedule kind
+ * @param {string} correlationId - Request correlation ID
+ */
+async function changeSchedule(interaction, action, kind, correlationId) {
+    const { noun, title, command } = SCHEDULE_KINDS[kind];
+    const name = interaction.options.getString('name');
+    const schedule = await scheduleStore.find(interaction.guildId, name, kind);
+    const canManageGuild = Boolean(interaction.memberPermissions?.has(PermissionFlagsBits.ManageGuild));
+
+    if (!schedule || (schedule.owner_id !== interaction.user.id && !canManageGuild)) {
+        await interaction.reply({ content: `No ${noun} named **${name}** that you can change. See \`${command} list\`.`, ephemeral: true });
+        return;
+    }
+
+    if (action === 'remove') {
+        await scheduleStore.remove(schedule.id);
+    } else {
+        await scheduleStore.update(schedule.id, action === 'pause' ? { paused: true } : { paused: false, ...planNextRun(schedule) });
+    }
+
+    logger.info('Scrape schedule changed', { correlationId, scheduleId: schedule.id, action, userId: interaction.user.id });
+    const label = `${title} **${schedule.name}**`;
+    const messages = {
+        pause: `⏸️ ${label} paused.`,
+        resume: `▶️ ${label} resumed. Next run <t:${Math.floor(schedule.next_run_at / 1000)}:R>.`,
+        remove: `🗑️ ${label} removed.`
+    };
+    await interaction.reply({ content: messages[action], ephemeral: true });
+}
+
+/**
+ * Dispatch a schedule subcommand
+ * @param {Object} interaction - Discord interaction object
+ * @param {string} [kind='scrape'] - Schedule kind the command manages
+ * @returns {Promise<void>} Promise that resolves when the subcommand is handled
+ */
+async function executeScheduleCommand(interaction, kind = 'scrape') {
+    const correlationId = correlation.getCorrelationId();
+
+    try {
+        if (!interaction.guildId) {
+            await interaction.reply({ content: `\`${SCHEDULE_KINDS[kind].command}\` can only be used in a server.`, ephemeral: true });
+            return;
+        }
+
+        const subcommand = interaction.options.getSubcommand();
+        switch (subcommand) {
+            case 'add':
+                return await addSchedule(interaction, kind, correlationId);
+            case 'list':
+                return await listSchedules(interaction, kind);
+            case 'pause':
+            case 'resume':
+            case 'remove':
+                return await changeSchedule(interaction, subcommand, kind, correlationId);
+            default:
+                await interaction.reply({ content: 'Unknown schedule subcommand.', ephemeral: true });
+        }
+    } catch (error) {
+        await handleCommandError(interaction, error, correlationId);
+    }
+}
+
+module.exports = {
+    executeScheduleCommand,
+    formatDuration
+};
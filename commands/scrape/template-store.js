@@ -0,0 +1,187 @@
+/**
+ * Scrape Template Store
+ * Persists named scrape templates owned by a user and optionally shared with their guild
+ */
+
+const { JsonStore, getDataPath } = require('../../lib/json-store');
+
+const TEMPLATE_NAME_PATTERN = /^[a-z0-9_-]{1,32}$/;
+const MAX_TEMPLATES_PER_USER = 25;
+
+/**
+ * Check whether a URL matches a template URL pattern, where `*` matches any characters
+ * @param {string} url - URL to check
+ * @param {string} pattern - Template URL pattern
+ * @returns {boolean} True when the URL matches
+ */
+function matchesUrlPattern(url, pattern) {
+    const source = pattern.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*');
+    return new RegExp(`^${source}$`, 'i').test(url);
+}
+
+/**
+ * Check whether a template URL pattern is a complete URL that can be scraped as is
+ * @param {string} pattern - Template URL pattern
+ * @returns {boolean} True when the pattern has no wildcards
+ */
+const isConcreteUrl = (pattern) => !pattern.includes('*');
+
+/**
+ * Scrape Template Store Class
+ * Own templates are usable everywhere; shared templates are usable by every member of their guild
+ */
+class TemplateStore {
+    constructor(config = {}) {
+        this.config = {
+            ...config,
+            filePath: config.filePath || getDataPath('scrape-templates.json'),
+            maxPerUser: config.maxPerUser || MAX_TEMPLATES_PER_USER
+        };
+
+        this.store = new JsonStore(this.config.filePath, { templates: [] });
+        this.loading = null;
+        this.changes = Promise.resolve();
+    }
+
+    /**
+     * Load the stored templates once
+     * @returns {Promise<Object[]>} Stored templates
+     */
+    async getTemplates() {
+        this.loading = this.loading || this.store.read().then(data => data.templates || []);
+        try {
+            return await this.loading;
+        } catch (error) {
+            this.loading = null;
+            throw error;
+        }
+    }
+
+    /**
+     * Apply changes one at a time; each returns the next template list, which replaces the cached one only
+     * once it was written
+     * @param {Function} change - Receives the current templates and resolves to `{ templates, result }`
+     * @returns {Promise<*>} The change's result
+     */
+    applyChange(change) {
+        const run = this.changes.then(async () => {
+            const current = await this.getTemplates();
+            const { templates, result } = await change(current);
+            if (templates) {
+                await this.store.write({ templates });
+                current.splice(0, current.length, ...templates);
+            }
+            return result;
+        });
+
+        this.changes = run.catch(() => null);
+        return run;
+    }
+
+    /**
+     * List the templates a user can run: their own plus those shared in the current guild
+     * @param {Object} context - `{ userId, guildId }`
+     * @returns {Promise<Object[]>} Templates sorted by name, own templates first
+     */
+    async list({ userId, guildId }) {
+        const templates = await this.getTemplates();
+        const own = templates.filter(template => template.owner_id === userId);
+        const shared = templates.filter(template =>
+            template.owner_id !== userId && template.shared && guildId && template.guild_id === guildId);
+        const byName = (a, b) => a.name.localeCompare(b.name);
+
+        return [...own.sort(byName), ...shared.sort(byName)];
+    }
+
+    /**
+     * Find a template by name, preferring the user's own template over a shared one
+     * @param {Object} context - `{ userId, guildId }`
+     * @param {string} name - Template name
+     * @returns {Promise<Object|null>} Template, or null when none is accessible
+     */
+    async find(context, name) {
+        const key = name.toLowerCase();
+        return (await this.list(context)).find(template => template.name === key) || null;
+    }
+
+    /**
+     * Create or replace one of the user's templates
+     * @param {Object} context - `{ userId, guildId }`
+     * @param {Object} input - Template fields
+     * @param {string} input.name - Template name
+     * @param {string} input.urlPattern - URL, or URL pattern with `*` wildcards
+     * @param {string} input.extractionRequest - What data to extract
+     * @param {string} input.outputSchema - Output schema JSON
+     * @param {boolean} [input.shared=false] - Share the template with the current guild
+     * @returns {Promise<Object>} `{ success, template, created }` or `{ success: false, error }`
+     */
+    async save({ userId, guildId }, { name, urlPattern, extractionRequest, outputSchema, shared = false }) {
+        const key = name.toLowerCase();
+        if (!TEMPLATE_NAME_PATTERN.test(key)) {
+            return { success: false, error: 'Template names may only use letters, numbers, `-` and `_` (up to 32 characters).' };
+        }
+        if (shared && !guildId) {
+            return { success: false, error: 'Templates can only be shared from within a server.' };
+        }
+
+        return this.applyChange((templates) => {
+            const existing = templates.find(template => template.owner_id === userId && template.name === key);
+
+            const conflict = shared && templates.find(template => template.owner_id !== userId &&
+                template.shared && template.guild_id === guildId && template.name === key);
+            if (conflict) {
+                const error = `A template named **${key}** is already shared in this server.`;
+                return { result: { success: false, error } };
+            }
+            if (!existing && templates.filter(template => template.owner_id === userId).length >= this.config.maxPerUser) {
+                const error = `You can keep up to ${this.config.maxPerUser} templates. Delete one first.`;
+                return { result: { success: false, error } };
+            }
+
+            const now = new Date().toISOString();
+            const template = {
+                name: key,
+                owner_id: userId,
+                guild_id: guildId || null,
+                shared: Boolean(shared),
+                url_pattern: urlPattern,
+                extraction_request: extractionRequest,
+                output_schema: outputSchema,
+                created_at: existing?.created_at || now,
+                updated_at: now
+            };
+
+            const next = existing
+                ? templates.map(candidate => (candidate === existing ? template : candidate))
+                : [...templates, template];
+            return { templates: next, result: { success: true, template, created: !existing } };
+        });
+    }
+
+    /**
+     * Delete a template: the user's own, or a shared one when the user manages the guild
+     * @param {Object} context - `{ userId, guildId, canManageGuild }`
+     * @param {string} name - Template name
+     * @returns {Promise<Object|null>} Deleted template, or null when none could be deleted
+     */
+    async remove({ userId, guildId, canManageGuild = false }, name) {
+        const key = name.toLowerCase();
+        return this.applyChange((templates) => {
+            const template = templates.find(candidate => candidate.owner_id === userId && candidate.name === key) ||
+                (canManageGuild ? templates.find(candidate => candidate.shared && guildId &&
+                    candidate.guild_id === guildId && candidate.name === key) : null);
+
+            if (!template) return { result: null };
+            return { templates: templates.filter(candidate => candidate !== template), result: template };
+        });
+    }
+}
+
+const templateStore = new TemplateStore();
+
+module.exports = {
+    TemplateStore,
+    templateStore,
+    matchesUrlPattern,
+    isConcreteUrl
+};
@@ -0,0 +1,195 @@
+/**
+ * Scrape Template Subcommands
+ * Handles /scrape template save, list, delete and run
+ */
+
+const { PermissionFlagsBits } = require('discord.js');
+const { logger, correlation } = require('../../lib/logging');
+const { validateScrapeInput } = require('./validator');
+const { templateStore, matchesUrlPattern, isConcreteUrl } = require('./template-store');
+const { runScrape, handleValidationError, handleCommandError } = require('./run');
+
+const MAX_LIST_LENGTH = 1900;
+
+/**
+ * Build the store context for an interaction
+ * @param {Object} interaction - Discord interaction object
+ * @returns {Object} `{ userId, guildId }`
+ */
+const getContext = (interaction) => ({
+    userId: interaction.user.id,
+    guildId: interaction.guildId
+});
+
+/**
+ * Save a template after validating it like a scrape request
+ * Wildcards in the URL pattern are filled in so the pattern can be checked as a URL
+ * @param {Object} interaction - Discord interaction object
+ * @param {string} correlationId - Request correlation ID
+ */
+async function saveTemplate(interaction, correlationId) {
+    const name = interaction.options.getString('name');
+    const urlPattern = interaction.options.getString('url_pattern');
+    const extractionRequest = interaction.options.getString('extraction_request');
+    const outputSchema = interaction.options.getString('output_schema');
+    const shared = interaction.options.getBoolean('shared') ?? false;
+
+    const validationResult = validateScrapeInput({
+        url: urlPattern.replace(/\*/g, 'example'),
+        extractionRequest,
+        outputSchema
+    });
+    if (!validationResult.isValid) {
+        await handleValidationError(interaction, validationResult.error, correlationId);
+        return;
+    }
+
+    const result = await templateStore.save(getContext(interaction), {
+        name,
+        urlPattern,
+        extractionRequest,
+        outputSchema,
+        shared
+    });
+    if (!result.success) {
+        await interaction.reply({ content: result.error, ephemeral: true });
+        return;
+    }
+
+    logger.info('Scrape template saved', {
+        correlationId,
+        template: result.template.name,
+        shared,
+        created: result.created,
+        userId: interaction.user.id
+    });
+
+    const scope = shared ? 'shared with this server' : 'private to you';
+    await interaction.reply({
+        content: `✅ Template **${result.template.name}** ${result.created ? 'saved' : 'updated'} (${scope}).`,
+        ephemeral: true
+    });
+}
+
+/**
+ * List the templates the user can run
+ * @param {Object} interaction - Discord interaction object
+ */
+async function listTemplates(interaction) {
+    const templates = await templateStore.list(getContext(interaction));
+    if (templates.length === 0) {
+        await interaction.reply({
+            content: 'No templates yet. Save one with `/scrape template save`.',
+            ephemeral: true
+        });
+        return;
+    }
+
+    const lines = templates.map(template => {
+        const owner = template.owner_id === interaction.user.id ?
+            (template.shared ? ' · shared' : '') : ` · shared by <@${template.owner_id}>`;
+        return `• **${template.name}** — \`${template.url_pattern}\`${owner}`;
+    });
+
+    let content = `📋 **Scrape templates**\n${lines.join('\n')}`;
+    if (content.length > MAX_LIST_LENGTH) {
+        content = `${content.substring(0, MAX_LIST_LENGTH)}\n…`;
+    }
+
+    await interaction.reply({ content, ephemeral: true, allowedMentions: { parse: [] } });
+}
+
+/**
+ * Delete a template owned by the user, or a shared one when the user can manage the server
+ * @param {Object} interaction - Discord interaction object
+ * @param {string} correlationId - Request correlation ID
+ */
+async function deleteTemplate(interaction, correlationId) {
+    const name = interaction.options.getString('name');
+    const removed = await templateStore.remove({
+        ...getContext(interaction),
+        canManageGuild: Boolean(interaction.memberPermissions?.has(PermissionFlagsBits.ManageGuild))
+    }, name);
+
+    if (!removed) {
+        await interaction.reply({ content: `No template named **${name}** that you can delete.`, ephemeral: true });
+        return;
+    }
+
+    logger.info('Scrape template deleted', {
+        correlationId,
+        template: removed.name,
+        ownerId: removed.owner_id,
+        userId: interaction.user.id
+    });
+
+    await interaction.reply({ content: `🗑️ Template **${removed.name}** deleted.`, ephemeral: true });
+}
+
+/**
+ * Run a scrape with a template's extraction request and output schema
+ * The URL option is required when the template's URL pattern contains wildcards
+ * @param {Object} interaction - Discord interaction object
+ */
+async function runTemplate(interaction) {
+    const name = interaction.options.getString('name');
+    const template = await templateStore.find(getContext(interaction), name);
+    if (!template) {
+        await interaction.reply({ content: `No template named **${name}**. See \`/scrape template list\`.`, ephemeral: true });
+        return;
+    }
+
+    const url = interaction.options.getString('url') ||
+        (isConcreteUrl(template.url_pattern) ? template.url_pattern : null);
+    if (!url) {
+        await interaction.reply({
+            content: `Template **${template.name}** matches \`${template.url_pattern}\`; provide a \`url\` to scrape.`,
+            ephemeral: true
+        });
+        return;
+    }
+    if (!matchesUrlPattern(url, template.url_pattern)) {
+        await interaction.reply({
+            content: `That URL does not match template **${template.name}** (\`${template.url_pattern}\`).`,
+            ephemeral: true
+        });
+        return;
+    }
+
+    await runScrape(interaction, {
+        url,
+        extractionRequest: template.extraction_request,
+        outputSchema: template.output_schema,
+        template: { name: template.name, owner_id: template.owner_id, shared: template.shared }
+    });
+}
+
+/**
+ * Dispatch a /scrape template subcommand
+ * @param {Object} interaction - Discord interaction object
+ * @returns {Promise<void>} Promise that resolves when the subcommand is handled
+ */
+async function executeTemplateCommand(interaction) {
+    const correlationId = correlation.getCorrelationId();
+
+    try {
+        switch (interaction.options.getSubcommand()) {
+            case 'save':
+                return await saveTemplate(interaction, correlationId);
+            case 'list':
+                return await listTemplates(interaction);
+            case 'delete':
+                return await deleteTemplate(interaction, correlationId);
+            case 'run':
+                return await runTemplate(interaction);
+            default:
+                await interaction.reply({ content: 'Unknown template subcommand.', ephemeral: true });
+        }
+    } catch (error) {
+        await handleCommandError(interaction, error, correlationId);
+    }
+}
+
+module.exports = {
+    executeTemplateCommand
+};
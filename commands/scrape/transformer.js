@@ -7,6 +7,7 @@ const { logger } = require('../../lib/logging');
 const { cleanUrl, sanitizeExtractionRequest, generateRequestId } = require('./utils');
 const { determinePriority, estimateComplexity, suggestTimeout, determineRetryStrategy } = require('./processing');
 const { formatSuccessMessage, formatErrorMessage } = require('./formatters');
+const { getCallbackUrl } = require('../../lib/callbacks/pending-requests');
 
 /**
  * Transform scrape input data into N8N-compatible format
@@ -14,10 +15,11 @@ const { formatSuccessMessage, formatErrorMessage } = require('./formatters');
  * @param {string} params.url - Target URL to scrape
  * @param {string} params.extractionRequest - What data to extract
  * @param {string} params.outputSchema - Desired output structure
+ * @param {Object} [params.template] - Template the request was built from, `{ name, owner_id, shared }`
  * @param {Object} params.interaction - Discord interaction object
  * @returns {Object} Transformed data for N8N processing
  */
-function transformScrapeData({ url, extractionRequest, outputSchema, interaction }) {
+function transformScrapeData({ url, extractionRequest, outputSchema, template, interaction }) {
     const timestamp = Date.now();
     
     // Parse output schema for validation (we know it's valid from validator)
@@ -63,10 +65,15 @@ function transformScrapeData({ url, extractionRequest, outputSchema, interaction
             format: 'json',
             include_metadata: true,
             max_response_size: 50000, // 50KB limit
-            truncate_on_overflow: true
+            truncate_on_overflow: true,
+            callback_url: getCallbackUrl()
         }
     };
 
+    if (template) {
+        transformedData.template = template;
+    }
+
     logger.debug('Transformed scrape data for N8N', {
         url: transformedData.url,
         requestId: transformedData.request_id,
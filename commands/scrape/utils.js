@@ -4,6 +4,7 @@
  */
 
 const { logger } = require('../../lib/logging');
+const { extractDomain } = require('../../lib/formatters/status-messages');
 
 /**
  * Clean and normalize URL for safe processing
@@ -81,23 +82,23 @@ function generateRequestId(interaction) {
 }
 
 /**
- * Extract domain from URL for categorization
- * @param {string} url - URL to analyze
- * @returns {string} Domain name or 'unknown'
+ * Parse a duration such as `90s`, `15m`, `6h`, `1d` or `1h30m`
+ * @param {string} text - Duration text
+ * @returns {number|null} Milliseconds, or null when the text is not a duration
  */
-function extractDomain(url) {
-    try {
-        const urlObj = new URL(url);
-        return urlObj.hostname.toLowerCase();
-    } catch (error) {
-        logger.warn('Failed to extract domain from URL', { url, error });
-        return 'unknown';
-    }
+function parseDuration(text) {
+    const units = { s: 1000, m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 };
+    const normalized = String(text).trim().toLowerCase().replace(/\s+/g, '');
+    if (!/^(\d+[smhd])+$/.test(normalized)) return null;
+
+    return [...normalized.matchAll(/(\d+)([smhd])/g)]
+        .reduce((total, [, amount, unit]) => total + Number(amount) * units[unit], 0);
 }
 
 module.exports = {
     cleanUrl,
     sanitizeExtractionRequest,
     generateRequestId,
-    extractDomain
+    extractDomain,
+    parseDuration
 };
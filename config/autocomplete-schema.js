@@ -0,0 +1,34 @@
+/**
+ * Autocomplete Schema Definitions
+ * Joi validation schema for the latency budget and cache of N8N-backed autocomplete
+ */
+
+const Joi = require('joi');
+
+// Discord drops autocomplete responses sent more than 3 seconds after the interaction
+const autocompleteSchema = Joi.object({
+  timeoutMs: Joi.number()
+    .integer()
+    .min(100)
+    .max(2500)
+    .default(2000)
+    .description('Time the autocomplete endpoint gets before the bot answers without its suggestions'),
+
+  cacheTtlMs: Joi.number()
+    .integer()
+    .min(0)
+    .max(3600000)
+    .default(60000)
+    .description('How long suggestions for the same command, option, guild and input are reused'),
+
+  cacheSize: Joi.number()
+    .integer()
+    .min(1)
+    .max(10000)
+    .default(500)
+    .description('Maximum number of cached suggestion lists')
+}).default({ timeoutMs: 2000, cacheTtlMs: 60000, cacheSize: 500 });
+
+module.exports = {
+  autocompleteSchema
+};
@@ -0,0 +1,113 @@
+/**
+ * Command Schema Definitions
+ * Joi validation schemas for slash commands declared on endpoints
+ */
+
+const Joi = require('joi');
+
+// Slash command option schema
+const commandOptionSchema = Joi.object({
+  name: Joi.string()
+    .pattern(/^[a-z0-9_-]{1,32}$/)
+    .required()
+    .description('Option name as shown in Discord'),
+
+  description: Joi.string()
+    .min(1)
+    .max(100)
+    .required()
+    .description('Option description'),
+
+  type: Joi.string()
+    .valid('string', 'integer', 'number', 'boolean', 'user', 'channel', 'role', 'mentionable', 'attachment')
+    .default('string')
+    .description('Discord option type'),
+
+  required: Joi.boolean()
+    .default(false)
+    .description('Whether the option must be provided'),
+
+  choices: Joi.array()
+    .items(Joi.object({
+      name: Joi.string().min(1).max(100).required(),
+      value: Joi.alternatives(Joi.string().max(100), Joi.number()).required()
+    }))
+    .max(25)
+    .optional()
+    .when('autocomplete', { is: true, then: Joi.forbidden() })
+    .description('Fixed choices for string, integer and number options'),
+
+  autocomplete: Joi.boolean()
+    .optional()
+    .description('Suggest values from the autocomplete endpoint while typing (string, integer and number options)'),
+
+  minValue: Joi.number().optional().description('Minimum for integer and number options'),
+  maxValue: Joi.number().optional().description('Maximum for integer and number options'),
+  minLength: Joi.number().integer().min(0).max(6000).optional().description('Minimum string length'),
+  maxLength: Joi.number().integer().min(1).max(6000).optional().description('Maximum string length')
+});
+
+// Who can see a command, shared by slash and context menu commands
+const permissionsSchema = Joi.object({
+  defaultMemberPermissions: Joi.array()
+    .items(Joi.string())
+    .optional()
+    .description('PermissionFlagsBits names required to see the command'),
+
+  dmPermission: Joi.boolean()
+    .default(false)
+    .description('Whether the command is available in DMs')
+}).default({ dmPermission: false });
+
+// Slash command schema, forwarding options to the endpoint it is declared on
+const commandSchema = Joi.object({
+  name: Joi.string()
+    .pattern(/^[a-z0-9_-]{1,32}$/)
+    .optional()
+    .description('Command name, defaults to the endpoint name'),
+
+  description: Joi.string()
+    .min(1)
+    .max(100)
+    .required()
+    .description('Command description'),
+
+  options: Joi.array()
+    .items(commandOptionSchema)
+    .max(25)
+    .unique('name')
+    .default([])
+    .description('Command options forwarded to the endpoint'),
+
+  permissions: permissionsSchema,
+
+  ephemeral: Joi.boolean()
+    .default(true)
+    .description('Whether replies are only visible to the invoking user')
+});
+
+// Message or user context menu command, sending its target to the endpoint it is declared on
+const contextMenuSchema = Joi.object({
+  name: Joi.string()
+    .min(1)
+    .max(32)
+    .required()
+    .description('Name shown in the Apps menu, e.g. "Send to triage"'),
+
+  type: Joi.string()
+    .valid('message', 'user')
+    .required()
+    .description('Whether the command appears on messages or on users'),
+
+  permissions: permissionsSchema,
+
+  ephemeral: Joi.boolean()
+    .default(true)
+    .description('Whether replies are only visible to the invoking user')
+});
+
+module.exports = {
+  commandOptionSchema,
+  commandSchema,
+  contextMenuSchema
+};
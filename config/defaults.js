@@ -10,14 +10,55 @@ const defaultConfig = {
       timeout: 30000,
       retries: 3,
       priority: 1,
-      enabled: true
+      enabled: true,
+      critical: true,
+      events: ['scrape_command', 'scrape_cancel']
+    },
+    discord_events: {
+      url: 'http://localhost:5678/webhook/discord-events',
+      timeout: 15000,
+      retries: 2,
+      priority: 2,
+      enabled: true,
+      critical: true,
+      events: [
+        'message_create', 'thread_message', 'message_update', 'message_delete', 'message_bulk_delete',
+        'reaction_add', 'reaction_remove',
+        'thread_create', 'thread_delete', 'thread_update', 'thread_member_join', 'thread_member_leave',
+        'member_join', 'member_leave', 'member_update', 'voice_state_update',
+        'scheduled_event_create', 'scheduled_event_update', 'scheduled_event_delete',
+        'invite_create', 'invite_delete', 'automod_action'
+      ]
     },
     analyze: {
       url: 'http://localhost:5678/webhook/analyze',
       timeout: 45000,
       retries: 2,
       priority: 2,
-      enabled: true
+      enabled: true,
+      command: {
+        description: 'Analyze text or a URL with the analysis workflow',
+        options: [
+          {
+            name: 'input',
+            description: 'Text or URL to analyze',
+            type: 'string',
+            required: true,
+            maxLength: 4000
+          },
+          {
+            name: 'mode',
+            description: 'Kind of analysis to run',
+            type: 'string',
+            choices: [
+              { name: 'Summary', value: 'summary' },
+              { name: 'Sentiment', value: 'sentiment' },
+              { name: 'Keywords', value: 'keywords' }
+            ]
+          }
+        ]
+      },
+      contextMenus: [{ name: 'Analyze message', type: 'message' }]
     },
     monitor: {
       url: 'http://localhost:5678/webhook/monitor',
@@ -31,7 +72,27 @@ const defaultConfig = {
       timeout: 15000,
       retries: 1,
       priority: 1,
-      enabled: true
+      enabled: true,
+      command: {
+        description: 'Send a notification through the notify workflow',
+        options: [
+          {
+            name: 'message',
+            description: 'Notification text',
+            type: 'string',
+            required: true,
+            maxLength: 2000
+          },
+          {
+            name: 'channel',
+            description: 'Channel to notify, defaults to this one',
+            type: 'channel'
+          }
+        ],
+        permissions: {
+          defaultMemberPermissions: ['ManageMessages']
+        }
+      }
     }
   },
   environments: {
@@ -59,11 +120,22 @@ const defaultConfig = {
     },
     queue: {
       maxSize: 1000,
-      concurrency: 5
+      concurrency: 5,
+      agingIntervalMs: 5000
     },
     monitoring: {
       enabled: true,
       metricsRetention: 86400000
+    },
+    filters: {
+      defaultAction: 'allow',
+      rules: []
+    },
+    reactionRoutes: [],
+    autocomplete: {
+      timeoutMs: 2000,
+      cacheTtlMs: 60000,
+      cacheSize: 500
     }
   }
 };
@@ -99,7 +171,8 @@ function getMinimalConfig() {
         timeout: 30000,
         retries: 1,
         priority: 1,
-        enabled: true
+        enabled: true,
+        events: ['scrape_command', 'scrape_cancel']
       }
     },
     environments: {
@@ -28,21 +28,26 @@ function loadEnvironmentVariables() {
   const endpointTimeouts = {};
 
   Object.keys(process.env).forEach(key => {
-    // Match N8N_COMMANDNAME_URL pattern
+    // Match N8N_COMMANDNAME_URL pattern (N8N_DISCORD_EVENTS_URL -> discord_events)
     const urlMatch = key.match(/^N8N_([A-Z_]+)_URL$/);
     if (urlMatch) {
-      const commandName = urlMatch[1].toLowerCase().replace(/_/g, '');
+      const commandName = urlMatch[1].toLowerCase();
       endpointUrls[commandName] = process.env[key];
     }
 
     // Match N8N_COMMANDNAME_TIMEOUT pattern
     const timeoutMatch = key.match(/^N8N_([A-Z_]+)_TIMEOUT$/);
     if (timeoutMatch) {
-      const commandName = timeoutMatch[1].toLowerCase().replace(/_/g, '');
+      const commandName = timeoutMatch[1].toLowerCase();
       endpointTimeouts[commandName] = parseInt(process.env[key], 10);
     }
   });
 
+  // Legacy single webhook URL keeps receiving Discord events
+  if (process.env.N8N_WEBHOOK_URL && !endpointUrls.discord_events) {
+    endpointUrls.discord_events = process.env.N8N_WEBHOOK_URL;
+  }
+
   envVars.endpointUrls = endpointUrls;
   envVars.endpointTimeouts = endpointTimeouts;
 
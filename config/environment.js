@@ -5,10 +5,9 @@
 
 const fs = require('fs');
 const path = require('path');
-const { merge } = require('lodash');
 const { loadEnvironmentVariables, getDiscordToken, validateEnvironmentVariables } = require('./env-loader');
 const { validateConfig, assertValidEnvironment } = require('./validator');
-const { ConfigurationLoader } = require('./loader');
+const { ConfigurationLoader, mergeConfig } = require('./loader');
 
 class EnvironmentManager {
   constructor() {
@@ -64,7 +63,7 @@ class EnvironmentManager {
     // Apply environment overrides if they exist
     const overrideEndpoint = this.envOverrides.endpoints?.[commandName];
     let mergedEndpoint = overrideEndpoint
-      ? merge({}, baseEndpoint, overrideEndpoint)
+      ? mergeConfig(baseEndpoint, overrideEndpoint)
       : { ...baseEndpoint };
     // Apply environment variable overrides
     if (this.envVariables.endpointUrls[commandName]) {
@@ -93,7 +92,7 @@ class EnvironmentManager {
     const overrideGlobal = this.envOverrides.global;
 
     let mergedGlobal = overrideGlobal
-      ? merge({}, baseGlobal, overrideGlobal)
+      ? mergeConfig(baseGlobal, overrideGlobal)
       : { ...baseGlobal };
 
     // Apply environment variable overrides for rate limiting
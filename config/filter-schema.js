@@ -0,0 +1,85 @@
+/**
+ * Event Filter Schema Definitions
+ * Joi validation schemas for the allow/deny rules evaluated before events are forwarded
+ */
+
+const Joi = require('joi');
+
+// Discord snowflake id list
+const idList = Joi.array()
+  .items(Joi.string().pattern(/^\d{17,20}$/))
+  .min(1)
+  .unique();
+
+/**
+ * Reject patterns that do not compile as regular expressions
+ * @param {string} value - Pattern source
+ * @param {Object} helpers - Joi custom helpers
+ * @returns {string} The pattern when it compiles
+ */
+const validatePattern = (value, helpers) => {
+  try {
+    new RegExp(value);
+    return value;
+  } catch (error) {
+    return helpers.message(`contentPattern is not a valid regular expression: ${error.message}`);
+  }
+};
+
+// A single allow/deny rule; every criterion given must match for the rule to apply
+const filterRuleSchema = Joi.object({
+  name: Joi.string()
+    .max(100)
+    .optional()
+    .description('Label used in logs when the rule decides an event'),
+
+  action: Joi.string()
+    .valid('allow', 'deny')
+    .required()
+    .description('Whether matching events are forwarded or dropped'),
+
+  guilds: idList.description('Guild ids'),
+  channels: idList.description('Channel ids; threads also match their parent channel'),
+  categories: idList.description('Category ids of the channel'),
+  roles: idList.description('Role ids, matching when the member has any of them'),
+  users: idList.description('User ids of the author, reactor or member'),
+
+  eventTypes: Joi.array()
+    .items(Joi.string().pattern(/^[a-z][a-z0-9_]*$/))
+    .min(1)
+    .unique()
+    .description('Event types such as message_create or member_join'),
+
+  contentPattern: Joi.string()
+    .max(500)
+    .custom(validatePattern)
+    .description('Regular expression tested against the message content'),
+
+  contentFlags: Joi.string()
+    .pattern(/^[imsu]*$/)
+    .default('i')
+    .description('Flags for contentPattern'),
+
+  hasAttachment: Joi.boolean()
+    .description('Match messages with (true) or without (false) attachments')
+}).or('guilds', 'channels', 'categories', 'roles', 'users', 'eventTypes', 'contentPattern', 'hasAttachment');
+
+// Event filter configuration; the first matching rule decides, otherwise defaultAction applies
+const filterSchema = Joi.object({
+  defaultAction: Joi.string()
+    .valid('allow', 'deny')
+    .default('allow')
+    .description('Decision for events no rule matches'),
+
+  rules: Joi.array()
+    .items(filterRuleSchema)
+    .max(200)
+    .default([])
+    .description('Rules evaluated in order')
+}).default({ defaultAction: 'allow', rules: [] });
+
+module.exports = {
+  idList,
+  filterRuleSchema,
+  filterSchema
+};
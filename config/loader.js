@@ -5,10 +5,21 @@
 
 const fs = require('fs');
 const path = require('path');
-const { merge } = require('lodash');
+const { mergeWith } = require('lodash');
 const { validateConfig, validateConfigSafe } = require('./validator');
 const { getDefaultConfig, getMinimalConfig } = require('./defaults');
 
+/**
+ * Deep merge configuration objects
+ * Arrays such as `events` are replaced rather than merged by index, so a shorter list does not keep
+ * the trailing entries of the one it overrides.
+ * @param {...Object} sources - Configurations in increasing priority
+ * @returns {Object} Merged configuration
+ */
+function mergeConfig(...sources) {
+  return mergeWith({}, ...sources, (objValue, srcValue) => (Array.isArray(srcValue) ? srcValue : undefined));
+}
+
 class ConfigurationLoader {
   constructor() {
     this.loadOrder = [
@@ -148,7 +159,7 @@ class ConfigurationLoader {
       return defaultConfig;
     }
 
-    return merge({}, defaultConfig, userConfig);
+    return mergeConfig(defaultConfig, userConfig);
   }
 
   /**
@@ -198,5 +209,6 @@ class ConfigurationLoader {
 }
 
 module.exports = {
-  ConfigurationLoader
+  ConfigurationLoader,
+  mergeConfig
 };
@@ -0,0 +1,50 @@
+/**
+ * Reaction Route Schema Definitions
+ * Joi validation schemas for the rules that send reactions to a dedicated N8N route
+ */
+
+const Joi = require('joi');
+const { idList } = require('./filter-schema');
+
+// Sends reactions with one of the emojis on the matching messages or channels to its own route
+const reactionRouteSchema = Joi.object({
+  name: Joi.string()
+    .max(100)
+    .optional()
+    .description('Label sent as reaction.route and used in logs'),
+
+  route: Joi.string()
+    .pattern(/^[a-zA-Z][a-zA-Z0-9_]*$/)
+    .required()
+    .description('Endpoint the matching reactions are sent to instead of the reaction event route'),
+
+  emojis: Joi.array()
+    .items(Joi.string().max(100))
+    .min(1)
+    .unique()
+    .required()
+    .description('Unicode emojis, custom emoji ids or custom emoji names'),
+
+  messages: idList.description('Message ids, e.g. an approval or role menu message'),
+  channels: idList.description('Channel ids; threads also match their parent channel'),
+  guilds: idList.description('Guild ids'),
+
+  eventTypes: Joi.array()
+    .items(Joi.string().valid('reaction_add', 'reaction_remove'))
+    .min(1)
+    .unique()
+    .default(['reaction_add', 'reaction_remove'])
+    .description('Reaction events the rule applies to')
+});
+
+// Rules are evaluated in order and the first match decides the route
+const reactionRoutesSchema = Joi.array()
+  .items(reactionRouteSchema)
+  .max(200)
+  .default([])
+  .description('Emoji to route mappings for reactions');
+
+module.exports = {
+  reactionRouteSchema,
+  reactionRoutesSchema
+};
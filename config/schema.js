@@ -4,6 +4,10 @@
  */
 
 const Joi = require('joi');
+const { commandOptionSchema, commandSchema, contextMenuSchema } = require('./command-schema');
+const { filterRuleSchema, filterSchema } = require('./filter-schema');
+const { reactionRouteSchema, reactionRoutesSchema } = require('./reaction-route-schema');
+const { autocompleteSchema } = require('./autocomplete-schema');
 
 // Endpoint configuration schema
 const endpointSchema = Joi.object({
@@ -35,7 +39,34 @@ const endpointSchema = Joi.object({
 
   enabled: Joi.boolean()
     .default(true)
-    .description('Whether endpoint is enabled')
+    .description('Whether endpoint is enabled'),
+
+  critical: Joi.boolean()
+    .default(false)
+    .description('Whether an open circuit on this endpoint fails the readiness probe'),
+
+  events: Joi.array()
+    .items(Joi.string().pattern(/^[a-z][a-z0-9_]*$/))
+    .unique()
+    .optional()
+    .description('Discord event types dispatched through this endpoint'),
+
+  componentPrefixes: Joi.array()
+    .items(Joi.string().min(1).max(100))
+    .unique()
+    .optional()
+    .description('customId prefixes of buttons, select menus and modals dispatched through this endpoint'),
+
+  command: commandSchema
+    .optional()
+    .description('Slash command that forwards its options to this endpoint'),
+
+  contextMenus: Joi.array()
+    .items(contextMenuSchema)
+    .max(5)
+    .unique('name')
+    .optional()
+    .description('Message and user context menu commands that send their target to this endpoint')
 });
 
 // Environment configuration schema
@@ -96,7 +127,14 @@ const queueSchema = Joi.object({
     .min(1)
     .max(50)
     .default(5)
-    .description('Maximum concurrent requests')
+    .description('Maximum concurrent requests'),
+
+  agingIntervalMs: Joi.number()
+    .integer()
+    .min(100)
+    .max(600000)
+    .default(5000)
+    .description('Queued requests gain one priority level per interval waited')
 });
 
 // Monitoring configuration schema
@@ -110,14 +148,17 @@ const monitoringSchema = Joi.object({
     .min(3600000)
     .max(2592000000)
     .default(86400000)
-    .description('Metrics retention period in milliseconds')
+    .description('How long gauge series that stopped updating are kept, in milliseconds; counters never expire')
 });
 
 // Global configuration schema
 const globalSchema = Joi.object({
   rateLimiting: rateLimitingSchema.required(),
   queue: queueSchema.required(),
-  monitoring: monitoringSchema.required()
+  monitoring: monitoringSchema.required(),
+  filters: filterSchema,
+  reactionRoutes: reactionRoutesSchema,
+  autocomplete: autocompleteSchema
 });
 
 // Main configuration schema
@@ -175,6 +216,14 @@ const envSchema = Joi.object({
 
 module.exports = {
   configSchema,
+  commandOptionSchema,
+  commandSchema,
+  contextMenuSchema,
+  filterRuleSchema,
+  filterSchema,
+  reactionRouteSchema,
+  reactionRoutesSchema,
+  autocompleteSchema,
   endpointSchema,
   environmentSchema,
   rateLimitingSchema,
@@ -1,36 +1,81 @@
 require('dotenv').config();
-const { REST, Routes } = require('discord.js');
-const { scrapeCommand } = require('./commands/scrape');
+const { REST } = require('discord.js');
+const { loadCommands } = require('./lib/commands');
+const { deployCommandScope, formatDeploymentResult } = require('./lib/command-deployment');
 const { logger, correlation } = require('./lib/logging');
+const configManager = require('./config');
 
-const commands = [
-    scrapeCommand.data.toJSON()
-];
+/**
+ * Parse deployment flags
+ *   --guild <id>   Deploy to a guild instead of globally (repeatable, comma-separated allowed)
+ *   --global       Deploy globally even when DISCORD_GUILD_IDS is set
+ *   --dry-run      Print the diff without changing anything
+ * @param {string[]} argv - Command line arguments
+ * @returns {Object} Deployment options
+ */
+const parseArgs = (argv) => {
+    const options = { guildIds: [], global: false, dryRun: false };
+
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i] === '--guild') {
+            options.guildIds.push(...(argv[++i] || '').split(','));
+        } else if (argv[i] === '--global') {
+            options.global = true;
+        } else if (argv[i] === '--dry-run') {
+            options.dryRun = true;
+        }
+    }
+
+    if (!options.global && options.guildIds.length === 0) {
+        options.guildIds = (process.env.DISCORD_GUILD_IDS || '').split(',');
+    }
+    options.guildIds = options.guildIds.map(id => id.trim()).filter(Boolean);
+
+    return options;
+};
+
+const { guildIds, dryRun } = parseArgs(process.argv.slice(2));
+const commands = loadCommands().map(command => command.data.toJSON());
+const scopes = guildIds.length > 0 ? guildIds : [null];
 
 const rest = new REST({ version: '10' }).setToken(process.env.DISCORD_TOKEN);
 
 (async () => {
     const correlationId = correlation.startCorrelation();
-    
+    const results = [];
+
     try {
-        logger.info('Started refreshing application slash commands', { 
-            correlationId, 
-            commandCount: commands.length 
+        logger.info('Started refreshing application slash commands', {
+            correlationId,
+            commandCount: commands.length,
+            scopes: guildIds.length > 0 ? guildIds : ['global'],
+            dryRun
         });
 
-        await rest.put(
-            Routes.applicationCommands(process.env.DISCORD_CLIENT_ID),
-            { body: commands },
-        );
+        for (const guildId of scopes) {
+            results.push(await deployCommandScope({
+                rest,
+                applicationId: process.env.DISCORD_CLIENT_ID,
+                guildId,
+                commands,
+                dryRun
+            }));
+        }
 
-        logger.info('Successfully reloaded application slash commands', { 
-            correlationId, 
-            commandCount: commands.length 
+        logger.info('Successfully reloaded application slash commands', {
+            correlationId,
+            commandCount: commands.length
         });
     } catch (error) {
         logger.error('Failed to reload application slash commands', { correlationId, error });
-        process.exit(1);
+        process.exitCode = 1;
     } finally {
+        // Everything else goes through the logger; the per-scope diff is the CLI's summary
+        if (results.length > 0) {
+            console.log(results.map(result => formatDeploymentResult(result, dryRun)).join('\n'));
+        }
         correlation.endCorrelation();
+        // Config hot-reload watchers would otherwise keep the process alive
+        configManager.stopHotReload();
     }
-})();
\ No newline at end of file
+})();
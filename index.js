@@ -16,10 +16,19 @@ const { logger, correlation } = require('./lib/logging');
 const { registerMessageHandlers } = require('./lib/event-handlers/message-handler');
 const { registerReactionHandlers } = require('./lib/event-handlers/reaction-handler');
 const { registerThreadHandlers } = require('./lib/event-handlers/thread-handler');
+const { registerMessageUpdateHandlers } = require('./lib/event-handlers/message-update-handler');
+const { registerMemberHandlers } = require('./lib/event-handlers/member-handler');
+const { registerVoiceHandlers } = require('./lib/event-handlers/voice-handler');
+const { registerScheduledEventHandlers } = require('./lib/event-handlers/scheduled-event-handler');
+const { registerInviteHandlers } = require('./lib/event-handlers/invite-handler');
+const { registerAutoModHandlers } = require('./lib/event-handlers/automod-handler');
 const { registerCommandHandlers } = require('./lib/commands');
+const { registerGatewayMetrics } = require('./lib/metrics');
+const { scrapeScheduler } = require('./commands/scrape/scheduler');
 
 // Import service manager
 const { serviceManager } = require('./services');
+const { startHttpServer, registerServiceRoutes, stopHttpServer } = require('./lib/http');
 
 // Create Discord client with required intents
 const client = new Client({
@@ -42,7 +51,7 @@ const client = new Client({
         GatewayIntentBits.AutoModerationConfiguration,
         GatewayIntentBits.AutoModerationExecution
     ],
-    partials: [Partials.Channel, Partials.Message, Partials.Reaction, Partials.ThreadMember, Partials.User]
+    partials: [Partials.Channel, Partials.Message, Partials.Reaction, Partials.ThreadMember, Partials.User, Partials.GuildMember]
 });
 
 // Initialize services
@@ -55,12 +64,22 @@ async function initializeServices() {
         await serviceManager.initialize({
             n8nRouter: {
                 timeout: parseInt(process.env.N8N_TIMEOUT) || 30000,
-                retryAttempts: parseInt(process.env.N8N_RETRY_ATTEMPTS) || 3,
-                maxConcurrentRequests: parseInt(process.env.N8N_MAX_CONCURRENT) || 10
+                retryAttempts: parseInt(process.env.N8N_RETRY_ATTEMPTS) || 3
+            },
+            concurrentRequests: {
+                maxConcurrentRequests: parseInt(process.env.N8N_MAX_CONCURRENT) || undefined
+            },
+            outbox: {
+                dataDir: process.env.OUTBOX_DATA_DIR,
+                maxAgeMs: parseInt(process.env.OUTBOX_MAX_AGE_MS) || 86400000,
+                maxSizeBytes: parseInt(process.env.OUTBOX_MAX_SIZE_BYTES) || 10485760,
+                replayIntervalMs: parseInt(process.env.OUTBOX_REPLAY_INTERVAL_MS) || 60000
             }
         });
         
         logger.info('Services initialized successfully', { correlationId });
+
+        registerServiceRoutes(client);
     } catch (error) {
         logger.error('Failed to initialize services', { correlationId, error });
         process.exit(1);
@@ -84,13 +103,27 @@ client.once('ready', async () => {
     await initializeServices();
     
     correlation.endCorrelation();
+
+    // Scheduled scrapes need both the services and a ready client
+    try {
+        await scrapeScheduler.start(client);
+    } catch (error) {
+        logger.error('Failed to start scrape scheduler', { error });
+    }
 });
 
 // Register all event handlers
 registerMessageHandlers(client);
 registerReactionHandlers(client);
 registerThreadHandlers(client);
+registerMessageUpdateHandlers(client);
+registerMemberHandlers(client);
+registerVoiceHandlers(client);
+registerScheduledEventHandlers(client);
+registerInviteHandlers(client);
+registerAutoModHandlers(client);
 registerCommandHandlers(client);
+registerGatewayMetrics(client);
 
 // Handle client errors
 client.on('error', (error) => {
@@ -105,6 +138,8 @@ process.on('SIGINT', async () => {
     logger.info('Received shutdown signal, initiating graceful shutdown', { correlationId });
 
     try {
+        scrapeScheduler.stop();
+        await stopHttpServer();
         await serviceManager.shutdown();
         client.destroy();
         logger.info('Graceful shutdown completed successfully', { correlationId });
@@ -116,8 +151,10 @@ process.on('SIGINT', async () => {
     process.exit(0);
 });
 
-// Login to Discord
-client.login(process.env.DISCORD_TOKEN);
+// Start health probes, then login to Discord
+startHttpServer(client)
+    .catch((error) => logger.error('Failed to start HTTP server', { error }))
+    .then(() => client.login(process.env.DISCORD_TOKEN));
 
 // Export client and service manager for testing purposes
 module.exports = { client, serviceManager };
@@ -0,0 +1,164 @@
+/**
+ * N8N Callback Handler
+ * Verifies signed callbacks and delivers asynchronous results to the originating command
+ */
+
+const { logger } = require('../logging');
+const { verifySignature } = require('./signature');
+const { pendingRequests } = require('./pending-requests');
+const { buildReplyPayload } = require('../reply-renderer');
+const ResponseNormalizers = require('../../services/responseNormalizers');
+const { formatStatusMessage, formatErrorMessage, extractDomain } = require('../formatters/status-messages');
+const { scrapeJobs, toJobState } = require('../job-registry');
+
+const FINAL_STATUSES = ['completed', 'failed', 'cancelled'];
+const MAX_INLINE_RESULT_LENGTH = 1800;
+
+const normalizers = new ResponseNormalizers();
+
+/**
+ * Build Discord message options for a callback result
+ * @param {Object} entry - Pending request entry
+ * @param {string} status - Callback status
+ * @param {*} result - Callback result
+ * @returns {Object} Discord message options
+ */
+function buildResultPayload(entry, status, result) {
+  const reply = result && typeof result === 'object' ? normalizers.normalizeReply(result.reply) : null;
+  if (reply) {
+    return buildReplyPayload(reply);
+  }
+
+  const url = entry.context.url || 'unknown';
+  const base = { allowedMentions: { parse: [] }, embeds: [], files: [] };
+
+  if (status === 'failed' || status === 'cancelled') {
+    const error = result?.error || (status === 'cancelled' ? 'The request was cancelled' : 'The workflow reported a failure');
+    return { ...base, content: formatErrorMessage({ error, url }) };
+  }
+
+  if (status !== 'completed') {
+    return { ...base, content: formatStatusMessage({ status, url, progress: result?.progress }) };
+  }
+
+  const serialized = JSON.stringify(result ?? null, null, 2);
+  const header = `✅ **Request Completed**\n\n🌐 **Website:** ${extractDomain(url)}\n🆔 **Request:** \`${entry.requestId}\`\n\n`;
+
+  if (serialized.length <= MAX_INLINE_RESULT_LENGTH) {
+    return { ...base, content: `${header}\`\`\`json\n${serialized}\n\`\`\`` };
+  }
+
+  return {
+    ...base,
+    content: `${header}📎 Result attached (${serialized.length} characters)`,
+    files: [{ attachment: Buffer.from(serialized), name: `${entry.requestId}.json` }]
+  };
+}
+
+/**
+ * Deliver a result by editing the original reply, falling back to a DM
+ * @param {Object} client - Discord client instance
+ * @param {Object} entry - Pending request entry
+ * @param {Object} payload - Discord message options
+ * @param {boolean} isFinal - Whether this is the request's final status
+ * @returns {Promise<string>} Delivery channel: 'interaction', 'dm', 'skipped' or 'undeliverable'
+ */
+async function deliverResult(client, entry, payload, isFinal) {
+  if (pendingRequests.canEditInteraction(entry)) {
+    try {
+      await entry.interaction.editReply(payload);
+      return 'interaction';
+    } catch (error) {
+      logger.warn('Failed to edit interaction reply, falling back to DM', {
+        requestId: entry.requestId,
+        error: error.message
+      });
+    }
+  }
+
+  // Progress updates are not worth a DM once the reply can no longer be edited
+  if (!isFinal) {
+    return 'skipped';
+  }
+
+  // A user with closed DMs cannot be reached; the callback itself was still handled
+  try {
+    const user = await client.users.fetch(entry.userId);
+    await user.send(payload);
+    return 'dm';
+  } catch (error) {
+    logger.warn('Failed to deliver N8N callback by DM', {
+      requestId: entry.requestId,
+      error: error.message
+    });
+    return 'undeliverable';
+  }
+}
+
+/**
+ * Create the HTTP route handler for N8N callbacks
+ * Expects a signed JSON body of `{ correlation_id, request_id?, status, result }`
+ * @param {Object} options - Handler options
+ * @param {Object} options.client - Discord client instance
+ * @param {string} options.secret - Shared HMAC secret
+ * @returns {Function} Route handler for HttpServer
+ */
+function createCallbackHandler({ client, secret }) {
+  return async ({ headers, rawBody }) => {
+    const verification = verifySignature({ secret, headers, rawBody });
+    if (!verification.isValid) {
+      logger.warn('Rejected N8N callback', { reason: verification.error });
+      return { status: 401, body: { error: verification.error } };
+    }
+
+    let body;
+    try {
+      body = JSON.parse(rawBody);
+    } catch (error) {
+      return { status: 400, body: { error: 'Body must be valid JSON' } };
+    }
+
+    const { correlation_id: correlationId, request_id: requestId, status, result } = body;
+    if (typeof status !== 'string' || (!correlationId && !requestId)) {
+      return { status: 400, body: { error: 'status and correlation_id or request_id are required' } };
+    }
+
+    const entry = pendingRequests.find({ correlationId, requestId });
+    if (!entry) {
+      logger.warn('N8N callback for unknown request', { correlationId, requestId, status });
+      return { status: 404, body: { error: 'No pending request matches this callback' } };
+    }
+
+    const normalizedStatus = status.toLowerCase();
+    const isFinal = FINAL_STATUSES.includes(normalizedStatus);
+    const payload = buildResultPayload(entry, normalizedStatus, result);
+    const delivery = await deliverResult(client, entry, payload, isFinal);
+
+    entry.lastStatus = normalizedStatus;
+    if (entry.commandType === 'scrape') {
+      scrapeJobs.transition(entry.requestId, toJobState(normalizedStatus), {
+        progress: result?.progress,
+        error: typeof result?.error === 'string' ? result.error : undefined
+      });
+    }
+    if (isFinal) {
+      pendingRequests.remove(entry.requestId);
+    }
+
+    logger.info('Delivered N8N callback', {
+      correlationId: entry.correlationId,
+      requestId: entry.requestId,
+      status: normalizedStatus,
+      delivery
+    });
+
+    return { status: 200, body: { request_id: entry.requestId, delivery } };
+  };
+}
+
+module.exports = {
+  createCallbackHandler,
+  buildResultPayload,
+  deliverResult,
+  FINAL_STATUSES
+};
@@ -0,0 +1,136 @@
+/**
+ * Pending Request Registry
+ * Tracks commands awaiting an asynchronous N8N callback
+ */
+
+// Discord interaction tokens stay valid for 15 minutes; keep a safety margin
+const INTERACTION_TOKEN_TTL_MS = 14 * 60 * 1000;
+
+/**
+ * Pending Request Registry Class
+ * Indexes requests by request ID and correlation ID, expiring them after ttlMs
+ */
+class PendingRequestRegistry {
+  constructor(config = {}) {
+    this.config = {
+      ttlMs: config.ttlMs || 24 * 60 * 60 * 1000, // 24 hours
+      maxEntries: config.maxEntries || 1000,
+      ...config
+    };
+
+    this.requests = new Map();
+    this.correlationIndex = new Map();
+  }
+
+  /**
+   * Register a request awaiting a callback
+   * @param {Object} params - Pending request details
+   * @param {string} params.requestId - Request ID sent to N8N
+   * @param {string} params.correlationId - Correlation ID sent to N8N
+   * @param {Object} params.interaction - Originating Discord interaction
+   * @param {string} [params.commandType] - Command that created the request
+   * @param {Object} [params.context] - Extra data used when rendering the result
+   * @returns {Object} The pending request entry
+   */
+  register({ requestId, correlationId, interaction, commandType = null, context = {} }) {
+    this.prune();
+
+    const entry = {
+      requestId,
+      correlationId,
+      commandType,
+      interaction,
+      userId: interaction.user.id,
+      channelId: interaction.channelId,
+      guildId: interaction.guildId,
+      context,
+      createdAt: Date.now(),
+      lastStatus: 'sent'
+    };
+
+    this.requests.set(requestId, entry);
+    if (correlationId) {
+      this.correlationIndex.set(correlationId, requestId);
+    }
+
+    return entry;
+  }
+
+  /**
+   * Find a pending request by correlation ID or request ID
+   * @param {Object} ids - Identifiers from the callback body
+   * @param {string} [ids.correlationId] - Correlation ID
+   * @param {string} [ids.requestId] - Request ID
+   * @returns {Object|null} The pending request entry
+   */
+  find({ correlationId, requestId }) {
+    this.prune();
+
+    const id = requestId || this.correlationIndex.get(correlationId);
+    return (id && this.requests.get(id)) || null;
+  }
+
+  /**
+   * Stop tracking a request
+   * @param {string} requestId - Request ID
+   * @returns {boolean} True if the request was pending
+   */
+  remove(requestId) {
+    const entry = this.requests.get(requestId);
+    if (!entry) return false;
+
+    this.requests.delete(requestId);
+    this.correlationIndex.delete(entry.correlationId);
+    return true;
+  }
+
+  /**
+   * Check whether the interaction can still be edited
+   * @param {Object} entry - Pending request entry
+   * @returns {boolean} True while the interaction token is valid
+   */
+  canEditInteraction(entry) {
+    return Date.now() - entry.createdAt < INTERACTION_TOKEN_TTL_MS;
+  }
+
+  /**
+   * Drop expired entries, then the oldest beyond maxEntries
+   */
+  prune() {
+    const cutoff = Date.now() - this.config.ttlMs;
+
+    for (const [requestId, entry] of this.requests) {
+      if (entry.createdAt < cutoff || this.requests.size > this.config.maxEntries) {
+        this.remove(requestId);
+      }
+    }
+  }
+
+  /**
+   * Get registry statistics
+   * @returns {Object} Registry statistics
+   */
+  getStats() {
+    return {
+      pending: this.requests.size,
+      ttlMs: this.config.ttlMs
+    };
+  }
+}
+
+const pendingRequests = new PendingRequestRegistry({
+  ttlMs: parseInt(process.env.CALLBACK_PENDING_TTL_MS) || undefined
+});
+
+/**
+ * Public URL N8N should POST callbacks to, if the callback server is exposed
+ * @returns {string|null} Callback URL
+ */
+const getCallbackUrl = () => process.env.CALLBACK_PUBLIC_URL || null;
+
+module.exports = {
+  PendingRequestRegistry,
+  pendingRequests,
+  getCallbackUrl,
+  INTERACTION_TOKEN_TTL_MS
+};
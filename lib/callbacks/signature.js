@@ -0,0 +1,65 @@
+/**
+ * Callback Signature Utilities
+ * HMAC-SHA256 signing and verification for N8N callback requests
+ *
+ * Signature = hex(HMAC_SHA256(secret, `${timestamp}.${rawBody}`)), sent as
+ * `X-Signature: sha256=<hex>` alongside `X-Signature-Timestamp: <unix seconds>`.
+ */
+
+const crypto = require('crypto');
+
+const SIGNATURE_HEADER = 'x-signature';
+const TIMESTAMP_HEADER = 'x-signature-timestamp';
+
+/**
+ * Compute the signature for a callback body
+ * @param {string} secret - Shared callback secret
+ * @param {string|number} timestamp - Unix timestamp in seconds
+ * @param {string} rawBody - Raw request body
+ * @returns {string} Signature header value
+ */
+function signPayload(secret, timestamp, rawBody) {
+  const digest = crypto.createHmac('sha256', secret)
+    .update(`${timestamp}.${rawBody}`)
+    .digest('hex');
+  return `sha256=${digest}`;
+}
+
+/**
+ * Verify a signed callback request
+ * @param {Object} params - Verification parameters
+ * @param {string} params.secret - Shared callback secret
+ * @param {Object} params.headers - Lower-cased request headers
+ * @param {string} params.rawBody - Raw request body
+ * @param {number} [params.toleranceSeconds=300] - Allowed clock skew, guards against replays
+ * @returns {Object} Verification result with isValid flag and error message
+ */
+function verifySignature({ secret, headers, rawBody, toleranceSeconds = 300 }) {
+  const signature = headers[SIGNATURE_HEADER];
+  const timestamp = headers[TIMESTAMP_HEADER];
+
+  if (!signature || !timestamp) {
+    return { isValid: false, error: 'Missing signature headers' };
+  }
+
+  const timestampSeconds = Number(timestamp);
+  if (!Number.isFinite(timestampSeconds) ||
+      Math.abs(Date.now() / 1000 - timestampSeconds) > toleranceSeconds) {
+    return { isValid: false, error: 'Signature timestamp outside tolerance' };
+  }
+
+  const expected = Buffer.from(signPayload(secret, timestamp, rawBody));
+  const received = Buffer.from(String(signature));
+  if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+    return { isValid: false, error: 'Invalid signature' };
+  }
+
+  return { isValid: true };
+}
+
+module.exports = {
+  signPayload,
+  verifySignature,
+  SIGNATURE_HEADER,
+  TIMESTAMP_HEADER
+};
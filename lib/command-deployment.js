@@ -0,0 +1,149 @@
+/**
+ * Command Deployment Module
+ * Diffs local slash command definitions against those registered with Discord
+ */
+
+const { Routes } = require('discord.js');
+const { logger } = require('./logging');
+
+// Top-level fields that affect how a command behaves; ids and versions are ignored
+const COMMAND_FIELDS = ['name', 'description', 'type', 'options', 'default_member_permissions', 'dm_permission', 'nsfw'];
+
+/**
+ * Drop values Discord treats as unset so local and remote shapes compare equal
+ * @param {*} value - Command fragment
+ * @returns {*} Normalized fragment
+ */
+const stripDefaults = (value) => {
+    if (Array.isArray(value)) {
+        return value.map(stripDefaults);
+    }
+    if (!value || typeof value !== 'object') {
+        return value;
+    }
+
+    return Object.keys(value).sort().reduce((result, key) => {
+        const field = value[key];
+        const isEmpty = field === null || field === undefined || field === false ||
+            (Array.isArray(field) && field.length === 0);
+
+        if (!isEmpty && !key.endsWith('_localizations')) {
+            result[key] = stripDefaults(field);
+        }
+        return result;
+    }, {});
+};
+
+/**
+ * Normalize a command definition for comparison
+ * Discord ignores `dm_permission` on guild commands, so it is left out of guild-scoped comparisons.
+ * @param {Object} command - Command JSON from toJSON() or the Discord API
+ * @param {boolean} [guildScoped=false] - Whether the command is registered to a guild
+ * @returns {Object} Comparable command definition
+ */
+const normalizeCommand = (command, guildScoped = false) => {
+    const picked = {};
+    for (const field of COMMAND_FIELDS) {
+        picked[field] = command[field];
+    }
+
+    return stripDefaults({
+        ...picked,
+        type: command.type ?? 1,
+        dm_permission: guildScoped ? undefined : command.dm_permission ?? true
+    });
+};
+
+/**
+ * Diff local command definitions against registered commands
+ * @param {Object[]} local - Local command JSON definitions
+ * @param {Object[]} remote - Commands currently registered with Discord
+ * @param {boolean} [guildScoped=false] - Whether the commands are registered to a guild
+ * @returns {Object} Command names grouped into added, changed, removed and unchanged
+ */
+const diffCommands = (local, remote, guildScoped = false) => {
+    const key = (command) => `${command.type ?? 1}:${command.name}`;
+    const remoteByKey = new Map(remote.map(command => [key(command), command]));
+    const localKeys = new Set(local.map(key));
+    const diff = { added: [], changed: [], removed: [], unchanged: [] };
+
+    for (const command of local) {
+        const existing = remoteByKey.get(key(command));
+        if (!existing) {
+            diff.added.push(command.name);
+        } else if (JSON.stringify(normalizeCommand(existing, guildScoped)) !==
+            JSON.stringify(normalizeCommand(command, guildScoped))) {
+            diff.changed.push(command.name);
+        } else {
+            diff.unchanged.push(command.name);
+        }
+    }
+
+    diff.removed = remote.filter(command => !localKeys.has(key(command))).map(command => command.name);
+    return diff;
+};
+
+/**
+ * Check whether a diff requires a deployment
+ * @param {Object} diff - Result of diffCommands
+ * @returns {boolean} True if any command is added, changed or removed
+ */
+const hasChanges = (diff) => diff.added.length + diff.changed.length + diff.removed.length > 0;
+
+/**
+ * Deploy commands to one scope, overwriting so stale commands are removed
+ * @param {Object} params - Deployment parameters
+ * @param {Object} params.rest - Discord REST client
+ * @param {string} params.applicationId - Discord application ID
+ * @param {string|null} [params.guildId] - Guild to deploy to, or null for global commands
+ * @param {Object[]} params.commands - Local command JSON definitions
+ * @param {boolean} [params.dryRun=false] - Only compute the diff
+ * @returns {Promise<Object>} Deployment result with scope, diff and applied flag
+ */
+const deployCommandScope = async ({ rest, applicationId, guildId = null, commands, dryRun = false }) => {
+    const route = guildId
+        ? Routes.applicationGuildCommands(applicationId, guildId)
+        : Routes.applicationCommands(applicationId);
+    const scope = guildId ? `guild:${guildId}` : 'global';
+
+    const remote = await rest.get(route);
+    const diff = diffCommands(commands, remote, Boolean(guildId));
+    const result = { scope, diff, applied: false };
+
+    if (dryRun || !hasChanges(diff)) {
+        logger.info(dryRun ? 'Compared slash commands (dry run)' : 'Slash commands up to date', { scope, ...diff });
+        return result;
+    }
+
+    await rest.put(route, { body: commands });
+    logger.info('Deployed slash commands', { scope, ...diff });
+
+    return { ...result, applied: true };
+};
+
+/**
+ * Format a deployment result for terminal output
+ * @param {Object} result - Result of deployCommandScope
+ * @param {boolean} dryRun - Whether this was a dry run
+ * @returns {string} Human-readable summary
+ */
+const formatDeploymentResult = ({ scope, diff, applied }, dryRun) => {
+    const status = dryRun ? 'dry run' : applied ? 'deployed' : 'up to date';
+    const lines = [`[${scope}] ${status}`];
+
+    for (const [label, names] of Object.entries(diff)) {
+        if (names.length) {
+            lines.push(`  ${label.padEnd(9)} ${names.join(', ')}`);
+        }
+    }
+
+    return lines.join('\n');
+};
+
+module.exports = {
+    normalizeCommand,
+    diffCommands,
+    hasChanges,
+    deployCommandScope,
+    formatDeploymentResult
+};
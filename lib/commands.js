@@ -4,6 +4,27 @@
  */
 
 const { logger, correlation } = require('./logging');
+const { serviceManager } = require('../services');
+const { formatRateLimitMessage } = require('./formatters/status-messages');
+const { handleComponentInteraction } = require('./interactions/component-handler');
+const { handleAutocomplete } = require('./interactions/autocomplete');
+
+/**
+ * Load every command definition: static modules first, then endpoint-declared commands
+ * @returns {Object[]} Command objects with data and execute
+ */
+const loadCommands = () => {
+    const { scrapeCommand } = require('../commands/scrape');
+    const { monitorCommand } = require('../commands/monitor');
+    const { loadDynamicCommands } = require('../commands/dynamic');
+
+    const staticCommands = [scrapeCommand, monitorCommand];
+    const dynamicCommands = loadDynamicCommands({
+        reservedNames: staticCommands.map(command => command.data.name)
+    });
+
+    return [...staticCommands, ...dynamicCommands];
+};
 
 /**
  * Initialize command collection and register commands
@@ -13,9 +34,9 @@ const initializeCommands = (client) => {
     // Add the commands collection to the client
     client.commands = new Map();
 
-    // Import and register the scrape command
-    const { scrapeCommand } = require('../commands/scrape');
-    client.commands.set(scrapeCommand.data.name, scrapeCommand);
+    for (const command of loadCommands()) {
+        client.commands.set(command.data.name, command);
+    }
 
     logger.info('Commands initialized', {
         commandCount: client.commands.size,
@@ -24,11 +45,36 @@ const initializeCommands = (client) => {
 };
 
 /**
- * Handle Discord interaction events (slash commands)
+ * Count a command invocation against the rate limit for its user, guild and endpoint
+ * @param {Object} interaction - Discord interaction object
+ * @param {Object} command - Command object, optionally naming its endpoint
+ * @returns {Object|null} Rate limit decision, or null before services are initialized
+ */
+const checkCommandRateLimit = (interaction, command) => {
+    const rateLimiter = serviceManager.getRateLimiter();
+    if (!rateLimiter) return null;
+
+    return rateLimiter.consume({
+        route: command.endpoint || interaction.commandName,
+        userId: interaction.user.id,
+        guildId: interaction.guildId
+    });
+};
+
+/**
+ * Handle Discord interaction events (slash commands, autocomplete, components and modal submits)
  * @param {Object} interaction - Discord interaction object
  * @returns {Promise<void>} Promise that resolves when interaction is handled
  */
 const handleInteraction = async (interaction) => {
+    if (interaction.isAutocomplete()) {
+        await handleAutocomplete(interaction);
+        return;
+    }
+    if (interaction.isMessageComponent() || interaction.isModalSubmit()) {
+        await handleComponentInteraction(interaction);
+        return;
+    }
     if (!interaction.isCommand()) return;
 
     const correlationId = correlation.startCommandCorrelation(interaction);
@@ -44,6 +90,20 @@ const handleInteraction = async (interaction) => {
             return;
         }
 
+        const limit = checkCommandRateLimit(interaction, command);
+        if (limit && !limit.allowed) {
+            logger.warn('Command rate limited', {
+                correlationId,
+                commandName: interaction.commandName,
+                userId: interaction.user.id,
+                scope: limit.scope,
+                resetTime: limit.resetTime
+            });
+            await interaction.reply({ content: formatRateLimitMessage(limit), ephemeral: true });
+            correlation.endCorrelation();
+            return;
+        }
+
         logger.info('Executing command', {
             correlationId,
             commandName: interaction.commandName,
@@ -96,6 +156,8 @@ const registerCommandHandlers = (client) => {
 };
 
 module.exports = {
+    loadCommands,
+    checkCommandRateLimit,
     initializeCommands,
     handleInteraction,
     registerCommandHandlers
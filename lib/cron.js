@@ -0,0 +1,121 @@
+/**
+ * Cron Expression Module
+ * Parses five-field cron expressions and finds their next run time in UTC
+ */
+
+const FIELDS = [
+    { name: 'minute', min: 0, max: 59 },
+    { name: 'hour', min: 0, max: 23 },
+    { name: 'dayOfMonth', min: 1, max: 31 },
+    { name: 'month', min: 1, max: 12 },
+    { name: 'dayOfWeek', min: 0, max: 7 }
+];
+
+// Expressions with no run within this many days are rejected
+const MAX_LOOKAHEAD_DAYS = 366 * 5;
+
+/**
+ * Parse one cron field into the set of values it matches
+ * Supports `*`, single values, ranges (`1-5`), lists (`1,15`) and steps (`*\/15`, `1-30/5`)
+ * @param {string} source - Field text
+ * @param {Object} field - Field bounds
+ * @returns {Set<number>} Matching values
+ * @throws {Error} When the field is malformed or out of range
+ */
+function parseField(source, { name, min, max }) {
+    const values = new Set();
+
+    for (const part of source.split(',')) {
+        const match = /^(\*|(\d+)(?:-(\d+))?)(?:\/(\d+))?$/.exec(part);
+        if (!match) {
+            throw new Error(`Invalid ${name} field "${source}"`);
+        }
+
+        const [, range, startText, endText, stepText] = match;
+        const start = range === '*' ? min : Number(startText);
+        const end = range === '*' ? max : Number(endText ?? (stepText ? max : startText));
+        const step = stepText ? Number(stepText) : 1;
+
+        if (start < min || end > max || start > end || step < 1) {
+            throw new Error(`Invalid ${name} field "${source}" (allowed ${min}-${max})`);
+        }
+        for (let value = start; value <= end; value += step) {
+            values.add(value);
+        }
+    }
+
+    return values;
+}
+
+/**
+ * Parse a cron expression
+ * Day of week 0 and 7 both mean Sunday. When both day fields are restricted, either may match.
+ * @param {string} expression - Five-field cron expression, e.g. `0 9 * * 1-5`
+ * @returns {Object} Parsed expression
+ * @throws {Error} When the expression is invalid
+ */
+function parseCron(expression) {
+    const parts = String(expression).trim().split(/\s+/);
+    if (parts.length !== FIELDS.length) {
+        throw new Error('Cron expressions need 5 fields: minute hour day-of-month month day-of-week');
+    }
+
+    const [minute, hour, dayOfMonth, month, dayOfWeek] = parts.map((part, index) => parseField(part, FIELDS[index]));
+    if (dayOfWeek.has(7)) dayOfWeek.add(0);
+
+    return {
+        minute,
+        hour,
+        dayOfMonth,
+        month,
+        dayOfWeek,
+        restrictedDays: parts[2] !== '*' && parts[4] !== '*'
+    };
+}
+
+/**
+ * Check whether a cron expression matches a date
+ * @param {Object} cron - Parsed expression
+ * @param {Date} date - Date, evaluated in UTC
+ * @returns {boolean} True when the day matches
+ */
+function matchesDay(cron, date) {
+    const dayOfMonth = cron.dayOfMonth.has(date.getUTCDate());
+    const dayOfWeek = cron.dayOfWeek.has(date.getUTCDay());
+    return cron.restrictedDays ? dayOfMonth || dayOfWeek : dayOfMonth && dayOfWeek;
+}
+
+/**
+ * Find the first time after a given time that a cron expression matches
+ * @param {Object|string} cron - Parsed expression or expression text
+ * @param {number} [after=Date.now()] - Milliseconds since the Unix epoch
+ * @returns {number} Next run time in milliseconds since the Unix epoch
+ * @throws {Error} When the expression never matches, e.g. `0 0 31 2 *`
+ */
+function nextCronRun(cron, after = Date.now()) {
+    const parsed = typeof cron === 'string' ? parseCron(cron) : cron;
+    const date = new Date(after);
+    date.setUTCSeconds(0, 0);
+    date.setUTCMinutes(date.getUTCMinutes() + 1);
+
+    const limit = after + MAX_LOOKAHEAD_DAYS * 24 * 60 * 60 * 1000;
+    while (date.getTime() <= limit) {
+        if (!parsed.month.has(date.getUTCMonth() + 1) || !matchesDay(parsed, date)) {
+            date.setUTCDate(date.getUTCDate() + 1);
+            date.setUTCHours(0, 0);
+        } else if (!parsed.hour.has(date.getUTCHours())) {
+            date.setUTCHours(date.getUTCHours() + 1, 0);
+        } else if (!parsed.minute.has(date.getUTCMinutes())) {
+            date.setUTCMinutes(date.getUTCMinutes() + 1);
+        } else {
+            return date.getTime();
+        }
+    }
+
+    throw new Error('Cron expression never matches');
+}
+
+module.exports = {
+    parseCron,
+    nextCronRun
+};
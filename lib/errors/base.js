@@ -208,6 +208,14 @@ class ValidationError extends BaseError {
     );
   }
 
+  static payloadSchema(payloadType, errors) {
+    return new ValidationError(
+      `Payload does not match the '${payloadType}' schema: ${errors.slice(0, 3).join('; ')}`,
+      null,
+      { payloadType, schemaErrors: errors, type: 'payload_schema' }
+    );
+  }
+
   static multipleFields(errors) {
     const fields = Object.keys(errors);
     return new ValidationError(
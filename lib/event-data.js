@@ -3,7 +3,7 @@
  * Creates unified data structures for Discord events
  */
 
-const { formatUser, formatChannel, formatGuild } = require('./formatters');
+const { formatGuild, formatReaction, formatMessageDetails } = require('./formatters');
 
 /**
  * Create unified event data structure for Discord events
@@ -18,7 +18,8 @@ const createEventData = (event, eventType, options = {}) => {
         isReaction = false,
         isThreadEvent = false,
         changes = null,
-        author = null
+        author = null,
+        reactionDetails = {}
     } = options;
 
     // Get the appropriate channel and thread objects
@@ -33,6 +34,10 @@ const createEventData = (event, eventType, options = {}) => {
             channel = messageChannel;
             thread = null;
         }
+    } else if (isThreadEvent) {
+        // Thread lifecycle events carry the thread itself
+        channel = event.parent;
+        thread = event;
     } else {
         // For other events
         channel = isThread ? event.channel.parent : event.channel;
@@ -40,34 +45,30 @@ const createEventData = (event, eventType, options = {}) => {
     }
 
     const message = isReaction ? event.message : event;
-    const eventAuthor = author || event.author || event.user;
+    const eventAuthor = author || event.author || event.user || null;
 
     // Base data structure
     const data = {
         content: {
             text: isReaction ? event.emoji.toString() :
                 isThreadEvent ? (eventType.includes('member') ?
-                    `${eventAuthor.tag} ${eventType.includes('join') ? 'joined' : 'left'} the thread` :
+                    `${eventAuthor?.tag || 'A member'} ${eventType.includes('join') ? 'joined' : 'left'} the thread` :
                     event.name) :
                     message.content,
             type: eventType
         },
-        author: {
+        author: eventAuthor ? {
             id: eventAuthor.id,
             username: eventAuthor.username || 'Unknown',
             discriminator: eventAuthor.discriminator || '0000'
-        },
+        } : null,
         channel: {
             id: channel?.id || 'unknown',
             name: channel?.name || 'Unknown',
             type: channel?.type || 'text'
         },
-        guild: message.guild ? {
-            id: message.guild.id,
-            name: message.guild.name
-        } : null,
+        guild: formatGuild(message.guild),
         message_id: message.id,
-        original_message: message,
         timestamp: Date.now()
     };
 
@@ -85,14 +86,14 @@ const createEventData = (event, eventType, options = {}) => {
         };
     }
 
+    // Add attachments, embeds, mentions, replies and polls for message events
+    if (!isReaction && !isThreadEvent) {
+        data.message = formatMessageDetails(message);
+    }
+
     // Add reaction data if it's a reaction event
     if (isReaction) {
-        data.reaction = {
-            emoji: event.emoji.toString(),
-            emoji_id: event.emoji.id,
-            emoji_name: event.emoji.name,
-            animated: event.emoji.animated
-        };
+        data.reaction = formatReaction(event, reactionDetails);
     }
 
     // Add changes if it's a thread update event
@@ -103,6 +104,66 @@ const createEventData = (event, eventType, options = {}) => {
     return data;
 };
 
+/**
+ * Create event data for guild events that are not tied to a single message
+ * Keeps the top-level shape of createEventData so N8N workflows read both alike
+ * @param {string} eventType - Type of event
+ * @param {Object} source - Objects the event is about
+ * @param {Object} source.guild - Discord guild the event happened in
+ * @param {Object} [source.channel] - Discord channel the event happened in
+ * @param {Object} [source.user] - Discord user who caused or is the subject of the event
+ * @param {string} [source.text] - Human readable summary used as the content text
+ * @param {Object} details - Event-specific fields added to the payload
+ * @returns {Object} Unified event data structure
+ */
+const createGuildEventData = (eventType, source, details = {}) => {
+    const { guild, channel = null, user = null, text = '' } = source;
+
+    return {
+        content: {
+            text,
+            type: eventType
+        },
+        author: user ? {
+            id: user.id,
+            username: user.username || 'Unknown',
+            discriminator: user.discriminator || '0000'
+        } : null,
+        channel: channel ? {
+            id: channel.id,
+            name: channel.name || 'Unknown',
+            type: channel.type
+        } : null,
+        guild: formatGuild(guild),
+        timestamp: Date.now(),
+        ...details
+    };
+};
+
+/**
+ * Compare fields of two states of an object
+ * @param {Object|null} before - Previous state, null when it was not cached
+ * @param {Object} after - Current state
+ * @param {Object} fields - Accessor functions keyed by the change name
+ * @returns {Object|null} `{ old, new }` per changed field (null when unchanged),
+ *   or null when nothing changed
+ */
+const collectChanges = (before, after, fields) => {
+    const changes = {};
+    let changed = false;
+
+    for (const [name, read] of Object.entries(fields)) {
+        const oldValue = before ? read(before) ?? null : null;
+        const newValue = read(after) ?? null;
+        changes[name] = oldValue !== newValue ? { old: oldValue, new: newValue } : null;
+        changed = changed || changes[name] !== null;
+    }
+
+    return changed ? changes : null;
+};
+
 module.exports = {
-    createEventData
+    createEventData,
+    createGuildEventData,
+    collectChanges
 };
@@ -0,0 +1,118 @@
+/**
+ * Event Filter Module
+ * Evaluates the configured allow/deny rules that decide which events reach N8N
+ */
+
+const configManager = require('../config');
+const { logger } = require('./logging');
+
+// Compiled rules, rebuilt after the configuration is hot-reloaded
+let compiledFilters = null;
+
+configManager.hotReloadManager?.on('configReloaded', () => {
+    compiledFilters = null;
+    logger.info('Event filters reloaded');
+});
+
+/**
+ * Compile the configured rules, caching the result until the next reload
+ * @returns {Object} Default action and rules with compiled content patterns
+ */
+const getFilters = () => {
+    if (!compiledFilters) {
+        const { defaultAction = 'allow', rules = [] } = configManager.getGlobalConfig().filters || {};
+        compiledFilters = {
+            defaultAction,
+            rules: rules.map((rule, index) => ({
+                ...rule,
+                name: rule.name || `rule_${index + 1}`,
+                contentRegex: rule.contentPattern ? new RegExp(rule.contentPattern, rule.contentFlags) : null
+            }))
+        };
+    }
+    return compiledFilters;
+};
+
+/**
+ * Build the filter context for an event from its Discord objects
+ * @param {Object} source - Objects the event is about
+ * @param {Object} [source.guild] - Discord guild
+ * @param {Object} [source.channel] - Discord channel or thread
+ * @param {Object} [source.user] - Author, reactor or member user
+ * @param {Object} [source.member] - Guild member of that user, used for roles
+ * @param {Object} [source.message] - Message, used for content and attachments
+ * @returns {Object} Filter context; unknown fields stay undefined
+ */
+const createFilterContext = ({ guild, channel, user, member, message } = {}) => {
+    const isThread = channel?.isThread?.() ?? false;
+    const parent = isThread ? channel.parent : channel;
+
+    return {
+        guildId: guild?.id,
+        channelIds: channel ? [channel.id, isThread ? channel.parentId : null].filter(Boolean) : undefined,
+        categoryId: parent?.parentId ?? undefined,
+        userId: user?.id ?? member?.id,
+        roleIds: member?.roles ? [...member.roles.cache.keys()] : undefined,
+        content: message && !message.partial ? message.content : undefined,
+        hasAttachment: message && !message.partial ? message.attachments.size > 0 : undefined
+    };
+};
+
+/**
+ * Check whether every criterion of a rule matches the event
+ * Criteria on fields the event does not carry never match
+ * @param {Object} rule - Compiled filter rule
+ * @param {string} eventType - Type of event
+ * @param {Object} context - Filter context
+ * @returns {boolean} True when the rule applies
+ */
+const ruleMatches = (rule, eventType, context) => {
+    const includes = (list, value) => value !== undefined && list.includes(value);
+
+    if (rule.eventTypes && !rule.eventTypes.includes(eventType)) return false;
+    if (rule.guilds && !includes(rule.guilds, context.guildId)) return false;
+    if (rule.channels && !(context.channelIds || []).some(id => rule.channels.includes(id))) return false;
+    if (rule.categories && !includes(rule.categories, context.categoryId)) return false;
+    if (rule.users && !includes(rule.users, context.userId)) return false;
+    if (rule.roles && !(context.roleIds || []).some(id => rule.roles.includes(id))) return false;
+    if (rule.contentRegex && (context.content === undefined || !rule.contentRegex.test(context.content))) return false;
+    if (rule.hasAttachment !== undefined && context.hasAttachment !== rule.hasAttachment) return false;
+
+    return true;
+};
+
+/**
+ * Evaluate the filter rules for an event; the first matching rule decides
+ * @param {string} eventType - Type of event
+ * @param {Object} context - Filter context from createFilterContext
+ * @returns {Object} `{ allowed, rule }` where rule is the deciding rule name or 'default'
+ */
+const evaluateFilters = (eventType, context = {}) => {
+    const { defaultAction, rules } = getFilters();
+    const rule = rules.find(candidate => ruleMatches(candidate, eventType, context));
+
+    return {
+        allowed: (rule ? rule.action : defaultAction) === 'allow',
+        rule: rule ? rule.name : 'default'
+    };
+};
+
+/**
+ * Check whether an event should be forwarded, logging events that are dropped
+ * @param {string} eventType - Type of event
+ * @param {Object} context - Filter context from createFilterContext
+ * @returns {boolean} True when the event may be sent to N8N
+ */
+const isEventAllowed = (eventType, context) => {
+    const { allowed, rule } = evaluateFilters(eventType, context);
+    if (!allowed) {
+        logger.debug('Event dropped by filter', { eventType, rule, guildId: context.guildId, channelIds: context.channelIds });
+    }
+    return allowed;
+};
+
+module.exports = {
+    createFilterContext,
+    evaluateFilters,
+    isEventAllowed
+};
@@ -0,0 +1,59 @@
+/**
+ * AutoMod Event Handler Module
+ * Handles Discord AutoMod action executions
+ */
+
+const { AutoModerationActionType, AutoModerationRuleTriggerType } = require('discord.js');
+const { createGuildEventData } = require('../event-data');
+const { createFilterContext } = require('../event-filter');
+const { forwardEvent } = require('./forward-event');
+
+/**
+ * Handle AutoMod action executions (block, alert, timeout)
+ * @param {Object} execution - Discord AutoModerationActionExecution
+ * @returns {Promise<void>} Promise that resolves when the execution is processed
+ */
+const handleAutoModerationActionExecution = (execution) => {
+    const action = AutoModerationActionType[execution.action.type];
+
+    return forwardEvent('automod_action', () => createGuildEventData('automod_action', {
+        guild: execution.guild,
+        channel: execution.channel,
+        user: execution.user,
+        text: execution.content
+    }, {
+        automod: {
+            rule_id: execution.ruleId,
+            trigger_type: AutoModerationRuleTriggerType[execution.ruleTriggerType],
+            action,
+            timeout_seconds: execution.action.metadata?.durationSeconds ?? null,
+            alert_channel_id: execution.action.metadata?.channelId ?? null,
+            matched_keyword: execution.matchedKeyword,
+            matched_content: execution.matchedContent,
+            user_id: execution.userId,
+            message_id: execution.messageId,
+            alert_system_message_id: execution.alertSystemMessageId
+        }
+    }), {
+        filter: createFilterContext({
+            guild: execution.guild,
+            channel: execution.channel,
+            user: execution.user,
+            member: execution.member
+        }),
+        context: { guildId: execution.guild.id, ruleId: execution.ruleId, action }
+    });
+};
+
+/**
+ * Register AutoMod event handlers with Discord client
+ * @param {Object} client - Discord client instance
+ */
+const registerAutoModHandlers = (client) => {
+    client.on('autoModerationActionExecution', handleAutoModerationActionExecution);
+};
+
+module.exports = {
+    handleAutoModerationActionExecution,
+    registerAutoModHandlers
+};
@@ -0,0 +1,50 @@
+/**
+ * Event Forwarding Module
+ * Shared dispatch for gateway events that are forwarded to N8N without a reply
+ */
+
+const { sendToN8n } = require('../n8n-service');
+const { isEventAllowed } = require('../event-filter');
+const { logger, correlation } = require('../logging');
+const { RateLimitError } = require('../errors');
+
+/**
+ * Build and forward a gateway event inside its own correlation context
+ * @param {string} eventType - Type of event, resolved as a route in endpoints.json
+ * @param {Function} buildData - Returns (or resolves to) the event data, or null to skip the event
+ * @param {Object} options - Forwarding options
+ * @param {Object} [options.filter] - Filter context from createFilterContext
+ * @param {Object} [options.rateLimit] - `{ userId, guildId }` the rate limit is keyed by
+ * @param {Object} [options.context] - Extra fields for the processing log entry
+ * @returns {Promise<void>} Promise that resolves when the event is processed
+ */
+const forwardEvent = async (eventType, buildData, options = {}) => {
+    const { filter = {}, rateLimit = {}, context = {} } = options;
+    if (!isEventAllowed(eventType, filter)) return;
+
+    const correlationId = correlation.startCorrelation();
+
+    try {
+        const eventData = await buildData();
+        if (!eventData) {
+            logger.debug('Skipped gateway event without forwardable changes', { correlationId, eventType, ...context });
+            return;
+        }
+
+        logger.info('Processing gateway event', { correlationId, eventType, ...context });
+        await sendToN8n(eventData, eventType, { rateLimit });
+
+        logger.debug('Gateway event processed successfully', { correlationId, eventType });
+    } catch (error) {
+        // Rate limited events are logged by the N8N service, which defers those over the route budget to the outbox
+        if (!(error instanceof RateLimitError)) {
+            logger.error('Error processing gateway event', { correlationId, eventType, error });
+        }
+    } finally {
+        correlation.endCorrelation();
+    }
+};
+
+module.exports = {
+    forwardEvent
+};
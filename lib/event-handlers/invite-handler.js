@@ -0,0 +1,72 @@
+/**
+ * Invite Event Handler Module
+ * Handles Discord invite creation and deletion events
+ */
+
+const { createGuildEventData } = require('../event-data');
+const { createFilterContext } = require('../event-filter');
+const { forwardEvent } = require('./forward-event');
+
+/**
+ * Format an invite into standardized structure
+ * @param {Object} invite - Discord invite object
+ * @returns {Object} Formatted invite data
+ */
+const formatInvite = (invite) => ({
+    code: invite.code,
+    url: invite.url,
+    channel_id: invite.channelId,
+    inviter_id: invite.inviterId ?? null,
+    max_age: invite.maxAge ?? null,
+    max_uses: invite.maxUses ?? null,
+    uses: invite.uses ?? null,
+    temporary: invite.temporary ?? null,
+    expires_at: invite.expiresAt?.toISOString() ?? null
+});
+
+/**
+ * Handle invite creation
+ * @param {Object} invite - Discord invite object
+ * @returns {Promise<void>} Promise that resolves when the creation is processed
+ */
+const handleInviteCreate = (invite) => forwardEvent('invite_create', () =>
+    createGuildEventData('invite_create', {
+        guild: invite.guild,
+        channel: invite.channel,
+        user: invite.inviter,
+        text: `Invite ${invite.code} created`
+    }, { invite: formatInvite(invite) }), {
+    filter: createFilterContext({ guild: invite.guild, channel: invite.channel, user: invite.inviter }),
+    rateLimit: invite.inviterId ? { userId: invite.inviterId, guildId: invite.guild?.id } : {},
+    context: { guildId: invite.guild?.id, code: invite.code }
+});
+
+/**
+ * Handle invite deletion; Discord only sends the code and channel
+ * @param {Object} invite - Discord invite object
+ * @returns {Promise<void>} Promise that resolves when the deletion is processed
+ */
+const handleInviteDelete = (invite) => forwardEvent('invite_delete', () =>
+    createGuildEventData('invite_delete', {
+        guild: invite.guild,
+        channel: invite.channel,
+        text: `Invite ${invite.code} deleted`
+    }, { invite: formatInvite(invite) }), {
+    filter: createFilterContext({ guild: invite.guild, channel: invite.channel }),
+    context: { guildId: invite.guild?.id, code: invite.code }
+});
+
+/**
+ * Register invite event handlers with Discord client
+ * @param {Object} client - Discord client instance
+ */
+const registerInviteHandlers = (client) => {
+    client.on('inviteCreate', handleInviteCreate);
+    client.on('inviteDelete', handleInviteDelete);
+};
+
+module.exports = {
+    handleInviteCreate,
+    handleInviteDelete,
+    registerInviteHandlers
+};
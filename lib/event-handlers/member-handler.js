@@ -0,0 +1,108 @@
+/**
+ * Member Event Handler Module
+ * Handles Discord guild member join, leave and update events
+ */
+
+const { createGuildEventData, collectChanges } = require('../event-data');
+const { formatMember } = require('../formatters');
+const { createFilterContext } = require('../event-filter');
+const { forwardEvent } = require('./forward-event');
+
+// Member fields compared on update; roles are diffed separately
+const MEMBER_FIELDS = {
+    nickname: member => member.nickname,
+    avatar: member => member.avatar,
+    pending: member => member.pending,
+    communication_disabled_until: member => member.communicationDisabledUntil?.toISOString(),
+    premium_since: member => member.premiumSince?.toISOString()
+};
+
+/**
+ * Compare role ids between two member states
+ * @param {Object} oldMember - Previous member state
+ * @param {Object} newMember - Updated member state
+ * @returns {Object|null} Added and removed role ids, or null when roles did not change
+ */
+const diffRoles = (oldMember, newMember) => {
+    // Partial members have no role cache to compare against
+    if (oldMember.partial) return null;
+
+    const added = newMember.roles.cache.filter(role => !oldMember.roles.cache.has(role.id)).map(role => role.id);
+    const removed = oldMember.roles.cache.filter(role => !newMember.roles.cache.has(role.id)).map(role => role.id);
+
+    return added.length > 0 || removed.length > 0 ? { added, removed } : null;
+};
+
+/**
+ * Handle members joining a guild
+ * @param {Object} member - Discord guild member object
+ * @returns {Promise<void>} Promise that resolves when the join is processed
+ */
+const handleMemberAdd = (member) => forwardEvent('member_join', () =>
+    createGuildEventData('member_join', {
+        guild: member.guild,
+        user: member.user,
+        text: `${member.user.tag} joined the server`
+    }, { member: formatMember(member) }), {
+    filter: createFilterContext({ guild: member.guild, user: member.user, member }),
+    rateLimit: { userId: member.id, guildId: member.guild.id },
+    context: { guildId: member.guild.id, userId: member.id }
+});
+
+/**
+ * Handle members leaving or being removed from a guild
+ * @param {Object} member - Discord guild member object, possibly partial
+ * @returns {Promise<void>} Promise that resolves when the leave is processed
+ */
+const handleMemberRemove = (member) => forwardEvent('member_leave', () =>
+    createGuildEventData('member_leave', {
+        guild: member.guild,
+        user: member.user,
+        text: `${member.user.tag} left the server`
+    }, { member: formatMember(member), partial: member.partial }), {
+    filter: createFilterContext({ guild: member.guild, user: member.user, member }),
+    rateLimit: { userId: member.id, guildId: member.guild.id },
+    context: { guildId: member.guild.id, userId: member.id }
+});
+
+/**
+ * Handle member updates such as nickname, role and timeout changes
+ * @param {Object} oldMember - Previous member state, possibly partial
+ * @param {Object} newMember - Updated member state
+ * @returns {Promise<void>} Promise that resolves when the update is processed
+ */
+const handleMemberUpdate = (oldMember, newMember) => forwardEvent('member_update', () => {
+    const changes = collectChanges(oldMember.partial ? null : oldMember, newMember, MEMBER_FIELDS);
+    const roles = diffRoles(oldMember, newMember);
+    if (!changes && !roles) return null;
+
+    return createGuildEventData('member_update', {
+        guild: newMember.guild,
+        user: newMember.user,
+        text: `${newMember.user.tag} was updated`
+    }, {
+        member: formatMember(newMember),
+        changes: { ...changes, roles }
+    });
+}, {
+    filter: createFilterContext({ guild: newMember.guild, user: newMember.user, member: newMember }),
+    rateLimit: { userId: newMember.id, guildId: newMember.guild.id },
+    context: { guildId: newMember.guild.id, userId: newMember.id }
+});
+
+/**
+ * Register member event handlers with Discord client
+ * @param {Object} client - Discord client instance
+ */
+const registerMemberHandlers = (client) => {
+    client.on('guildMemberAdd', handleMemberAdd);
+    client.on('guildMemberRemove', handleMemberRemove);
+    client.on('guildMemberUpdate', handleMemberUpdate);
+};
+
+module.exports = {
+    handleMemberAdd,
+    handleMemberRemove,
+    handleMemberUpdate,
+    registerMemberHandlers
+};
@@ -4,8 +4,12 @@
  */
 
 const { createEventData } = require('../event-data');
+const { createFilterContext, isEventAllowed } = require('../event-filter');
+const { messageCache } = require('../message-cache');
 const { sendToN8n } = require('../n8n-service');
+const { deliverReply } = require('../reply-renderer');
 const { logger, correlation } = require('../logging');
+const { RateLimitError } = require('../errors');
 
 /**
  * Handle Discord message creation events
@@ -16,11 +20,28 @@ const handleMessageCreate = async (message) => {
     // Ignore bot messages
     if (message.author.bot) return;
 
+    // Remember the message so a later edit or delete can report what it looked like
+    messageCache.remember(message);
+
     const correlationId = correlation.startCorrelation();
 
     try {
         const isThread = message.channel.isThread();
         const eventType = isThread ? 'thread_message' : 'message_create';
+
+        const filter = createFilterContext({
+            guild: message.guild,
+            channel: message.channel,
+            user: message.author,
+            member: message.member,
+            message
+        });
+        if (!isEventAllowed(eventType, filter)) return;
+
+        // Load the replied-to message so the payload can include it
+        if (message.reference?.messageId) {
+            await message.fetchReference().catch(() => null);
+        }
         
         logger.info('Processing message event', {
             correlationId,
@@ -32,11 +53,17 @@ const handleMessageCreate = async (message) => {
         });
 
         const messageData = createEventData(message, eventType, { isThread });
-        await sendToN8n(messageData, eventType);
+        const response = await sendToN8n(messageData, eventType, {
+            rateLimit: { userId: message.author.id, guildId: message.guildId }
+        });
+        const replied = await deliverReply(response, { channel: message.channel, message });
 
-        logger.debug('Message event processed successfully', { correlationId, eventType });
+        logger.debug('Message event processed successfully', { correlationId, eventType, replied });
     } catch (error) {
-        logger.error('Error processing message event', { correlationId, error });
+        // Rate limited events are logged by the N8N service and dropped
+        if (!(error instanceof RateLimitError)) {
+            logger.error('Error processing message event', { correlationId, error });
+        }
     } finally {
         correlation.endCorrelation();
     }
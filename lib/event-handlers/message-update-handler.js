@@ -0,0 +1,160 @@
+/**
+ * Message Update Event Handler Module
+ * Handles Discord message edit, delete and bulk delete events
+ */
+
+const { createEventData, createGuildEventData } = require('../event-data');
+const { createFilterContext } = require('../event-filter');
+const { messageCache, snapshotMessage, diffMessageSnapshots } = require('../message-cache');
+const { forwardEvent } = require('./forward-event');
+const { logger } = require('../logging');
+
+/**
+ * Build event data for a message that may be an uncached partial
+ * Partial messages only carry their id, channel and guild, so the last known
+ * snapshot from the message cache fills in the author and content when available
+ * @param {Object} message - Discord message object
+ * @param {string} eventType - Type of event
+ * @param {Object} options - Additional options for createEventData
+ * @param {Object|null} snapshot - Cached snapshot of the message
+ * @returns {Object} Event data
+ */
+const createMessageEventData = (message, eventType, options = {}, snapshot = null) => {
+    if (message.partial || !message.author) {
+        return createGuildEventData(eventType, {
+            guild: message.guild,
+            channel: message.channel,
+            user: snapshot?.author,
+            text: snapshot?.content ?? ''
+        }, {
+            message_id: message.id,
+            partial: true,
+            cached: Boolean(snapshot),
+            last_known: snapshot ? {
+                content: snapshot.content,
+                attachments: snapshot.attachments,
+                embeds: snapshot.embeds,
+                created_at: snapshot.created_at
+            } : null,
+            ...options
+        });
+    }
+
+    return createEventData(message, eventType, { isThread: message.channel.isThread(), ...options });
+};
+
+/**
+ * Handle message edits
+ * @param {Object} oldMessage - Previous message state, possibly partial
+ * @param {Object} newMessage - Updated message, possibly partial
+ * @returns {Promise<void>} Promise that resolves when the edit is processed
+ */
+const handleMessageUpdate = async (oldMessage, newMessage) => {
+    if (newMessage.partial) {
+        try {
+            await newMessage.fetch();
+        } catch (error) {
+            logger.error('Error fetching updated message', { messageId: newMessage.id, error });
+            return;
+        }
+    }
+
+    if (newMessage.author.bot) return;
+
+    const before = oldMessage.partial ? messageCache.get(newMessage.id) : snapshotMessage(oldMessage);
+    // Without a previous state only the edit timestamp tells an edit from an embed unfurl, which leaves it unset
+    if (!before && !newMessage.editedTimestamp) {
+        messageCache.remember(newMessage);
+        return;
+    }
+
+    const after = messageCache.remember(newMessage);
+    const changes = diffMessageSnapshots(before, after);
+
+    // Ignore embed unfurls that leave the content and attachments untouched
+    if (!changes.content && !changes.attachments) return;
+
+    await forwardEvent('message_update', () => ({
+        ...createMessageEventData(newMessage, 'message_update', { changes }),
+        previous_known: Boolean(before)
+    }), {
+        filter: createFilterContext({
+            guild: newMessage.guild,
+            channel: newMessage.channel,
+            user: newMessage.author,
+            member: newMessage.member,
+            message: newMessage
+        }),
+        rateLimit: { userId: newMessage.author.id, guildId: newMessage.guildId },
+        context: { messageId: newMessage.id, channelId: newMessage.channelId, guildId: newMessage.guildId }
+    });
+};
+
+/**
+ * Handle message deletions
+ * @param {Object} message - Deleted message, partial when it was not cached
+ * @returns {Promise<void>} Promise that resolves when the deletion is processed
+ */
+const handleMessageDelete = async (message) => {
+    const snapshot = messageCache.take(message.id);
+    const author = message.author ?? snapshot?.author;
+    if (author?.bot) return;
+
+    await forwardEvent('message_delete', () => createMessageEventData(message, 'message_delete', {}, snapshot), {
+        filter: createFilterContext({
+            guild: message.guild,
+            channel: message.channel,
+            user: author,
+            member: message.member,
+            message
+        }),
+        context: { messageId: message.id, channelId: message.channelId, guildId: message.guildId }
+    });
+};
+
+/**
+ * Handle bulk message deletions, e.g. moderator purges
+ * @param {Collection} messages - Deleted messages keyed by id, partial when not cached
+ * @param {Object} channel - Channel the messages were deleted from
+ * @returns {Promise<void>} Promise that resolves when the deletion is processed
+ */
+const handleMessageDeleteBulk = (messages, channel) => forwardEvent('message_bulk_delete', () =>
+    createGuildEventData('message_bulk_delete', {
+        guild: channel.guild,
+        channel,
+        text: `${messages.size} messages deleted`
+    }, {
+        message_ids: [...messages.keys()],
+        count: messages.size,
+        // Messages that were neither cached by Discord nor by the message cache are only listed by id
+        messages: messages.map(message => {
+            const snapshot = messageCache.take(message.id);
+            if (!message.partial) return { ...snapshotMessage(message), cached: false };
+            return snapshot && { ...snapshot, cached: true };
+        }).filter(Boolean).map(known => ({
+            id: known.id,
+            author_id: known.author?.id ?? null,
+            content: known.content,
+            cached: known.cached
+        }))
+    }), {
+    filter: createFilterContext({ guild: channel.guild, channel }),
+    context: { channelId: channel.id, guildId: channel.guildId, count: messages.size }
+});
+
+/**
+ * Register message update event handlers with Discord client
+ * @param {Object} client - Discord client instance
+ */
+const registerMessageUpdateHandlers = (client) => {
+    client.on('messageUpdate', handleMessageUpdate);
+    client.on('messageDelete', handleMessageDelete);
+    client.on('messageDeleteBulk', handleMessageDeleteBulk);
+};
+
+module.exports = {
+    handleMessageUpdate,
+    handleMessageDelete,
+    handleMessageDeleteBulk,
+    registerMessageUpdateHandlers
+};
@@ -4,17 +4,22 @@
  */
 
 const { createEventData } = require('../event-data');
+const { createFilterContext, isEventAllowed } = require('../event-filter');
+const { matchReactionRoute } = require('../reaction-routes');
 const { sendToN8n } = require('../n8n-service');
+const { deliverReply } = require('../reply-renderer');
 const { logger, correlation } = require('../logging');
+const { RateLimitError } = require('../errors');
 
 /**
  * Handle Discord reaction events (add/remove)
  * @param {Object} reaction - Discord reaction object
  * @param {Object} user - Discord user object
  * @param {string} eventType - Type of reaction event ('reaction_add' or 'reaction_remove')
+ * @param {Object} [details] - Reaction event details, `{ burst }` for super reactions
  * @returns {Promise<void>} Promise that resolves when reaction is processed
  */
-const handleReaction = async (reaction, user, eventType) => {
+const handleReaction = async (reaction, user, eventType, details = {}) => {
     // Ignore bot reactions
     if (user.bot) return;
 
@@ -41,27 +46,50 @@ const handleReaction = async (reaction, user, eventType) => {
         }
 
         const isThread = reaction.message.channel.isThread();
-        
+
+        const filter = createFilterContext({
+            guild: reaction.message.guild,
+            channel: reaction.message.channel,
+            user,
+            member: reaction.message.guild?.members.cache.get(user.id),
+            message: reaction.message
+        });
+        if (!isEventAllowed(eventType, filter)) return;
+
+        const reactionRoute = matchReactionRoute(eventType, reaction);
+
         logger.info('Processing reaction event', {
             correlationId,
             eventType,
             emoji: reaction.emoji.name,
             messageId: reaction.message.id,
             userId: user.id,
+            route: reactionRoute?.route,
             isThread
         });
 
-        const reactionData = createEventData(reaction.message, eventType, { 
-            user, 
-            emoji: reaction.emoji, 
-            isThread 
+        const reactionData = createEventData(reaction, eventType, {
+            isReaction: true,
+            author: user,
+            reactionDetails: details
         });
-        
-        await sendToN8n(reactionData, eventType);
+        reactionData.reaction.route = reactionRoute ? reactionRoute.name : null;
 
-        logger.debug('Reaction event processed successfully', { correlationId, eventType });
+        const response = await sendToN8n(reactionData, eventType, {
+            route: reactionRoute?.route,
+            rateLimit: { userId: user.id, guildId: reaction.message.guildId }
+        });
+        const replied = await deliverReply(response, {
+            channel: reaction.message.channel,
+            message: reaction.message
+        });
+
+        logger.debug('Reaction event processed successfully', { correlationId, eventType, replied });
     } catch (error) {
-        logger.error('Error processing reaction event', { correlationId, error });
+        // Rate limited events are logged by the N8N service and dropped
+        if (!(error instanceof RateLimitError)) {
+            logger.error('Error processing reaction event', { correlationId, error });
+        }
     } finally {
         correlation.endCorrelation();
     }
@@ -72,10 +100,10 @@ const handleReaction = async (reaction, user, eventType) => {
  * @param {Object} client - Discord client instance
  */
 const registerReactionHandlers = (client) => {
-    client.on('messageReactionAdd', (reaction, user) => 
-        handleReaction(reaction, user, 'reaction_add'));
-    client.on('messageReactionRemove', (reaction, user) => 
-        handleReaction(reaction, user, 'reaction_remove'));
+    client.on('messageReactionAdd', (reaction, user, details) =>
+        handleReaction(reaction, user, 'reaction_add', details));
+    client.on('messageReactionRemove', (reaction, user, details) =>
+        handleReaction(reaction, user, 'reaction_remove', details));
 };
 
 module.exports = {
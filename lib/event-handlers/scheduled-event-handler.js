@@ -0,0 +1,110 @@
+/**
+ * Scheduled Event Handler Module
+ * Handles Discord guild scheduled event lifecycle events
+ */
+
+const { GuildScheduledEventStatus, GuildScheduledEventEntityType } = require('discord.js');
+const { createGuildEventData, collectChanges } = require('../event-data');
+const { createFilterContext } = require('../event-filter');
+const { forwardEvent } = require('./forward-event');
+
+// Scheduled event fields compared on update
+const SCHEDULED_EVENT_FIELDS = {
+    name: event => event.name,
+    description: event => event.description,
+    status: event => GuildScheduledEventStatus[event.status],
+    scheduled_start_at: event => event.scheduledStartAt?.toISOString(),
+    scheduled_end_at: event => event.scheduledEndAt?.toISOString(),
+    channel_id: event => event.channelId,
+    location: event => event.entityMetadata?.location
+};
+
+/**
+ * Format a scheduled event into standardized structure
+ * @param {Object} event - Discord guild scheduled event
+ * @returns {Object} Formatted scheduled event data
+ */
+const formatScheduledEvent = (event) => ({
+    id: event.id,
+    name: event.name,
+    description: event.description,
+    status: GuildScheduledEventStatus[event.status],
+    entity_type: GuildScheduledEventEntityType[event.entityType],
+    scheduled_start_at: event.scheduledStartAt?.toISOString() ?? null,
+    scheduled_end_at: event.scheduledEndAt?.toISOString() ?? null,
+    channel_id: event.channelId,
+    location: event.entityMetadata?.location ?? null,
+    creator_id: event.creatorId,
+    user_count: event.userCount,
+    url: event.url
+});
+
+/**
+ * Build the payload for a scheduled event lifecycle event
+ * @param {string} eventType - Type of event
+ * @param {Object} event - Discord guild scheduled event
+ * @param {string} verb - Past tense action for the summary text
+ * @param {Object} details - Extra payload fields
+ * @returns {Object} Event data
+ */
+const createScheduledEventData = (eventType, event, verb, details = {}) => createGuildEventData(eventType, {
+    guild: event.guild,
+    channel: event.channel,
+    user: event.creator,
+    text: `Scheduled event "${event.name}" ${verb}`
+}, { scheduled_event: formatScheduledEvent(event), ...details });
+
+/**
+ * Handle scheduled event creation
+ * @param {Object} event - Discord guild scheduled event
+ * @returns {Promise<void>} Promise that resolves when the creation is processed
+ */
+const handleScheduledEventCreate = (event) => forwardEvent('scheduled_event_create', () =>
+    createScheduledEventData('scheduled_event_create', event, 'created'), {
+    filter: createFilterContext({ guild: event.guild, channel: event.channel, user: event.creator }),
+    context: { guildId: event.guildId, scheduledEventId: event.id }
+});
+
+/**
+ * Handle scheduled event updates, including status changes when events start and end
+ * @param {Object|null} oldEvent - Previous state, null when it was not cached
+ * @param {Object} newEvent - Updated scheduled event
+ * @returns {Promise<void>} Promise that resolves when the update is processed
+ */
+const handleScheduledEventUpdate = (oldEvent, newEvent) => forwardEvent('scheduled_event_update', () => {
+    const changes = collectChanges(oldEvent, newEvent, SCHEDULED_EVENT_FIELDS);
+    if (!changes) return null;
+
+    return createScheduledEventData('scheduled_event_update', newEvent, 'updated', { changes });
+}, {
+    filter: createFilterContext({ guild: newEvent.guild, channel: newEvent.channel, user: newEvent.creator }),
+    context: { guildId: newEvent.guildId, scheduledEventId: newEvent.id }
+});
+
+/**
+ * Handle scheduled event deletion
+ * @param {Object} event - Discord guild scheduled event
+ * @returns {Promise<void>} Promise that resolves when the deletion is processed
+ */
+const handleScheduledEventDelete = (event) => forwardEvent('scheduled_event_delete', () =>
+    createScheduledEventData('scheduled_event_delete', event, 'deleted'), {
+    filter: createFilterContext({ guild: event.guild, channel: event.channel, user: event.creator }),
+    context: { guildId: event.guildId, scheduledEventId: event.id }
+});
+
+/**
+ * Register scheduled event handlers with Discord client
+ * @param {Object} client - Discord client instance
+ */
+const registerScheduledEventHandlers = (client) => {
+    client.on('guildScheduledEventCreate', handleScheduledEventCreate);
+    client.on('guildScheduledEventUpdate', handleScheduledEventUpdate);
+    client.on('guildScheduledEventDelete', handleScheduledEventDelete);
+};
+
+module.exports = {
+    handleScheduledEventCreate,
+    handleScheduledEventUpdate,
+    handleScheduledEventDelete,
+    registerScheduledEventHandlers
+};
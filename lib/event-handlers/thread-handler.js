@@ -5,6 +5,20 @@
 
 const { createEventData } = require('../event-data');
 const { sendToN8n } = require('../n8n-service');
+const { createFilterContext, isEventAllowed } = require('../event-filter');
+
+/**
+ * Build the filter context for a thread event
+ * @param {Object} thread - Discord thread object
+ * @param {Object} [user] - Thread member user, for member events
+ * @returns {Object} Filter context
+ */
+const createThreadFilterContext = (thread, user) => createFilterContext({
+    guild: thread.guild,
+    channel: thread,
+    user,
+    member: user ? thread.guild?.members.cache.get(user.id) : undefined
+});
 
 /**
  * Handle thread creation events
@@ -13,6 +27,8 @@ const { sendToN8n } = require('../n8n-service');
  */
 const handleThreadCreate = async (thread) => {
     try {
+        if (!isEventAllowed('thread_create', createThreadFilterContext(thread))) return;
+
         const threadData = createEventData(thread, 'thread_create', { isThreadEvent: true });
         await sendToN8n(threadData, 'thread_create');
     } catch (error) {
@@ -27,6 +43,8 @@ const handleThreadCreate = async (thread) => {
  */
 const handleThreadDelete = async (thread) => {
     try {
+        if (!isEventAllowed('thread_delete', createThreadFilterContext(thread))) return;
+
         const threadData = createEventData(thread, 'thread_delete', { isThreadEvent: true });
         await sendToN8n(threadData, 'thread_delete');
     } catch (error) {
@@ -42,6 +60,8 @@ const handleThreadDelete = async (thread) => {
  */
 const handleThreadUpdate = async (oldThread, newThread) => {
     try {
+        if (!isEventAllowed('thread_update', createThreadFilterContext(newThread))) return;
+
         const changes = {
             name: oldThread.name !== newThread.name ? {
                 old: oldThread.name,
@@ -82,11 +102,15 @@ const handleThreadUpdate = async (oldThread, newThread) => {
  */
 const handleThreadMemberAdd = async (member) => {
     try {
+        if (!isEventAllowed('thread_member_join', createThreadFilterContext(member.thread, member.user))) return;
+
         const threadData = createEventData(member.thread, 'thread_member_join', {
             isThreadEvent: true,
             author: member.user
         });
-        await sendToN8n(threadData, 'thread_member_join');
+        await sendToN8n(threadData, 'thread_member_join', {
+            rateLimit: { userId: member.id, guildId: member.thread.guildId }
+        });
     } catch (error) {
         console.error('Error processing thread member join:', error);
     }
@@ -99,11 +123,15 @@ const handleThreadMemberAdd = async (member) => {
  */
 const handleThreadMemberRemove = async (member) => {
     try {
+        if (!isEventAllowed('thread_member_leave', createThreadFilterContext(member.thread, member.user))) return;
+
         const threadData = createEventData(member.thread, 'thread_member_leave', {
             isThreadEvent: true,
             author: member.user
         });
-        await sendToN8n(threadData, 'thread_member_leave');
+        await sendToN8n(threadData, 'thread_member_leave', {
+            rateLimit: { userId: member.id, guildId: member.thread.guildId }
+        });
     } catch (error) {
         console.error('Error processing thread member leave:', error);
     }
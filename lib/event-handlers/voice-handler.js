@@ -0,0 +1,92 @@
+/**
+ * Voice Event Handler Module
+ * Handles Discord voice state changes
+ */
+
+const { createGuildEventData, collectChanges } = require('../event-data');
+const { formatChannel } = require('../formatters');
+const { createFilterContext } = require('../event-filter');
+const { forwardEvent } = require('./forward-event');
+
+// Voice state flags compared between the old and new state
+const VOICE_FIELDS = {
+    self_mute: state => state.selfMute,
+    self_deaf: state => state.selfDeaf,
+    server_mute: state => state.serverMute,
+    server_deaf: state => state.serverDeaf,
+    streaming: state => state.streaming,
+    video: state => state.selfVideo,
+    suppress: state => state.suppress
+};
+
+/**
+ * Classify a voice state change
+ * @param {Object} oldState - Previous voice state
+ * @param {Object} newState - Updated voice state
+ * @returns {string} 'join', 'leave', 'move' or 'update'
+ */
+const getVoiceAction = (oldState, newState) => {
+    if (!oldState.channelId && newState.channelId) return 'join';
+    if (oldState.channelId && !newState.channelId) return 'leave';
+    if (oldState.channelId !== newState.channelId) return 'move';
+    return 'update';
+};
+
+/**
+ * Handle voice state updates (join, leave, move, mute, deafen, stream)
+ * @param {Object} oldState - Previous voice state
+ * @param {Object} newState - Updated voice state
+ * @returns {Promise<void>} Promise that resolves when the update is processed
+ */
+const handleVoiceStateUpdate = async (oldState, newState) => {
+    const user = newState.member?.user;
+
+    // Ignore bot voice activity
+    if (user?.bot) return;
+
+    const action = getVoiceAction(oldState, newState);
+
+    await forwardEvent('voice_state_update', () => {
+        const changes = collectChanges(oldState, newState, VOICE_FIELDS);
+        if (action === 'update' && !changes) return null;
+
+        const channel = newState.channel || oldState.channel;
+        return createGuildEventData('voice_state_update', {
+            guild: newState.guild,
+            channel,
+            user,
+            text: `${user?.tag || newState.id} voice ${action} ${channel?.name || ''}`.trim()
+        }, {
+            voice: {
+                action,
+                old_channel: oldState.channel ? formatChannel(oldState.channel) : null,
+                new_channel: newState.channel ? formatChannel(newState.channel) : null,
+                session_id: newState.sessionId
+            },
+            changes
+        });
+    }, {
+        filter: createFilterContext({
+            guild: newState.guild,
+            channel: newState.channel || oldState.channel,
+            user,
+            member: newState.member
+        }),
+        rateLimit: { userId: newState.id, guildId: newState.guild.id },
+        context: { guildId: newState.guild.id, userId: newState.id, action }
+    });
+};
+
+/**
+ * Register voice event handlers with Discord client
+ * @param {Object} client - Discord client instance
+ */
+const registerVoiceHandlers = (client) => {
+    client.on('voiceStateUpdate', handleVoiceStateUpdate);
+};
+
+module.exports = {
+    handleVoiceStateUpdate,
+    getVoiceAction,
+    registerVoiceHandlers
+};
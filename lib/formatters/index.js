@@ -3,6 +3,8 @@
  * Provides consistent formatting functions for Discord objects
  */
 
+const messageDetails = require('./message-details');
+
 /**
  * Format Discord user object into standardized structure
  * @param {Object} user - Discord user object
@@ -36,6 +38,21 @@ const formatGuild = (guild) => guild ? {
     name: guild.name
 } : null;
 
+/**
+ * Format Discord guild member object into standardized structure
+ * @param {Object} member - Discord guild member object
+ * @returns {Object} Formatted member data
+ */
+const formatMember = (member) => ({
+    id: member.id,
+    nickname: member.nickname ?? null,
+    display_name: member.displayName,
+    roles: member.roles.cache.filter(role => role.id !== member.guild.id).map(role => role.id),
+    joined_at: member.joinedTimestamp ? new Date(member.joinedTimestamp).toISOString() : null,
+    pending: member.pending ?? false,
+    bot: member.user?.bot ?? false
+});
+
 /**
  * Format Discord message object into standardized structure
  * @param {Object} message - Discord message object
@@ -52,45 +69,39 @@ const formatMessage = (message) => ({
 
 /**
  * Format Discord reaction object into standardized structure
+ * Counts are taken after the add or remove the event reports
  * @param {Object} reaction - Discord reaction object
+ * @param {Object} [details] - Reaction event details, `{ burst }` for super reactions
  * @returns {Object} Formatted reaction data
  */
-const formatReaction = (reaction) => ({
-    emoji: reaction.emoji.toString(),
-    emoji_id: reaction.emoji.id,
-    emoji_name: reaction.emoji.name,
-    animated: reaction.emoji.animated
-});
+const formatReaction = (reaction, details = {}) => {
+    const author = reaction.message?.author;
 
-/**
- * Determine the content type of a Discord message
- * @param {Object} message - Discord message object
- * @returns {string} Content type identifier
- */
-const getContentType = (message) => {
-    if (message.stickers.size > 0) return 'sticker';
-    if (message.attachments.size > 0) {
-        const attachment = message.attachments.first();
-        if (attachment.contentType?.startsWith('image/')) return 'image';
-        if (attachment.contentType?.startsWith('video/')) return 'video';
-        if (attachment.contentType?.startsWith('audio/')) return 'audio';
-        return 'file';
-    }
-    if (message.embeds.length > 0) return 'embed';
-    if (message.poll) return 'poll';
-    if (message.reference) return 'reply';
-    // Note: bot_mention detection requires client reference - will be handled at call site
-    if (message.content.includes('@')) return 'mention';
-    if (message.content.match(/https?:\/\/\S+/)) return 'link';
-    if (message.content.trim() === '') return 'empty';
-    return 'text';
+    return {
+        emoji: reaction.emoji.toString(),
+        emoji_id: reaction.emoji.id,
+        emoji_name: reaction.emoji.name,
+        animated: reaction.emoji.animated,
+        burst: Boolean(details.burst),
+        count: reaction.count ?? null,
+        count_details: reaction.countDetails ? {
+            normal: reaction.countDetails.normal,
+            burst: reaction.countDetails.burst
+        } : null,
+        message_author: author ? {
+            id: author.id,
+            username: author.username,
+            discriminator: author.discriminator
+        } : null
+    };
 };
 
 module.exports = {
     formatUser,
     formatChannel,
     formatGuild,
+    formatMember,
     formatMessage,
     formatReaction,
-    getContentType
+    ...messageDetails
 };
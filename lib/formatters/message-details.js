@@ -0,0 +1,189 @@
+/**
+ * Message Detail Formatters
+ * Normalizes attachments, embeds, stickers, mentions, replies and polls with per-field size caps
+ */
+
+// Per-field caps keeping message payloads bounded
+const MESSAGE_LIMITS = {
+    attachments: 10,
+    embeds: 10,
+    embedFields: 25,
+    embedText: 1024,
+    stickers: 3,
+    mentions: 50,
+    pollAnswers: 10,
+    referencedContent: 500
+};
+
+/**
+ * Truncate text to a maximum length
+ * @param {string|null} text - Text to truncate
+ * @param {number} maxLength - Maximum length
+ * @returns {string|null} Truncated text, or null when there is none
+ */
+const truncate = (text, maxLength) => {
+    if (text == null) return null;
+    return text.length > maxLength ? `${text.slice(0, maxLength - 1)}…` : text;
+};
+
+/**
+ * Format message attachments with URLs, sizes and content types
+ * @param {Collection} attachments - Discord attachment collection
+ * @returns {Object[]} Formatted attachments, capped at MESSAGE_LIMITS.attachments
+ */
+const formatAttachments = (attachments) => [...attachments.values()]
+    .slice(0, MESSAGE_LIMITS.attachments)
+    .map(attachment => ({
+        id: attachment.id,
+        name: attachment.name,
+        url: attachment.url,
+        proxy_url: attachment.proxyURL,
+        size: attachment.size,
+        content_type: attachment.contentType ?? null,
+        width: attachment.width ?? null,
+        height: attachment.height ?? null,
+        duration: attachment.duration ?? null,
+        description: truncate(attachment.description, MESSAGE_LIMITS.embedText),
+        spoiler: attachment.spoiler
+    }));
+
+/**
+ * Format message embeds, truncating long text fields
+ * @param {Object[]} embeds - Discord embeds
+ * @returns {Object[]} Formatted embeds, capped at MESSAGE_LIMITS.embeds
+ */
+const formatEmbeds = (embeds) => embeds.slice(0, MESSAGE_LIMITS.embeds).map(embed => ({
+    type: embed.data.type ?? 'rich',
+    title: truncate(embed.title, 256),
+    description: truncate(embed.description, MESSAGE_LIMITS.embedText),
+    url: embed.url,
+    color: embed.color,
+    timestamp: embed.timestamp,
+    author: embed.author ? { name: embed.author.name, url: embed.author.url ?? null } : null,
+    footer: embed.footer ? truncate(embed.footer.text, 256) : null,
+    image_url: embed.image?.url ?? null,
+    thumbnail_url: embed.thumbnail?.url ?? null,
+    video_url: embed.video?.url ?? null,
+    provider: embed.provider?.name ?? null,
+    fields: embed.fields.slice(0, MESSAGE_LIMITS.embedFields).map(field => ({
+        name: truncate(field.name, 256),
+        value: truncate(field.value, MESSAGE_LIMITS.embedText),
+        inline: field.inline ?? false
+    }))
+}));
+
+/**
+ * Format message stickers
+ * @param {Collection} stickers - Discord sticker collection
+ * @returns {Object[]} Formatted stickers
+ */
+const formatStickers = (stickers) => [...stickers.values()]
+    .slice(0, MESSAGE_LIMITS.stickers)
+    .map(sticker => ({ id: sticker.id, name: sticker.name, format: sticker.format, url: sticker.url }));
+
+/**
+ * Format message mentions as id lists
+ * @param {Object} mentions - Discord MessageMentions
+ * @returns {Object} Mentioned user, role and channel ids
+ */
+const formatMentions = (mentions) => ({
+    users: [...mentions.users.keys()].slice(0, MESSAGE_LIMITS.mentions),
+    roles: [...mentions.roles.keys()].slice(0, MESSAGE_LIMITS.mentions),
+    channels: [...mentions.channels.keys()].slice(0, MESSAGE_LIMITS.mentions),
+    everyone: mentions.everyone,
+    replied_user: mentions.repliedUser?.id ?? null
+});
+
+/**
+ * Format the message a reply or forward refers to
+ * The referenced message is included when it is in the channel cache
+ * @param {Object} message - Discord message object
+ * @returns {Object|null} Reference data, or null when the message references nothing
+ */
+const formatReference = (message) => {
+    if (!message.reference) return null;
+
+    const { messageId, channelId, guildId } = message.reference;
+    const referenced = messageId ? message.channel.messages?.cache.get(messageId) : null;
+
+    return {
+        message_id: messageId ?? null,
+        channel_id: channelId,
+        guild_id: guildId ?? null,
+        message: referenced ? {
+            author_id: referenced.author?.id ?? null,
+            content: truncate(referenced.content, MESSAGE_LIMITS.referencedContent)
+        } : null
+    };
+};
+
+/**
+ * Format a message poll
+ * @param {Object|null} poll - Discord poll
+ * @returns {Object|null} Formatted poll, or null when the message has none
+ */
+const formatPoll = (poll) => poll ? {
+    question: poll.question.text,
+    answers: [...poll.answers.values()].slice(0, MESSAGE_LIMITS.pollAnswers).map(answer => ({
+        id: answer.id,
+        text: answer.text,
+        emoji: answer.emoji?.toString() ?? null,
+        vote_count: answer.voteCount
+    })),
+    allow_multiselect: poll.allowMultiselect,
+    expires_at: poll.expiresTimestamp ? new Date(poll.expiresTimestamp).toISOString() : null,
+    finalized: poll.resultsFinalized
+} : null;
+
+/**
+ * Format everything a message carries besides its text
+ * @param {Object} message - Discord message object
+ * @returns {Object} Rich message data
+ */
+const formatMessageDetails = (message) => ({
+    content_type: getContentType(message),
+    attachments: formatAttachments(message.attachments),
+    embeds: formatEmbeds(message.embeds),
+    stickers: formatStickers(message.stickers),
+    mentions: formatMentions(message.mentions),
+    reference: formatReference(message),
+    poll: formatPoll(message.poll),
+    edited_at: message.editedTimestamp ? new Date(message.editedTimestamp).toISOString() : null
+});
+
+/**
+ * Determine the content type of a Discord message
+ * @param {Object} message - Discord message object
+ * @returns {string} Content type identifier
+ */
+const getContentType = (message) => {
+    if (message.stickers.size > 0) return 'sticker';
+    if (message.attachments.size > 0) {
+        const attachment = message.attachments.first();
+        if (attachment.contentType?.startsWith('image/')) return 'image';
+        if (attachment.contentType?.startsWith('video/')) return 'video';
+        if (attachment.contentType?.startsWith('audio/')) return 'audio';
+        return 'file';
+    }
+    if (message.embeds.length > 0) return 'embed';
+    if (message.poll) return 'poll';
+    if (message.reference) return 'reply';
+    // Note: bot_mention detection requires client reference - will be handled at call site
+    if (message.content.includes('@')) return 'mention';
+    if (message.content.match(/https?:\/\/\S+/)) return 'link';
+    if (message.content.trim() === '') return 'empty';
+    return 'text';
+};
+
+module.exports = {
+    formatAttachments,
+    formatEmbeds,
+    formatStickers,
+    formatMentions,
+    formatReference,
+    formatPoll,
+    formatMessageDetails,
+    getContentType,
+    truncate,
+    MESSAGE_LIMITS
+};
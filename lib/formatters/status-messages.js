@@ -0,0 +1,160 @@
+/**
+ * Status Message Formatters
+ * User-facing request status, error and rate limit messages shared by commands, callbacks and components
+ */
+
+const { logger } = require('../logging');
+
+/**
+ * Extract domain from URL for categorization
+ * @param {string} url - URL to analyze
+ * @returns {string} Domain name or 'unknown'
+ */
+function extractDomain(url) {
+    try {
+        const urlObj = new URL(url);
+        return urlObj.hostname.toLowerCase();
+    } catch (error) {
+        logger.warn('Failed to extract domain from URL', { url, error });
+        return 'unknown';
+    }
+}
+
+/**
+ * Format error message for scrape command failures
+ * @param {Object} params - Parameters for error message
+ * @param {string} params.error - The error that occurred
+ * @param {string} [params.url] - The URL that failed (optional)
+ * @param {string} [params.suggestion] - Suggestion for fixing the error
+ * @returns {string} Formatted error message
+ */
+function formatErrorMessage({ error, url, suggestion }) {
+    let message = `❌ **Scrape Request Failed**\n\n`;
+    
+    if (url) {
+        const domain = extractDomain(url);
+        message += `🌐 **Website:** ${domain}\n`;
+    }
+    
+    message += `⚠️ **Error:** ${error}\n`;
+    
+    if (suggestion) {
+        message += `💡 **Suggestion:** ${suggestion}\n`;
+    }
+    
+    message += `\n🔧 **Need Help?** Make sure your URL is accessible and your extraction request is clear.`;
+    
+    logger.debug('Formatted error message', {
+        error,
+        url: url ? extractDomain(url) : 'unknown',
+        hasSuggestion: !!suggestion
+    });
+    
+    return message;
+}
+
+/**
+ * Format processing status message for long-running requests
+ * @param {Object} params - Status parameters
+ * @param {string} params.status - Current processing status
+ * @param {string} params.url - The URL being processed
+ * @param {number} [params.progress] - Progress percentage (0-100)
+ * @returns {string} Formatted status message
+ */
+function formatStatusMessage({ status, url, progress }) {
+    const domain = extractDomain(url);
+    const timestamp = new Date().toLocaleTimeString();
+    
+    let statusEmoji = '🔄';
+    let statusText = status;
+    
+    switch (status.toLowerCase()) {
+        case 'queued':
+            statusEmoji = '⏳';
+            statusText = 'Queued for processing';
+            break;
+        case 'processing':
+            statusEmoji = '🔄';
+            statusText = 'Currently processing';
+            break;
+        case 'extracting':
+            statusEmoji = '🔍';
+            statusText = 'Extracting data';
+            break;
+        case 'completing':
+            statusEmoji = '🔧';
+            statusText = 'Finalizing results';
+            break;
+        case 'sent':
+            statusEmoji = '📨';
+            statusText = 'Sent to the workflow';
+            break;
+        case 'completed':
+            statusEmoji = '✅';
+            statusText = 'Completed';
+            break;
+        case 'failed':
+            statusEmoji = '❌';
+            statusText = 'Failed';
+            break;
+        case 'cancelled':
+            statusEmoji = '⏹️';
+            statusText = 'Cancelled';
+            break;
+    }
+    
+    let message = `${statusEmoji} **${statusText}**\n\n` +
+                  `🌐 **Website:** ${domain}\n` +
+                  `⏰ **Last Update:** ${timestamp}`;
+    
+    if (progress !== undefined && progress >= 0 && progress <= 100) {
+        const progressBar = generateProgressBar(progress);
+        message += `\n📊 **Progress:** ${progress}%\n${progressBar}`;
+    }
+    
+    return message;
+}
+
+/**
+ * Generate a simple text progress bar
+ * @param {number} progress - Progress percentage (0-100)
+ * @returns {string} Text progress bar
+ */
+function generateProgressBar(progress) {
+    const totalBars = 20;
+    const filledBars = Math.round((progress / 100) * totalBars);
+    const emptyBars = totalBars - filledBars;
+    
+    return '█'.repeat(filledBars) + '░'.repeat(emptyBars);
+}
+
+/**
+ * Format rate limit message when user hits limits
+ * @param {Object} params - Rate limit parameters
+ * @param {number} params.remainingRequests - Requests remaining
+ * @param {number} params.resetTime - When limit resets (timestamp)
+ * @returns {string} Formatted rate limit message
+ */
+function formatRateLimitMessage({ remainingRequests, resetTime }) {
+    const resetDate = new Date(resetTime);
+    const resetTimeString = resetDate.toLocaleTimeString();
+    
+    if (remainingRequests > 0) {
+        return `⚠️ **Rate Limit Warning**\n\n` +
+               `📊 **Remaining Requests:** ${remainingRequests}\n` +
+               `🔄 **Limit Resets:** ${resetTimeString}\n\n` +
+               `💡 Consider spacing out your requests to avoid hitting the limit.`;
+    } else {
+        return `🚫 **Rate Limit Exceeded**\n\n` +
+               `⏰ **Limit Resets:** ${resetTimeString}\n\n` +
+               `Please wait before submitting another request.`;
+    }
+}
+
+module.exports = {
+    extractDomain,
+    formatErrorMessage,
+    formatStatusMessage,
+    formatRateLimitMessage,
+    generateProgressBar
+};
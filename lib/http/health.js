@@ -0,0 +1,88 @@
+/**
+ * Health Endpoints
+ * Liveness (/healthz) and readiness (/readyz) probes for container orchestration
+ */
+
+const { Status } = require('discord.js');
+const configManager = require('../../config');
+
+/**
+ * Check whether configuration loaded
+ * @returns {Object} Check result with ok flag and error message
+ */
+const checkConfig = () => {
+  try {
+    const endpoints = configManager.getAllEndpoints();
+    return { ok: Object.keys(endpoints).length > 0 };
+  } catch (error) {
+    return { ok: false, error: error.message };
+  }
+};
+
+/**
+ * List critical routes whose circuit breaker is open
+ * @param {Object} serviceManager - Initialized service manager
+ * @returns {string[]} Route names
+ */
+const getOpenCriticalCircuits = (serviceManager) => {
+  const circuitBreakerManager = serviceManager.getN8NRouter().circuitBreakerManager;
+
+  return Object.entries(configManager.getAllEndpoints())
+    .filter(([, endpoint]) => endpoint.critical && endpoint.enabled !== false)
+    .map(([route]) => route)
+    .filter(route => circuitBreakerManager.getCircuitBreaker(route)?.opened);
+};
+
+/**
+ * Build the route handlers for the health endpoints
+ * @param {Object} params - Handler dependencies
+ * @param {Object} params.client - Discord client instance
+ * @param {Object} params.serviceManager - Service manager instance
+ * @returns {Object} Route handlers for HttpServer keyed by probe
+ */
+const createHealthHandlers = ({ client, serviceManager }) => {
+  const details = () => (serviceManager.initialized ? serviceManager.getDetailedHealthStatus() : null);
+
+  const healthz = async () => {
+    const gatewayConnected = client.ws.status === Status.Ready;
+
+    return {
+      status: gatewayConnected ? 200 : 503,
+      body: {
+        status: gatewayConnected ? 'ok' : 'unavailable',
+        uptimeSeconds: Math.round(process.uptime()),
+        gateway: { connected: gatewayConnected, status: client.ws.status, pingMs: client.ws.ping },
+        details: details()
+      }
+    };
+  };
+
+  const readyz = async () => {
+    const config = checkConfig();
+    const openCircuits = serviceManager.initialized ? getOpenCriticalCircuits(serviceManager) : [];
+    const checks = {
+      servicesInitialized: serviceManager.initialized,
+      configLoaded: config.ok,
+      criticalCircuitsClosed: openCircuits.length === 0
+    };
+    const ready = Object.values(checks).every(Boolean);
+
+    return {
+      status: ready ? 200 : 503,
+      body: {
+        status: ready ? 'ready' : 'not_ready',
+        checks,
+        openCircuits,
+        configError: config.error,
+        details: details()
+      }
+    };
+  };
+
+  return { healthz, readyz };
+};
+
+module.exports = {
+  createHealthHandlers,
+  getOpenCriticalCircuits
+};
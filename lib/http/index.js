@@ -0,0 +1,75 @@
+/**
+ * Local HTTP Endpoints
+ * Builds the bot's HTTP server and registers the routes enabled by the environment
+ */
+
+const HttpServer = require('./server');
+const { logger } = require('../logging');
+const { createHealthHandlers } = require('./health');
+const { createCallbackHandler } = require('../callbacks/callback-handler');
+const { isMetricsEnabled, attachServiceMetrics, createMetricsHandler } = require('../metrics');
+const { serviceManager } = require('../../services');
+
+let httpServer = null;
+
+/**
+ * Start the HTTP server with the health probes
+ * Runs before login so orchestrators can observe startup
+ * @param {Object} client - Discord client instance
+ * @returns {Promise<HttpServer>} The running server
+ */
+const startHttpServer = async (client) => {
+  const server = new HttpServer({
+    port: parseInt(process.env.HTTP_PORT) || 3001,
+    host: process.env.HTTP_HOST
+  });
+
+  const { healthz, readyz } = createHealthHandlers({ client, serviceManager });
+  server.route('GET', '/healthz', healthz);
+  server.route('GET', '/readyz', readyz);
+
+  server.on('server:started', (data) => logger.info('HTTP server listening', data));
+  await server.start();
+
+  httpServer = server;
+  return server;
+};
+
+/**
+ * Register endpoints that depend on initialized services
+ * @param {Object} client - Discord client instance
+ */
+const registerServiceRoutes = (client) => {
+  if (!httpServer) return;
+
+  if (process.env.CALLBACK_SECRET) {
+    httpServer.route('POST', '/callbacks/n8n', createCallbackHandler({
+      client,
+      secret: process.env.CALLBACK_SECRET
+    }));
+  }
+
+  if (isMetricsEnabled()) {
+    attachServiceMetrics(serviceManager);
+    httpServer.route('GET', '/metrics', createMetricsHandler());
+  }
+
+  logger.info('HTTP service routes registered', { routes: Array.from(httpServer.routes.keys()) });
+};
+
+/**
+ * Stop the HTTP server if it is running
+ * @returns {Promise<void>}
+ */
+const stopHttpServer = async () => {
+  if (httpServer) {
+    await httpServer.stop();
+    httpServer = null;
+  }
+};
+
+module.exports = {
+  startHttpServer,
+  registerServiceRoutes,
+  stopHttpServer
+};
@@ -0,0 +1,163 @@
+const http = require('http');
+const { EventEmitter } = require('events');
+const { logger, correlation } = require('../logging');
+
+/**
+ * Minimal HTTP Server
+ * Dependency-free JSON/text server for the bot's local endpoints
+ */
+class HttpServer extends EventEmitter {
+  constructor(config = {}) {
+    super();
+
+    // Spread first so an unset HTTP_HOST does not replace the loopback default with undefined
+    this.config = {
+      ...config,
+      port: config.port || 3001,
+      host: config.host || '127.0.0.1',
+      maxBodyBytes: config.maxBodyBytes || 1024 * 1024 // 1MB
+    };
+
+    this.routes = new Map();
+    this.server = null;
+  }
+
+  /**
+   * Register a route handler
+   * @param {string} method - HTTP method
+   * @param {string} path - Exact request path
+   * @param {Function} handler - Receives { method, path, query, headers, rawBody } and
+   *   resolves with { status, body, headers }
+   * @returns {HttpServer} This server for chaining
+   */
+  route(method, path, handler) {
+    this.routes.set(`${method.toUpperCase()} ${path}`, handler);
+    return this;
+  }
+
+  /**
+   * Check whether any routes are registered
+   * @returns {boolean} True if at least one route exists
+   */
+  hasRoutes() {
+    return this.routes.size > 0;
+  }
+
+  /**
+   * Start listening
+   * @returns {Promise<void>}
+   */
+  start() {
+    return new Promise((resolve, reject) => {
+      this.server = http.createServer((req, res) => this.handleRequest(req, res));
+      this.server.once('error', reject);
+      this.server.listen(this.config.port, this.config.host, () => {
+        this.emit('server:started', { port: this.config.port, host: this.config.host, routes: Array.from(this.routes.keys()) });
+        resolve();
+      });
+    });
+  }
+
+  /**
+   * Stop listening and close open connections
+   * @returns {Promise<void>}
+   */
+  stop() {
+    if (!this.server) {
+      return Promise.resolve();
+    }
+
+    return new Promise((resolve) => {
+      this.server.close(() => {
+        this.server = null;
+        this.emit('server:stopped');
+        resolve();
+      });
+      this.server.closeAllConnections?.();
+    });
+  }
+
+  /**
+   * Dispatch a request to its route handler
+   * @param {http.IncomingMessage} req - Incoming request
+   * @param {http.ServerResponse} res - Server response
+   */
+  async handleRequest(req, res) {
+    const startTime = Date.now();
+    const url = new URL(req.url, 'http://localhost');
+    const correlationId = correlation.startRequestCorrelation(url.pathname, req.method);
+    let status = 500;
+
+    try {
+      const handler = this.routes.get(`${req.method} ${url.pathname}`);
+      if (!handler) {
+        const pathExists = Array.from(this.routes.keys()).some(key => key.endsWith(` ${url.pathname}`));
+        status = pathExists ? 405 : 404;
+        this.send(res, status, { error: pathExists ? 'Method not allowed' : 'Not found' });
+        return;
+      }
+
+      const rawBody = await this.readBody(req);
+      const result = await handler({
+        method: req.method,
+        path: url.pathname,
+        query: Object.fromEntries(url.searchParams),
+        headers: req.headers,
+        rawBody
+      });
+
+      status = result.status || 200;
+      this.send(res, status, result.body, result.headers);
+    } catch (error) {
+      status = error.statusCode || 500;
+      logger.error('HTTP request failed', { correlationId, path: url.pathname, error });
+      this.send(res, status, { error: status === 500 ? 'Internal server error' : error.message });
+    } finally {
+      correlation.endRequestCorrelation(correlationId, status, Date.now() - startTime);
+    }
+  }
+
+  /**
+   * Read the request body, enforcing maxBodyBytes
+   * @param {http.IncomingMessage} req - Incoming request
+   * @returns {Promise<string>} Raw request body
+   */
+  readBody(req) {
+    return new Promise((resolve, reject) => {
+      const chunks = [];
+      let size = 0;
+
+      req.on('data', (chunk) => {
+        size += chunk.length;
+        if (size > this.config.maxBodyBytes) {
+          reject(Object.assign(new Error('Request body too large'), { statusCode: 413 }));
+          req.destroy();
+          return;
+        }
+        chunks.push(chunk);
+      });
+      req.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+      req.on('error', reject);
+    });
+  }
+
+  /**
+   * Write a JSON or plain-text response
+   * @param {http.ServerResponse} res - Server response
+   * @param {number} status - HTTP status code
+   * @param {Object|string} body - Response body
+   * @param {Object} [headers] - Extra response headers
+   */
+  send(res, status, body, headers = {}) {
+    if (res.headersSent) return;
+
+    const isText = typeof body === 'string';
+    res.writeHead(status, {
+      'Content-Type': isText ? 'text/plain; charset=utf-8' : 'application/json',
+      ...headers
+    });
+    res.end(isText ? body : JSON.stringify(body ?? {}));
+  }
+}
+
+module.exports = HttpServer;
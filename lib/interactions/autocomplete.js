@@ -0,0 +1,173 @@
+/**
+ * Autocomplete Module
+ * Answers autocomplete interactions from a command's local provider or the N8N autocomplete endpoint
+ */
+
+const configManager = require('../../config');
+const { sendToN8n } = require('../n8n-service');
+const { logger, correlation } = require('../logging');
+const { RateLimitError } = require('../errors');
+
+// Discord limits for autocomplete responses
+const MAX_CHOICES = 25;
+const MAX_CHOICE_LENGTH = 100;
+
+// Suggestion lists keyed by command, option, guild and input, least recently used first
+const suggestionCache = new Map();
+
+/**
+ * Get the autocomplete latency budget and cache settings
+ * @returns {Object} `{ timeoutMs, cacheTtlMs, cacheSize }`
+ */
+const getAutocompleteConfig = () => ({
+    timeoutMs: 2000,
+    cacheTtlMs: 60000,
+    cacheSize: 500,
+    ...configManager.getGlobalConfig().autocomplete
+});
+
+/**
+ * Convert suggestions into choices Discord accepts
+ * Strings become `{ name, value }`; names are truncated and values too long to submit are dropped
+ * @param {Array<string|Object>} suggestions - Suggested values or `{ name, value }` choices
+ * @returns {Array<Object>} At most 25 choices
+ */
+const toChoices = (suggestions = []) => suggestions
+    .map(suggestion => (typeof suggestion === 'object' && suggestion !== null ?
+        suggestion : { name: String(suggestion), value: String(suggestion) }))
+    .filter(choice => choice.name && choice.value !== undefined && String(choice.value).length <= MAX_CHOICE_LENGTH)
+    .map(choice => ({ name: String(choice.name).substring(0, MAX_CHOICE_LENGTH), value: choice.value }))
+    .slice(0, MAX_CHOICES);
+
+/**
+ * Flatten the options of an interaction, including those nested in subcommands
+ * @param {Array<Object>} data - Interaction option data
+ * @returns {Array<Object>} Leaf options
+ */
+const flattenOptions = (data = []) => data.flatMap(option => (option.options ? flattenOptions(option.options) : [option]));
+
+/**
+ * Build the N8N payload for an autocomplete request
+ * @param {Object} interaction - Discord autocomplete interaction
+ * @param {Object} focused - Option being typed, `{ name, value }`
+ * @returns {Object} Data for N8N processing
+ */
+const buildAutocompletePayload = (interaction, focused) => ({
+    command: interaction.commandName,
+    subcommand: interaction.options.getSubcommand(false),
+    option: focused.name,
+    value: String(focused.value),
+    options: Object.fromEntries(flattenOptions(interaction.options.data)
+        .filter(option => !option.focused)
+        .map(option => [option.name, option.value ?? null])),
+    user_context: {
+        user_id: interaction.user.id,
+        username: interaction.user.username,
+        guild_id: interaction.guildId,
+        channel_id: interaction.channelId,
+        channel_name: interaction.channel?.name
+    }
+});
+
+/**
+ * Look up cached suggestions, marking them as recently used
+ * @param {string} key - Cache key
+ * @returns {Array<Object>|null} Cached choices, or null when missing or expired
+ */
+const readCache = (key) => {
+    const entry = suggestionCache.get(key);
+    if (!entry || entry.expiresAt < Date.now()) {
+        suggestionCache.delete(key);
+        return null;
+    }
+
+    suggestionCache.delete(key);
+    suggestionCache.set(key, entry);
+    return entry.choices;
+};
+
+/**
+ * Cache suggestions, evicting the least recently used lists beyond the cache size
+ * @param {string} key - Cache key
+ * @param {Array<Object>} choices - Choices to cache
+ * @param {Object} config - Autocomplete configuration
+ */
+const writeCache = (key, choices, { cacheTtlMs, cacheSize }) => {
+    if (cacheTtlMs === 0) return;
+
+    suggestionCache.delete(key);
+    suggestionCache.set(key, { choices, expiresAt: Date.now() + cacheTtlMs });
+
+    while (suggestionCache.size > cacheSize) {
+        suggestionCache.delete(suggestionCache.keys().next().value);
+    }
+};
+
+/**
+ * Fetch suggestions from the endpoint listing the 'autocomplete' event
+ * Answers with no suggestions once the latency budget is spent or the user's rate limit for the endpoint is
+ * reached; a late response still fills the cache. Requests keep the endpoint's own queue priority.
+ * @param {Object} interaction - Discord autocomplete interaction
+ * @returns {Promise<Array<Object>>} Choices from the endpoint's `choices` response field
+ */
+const fetchRemoteSuggestions = async (interaction) => {
+    const config = getAutocompleteConfig();
+    const focused = interaction.options.getFocused(true);
+    const key = [interaction.commandName, focused.name, interaction.guildId || 'dm', String(focused.value).toLowerCase()].join(':');
+
+    const cached = readCache(key);
+    if (cached) return cached;
+
+    const request = sendToN8n(buildAutocompletePayload(interaction, focused), 'autocomplete', {
+        durable: false,
+        rateLimit: { userId: interaction.user.id, guildId: interaction.guildId }
+    }).then(response => {
+        const choices = toChoices(response.data?.choices);
+        writeCache(key, choices, config);
+        return choices;
+    }).catch(error => {
+        // Rate limited keystrokes are logged by the N8N service
+        if (error instanceof RateLimitError) return [];
+        logger.warn('Autocomplete endpoint failed', { command: interaction.commandName, option: focused.name, error: error.message });
+        return [];
+    });
+
+    let timer;
+    const budget = new Promise(resolve => {
+        timer = setTimeout(() => resolve([]), config.timeoutMs);
+    });
+
+    try {
+        return await Promise.race([request, budget]);
+    } finally {
+        clearTimeout(timer);
+    }
+};
+
+/**
+ * Handle an autocomplete interaction with the command's autocomplete provider
+ * @param {Object} interaction - Discord autocomplete interaction
+ * @returns {Promise<void>} Promise that resolves when suggestions were sent
+ */
+const handleAutocomplete = async (interaction) => {
+    const command = interaction.client.commands.get(interaction.commandName);
+    correlation.startCorrelation();
+
+    try {
+        const suggestions = command?.autocomplete ? await command.autocomplete(interaction) : [];
+        await interaction.respond(toChoices(suggestions));
+    } catch (error) {
+        logger.warn('Autocomplete failed', { command: interaction.commandName, error: error.message });
+        // The interaction may already have expired, so answering can fail too
+        await interaction.respond([]).catch(() => null);
+    } finally {
+        correlation.endCorrelation();
+    }
+};
+
+module.exports = {
+    toChoices,
+    buildAutocompletePayload,
+    fetchRemoteSuggestions,
+    handleAutocomplete
+};
@@ -0,0 +1,153 @@
+/**
+ * Component Interaction Handler Module
+ * Forwards button clicks, select menu choices and modal submits to the endpoint owning their customId prefix
+ */
+
+const { ComponentType } = require('discord.js');
+const { resolveComponentRoute } = require('./component-routes');
+const { sendToN8n } = require('../n8n-service');
+const { deliverReply } = require('../reply-renderer');
+const { logger, correlation } = require('../logging');
+const { serviceManager } = require('../../services');
+const { formatRateLimitMessage } = require('../formatters/status-messages');
+
+const COMPONENT_TYPES = {
+    [ComponentType.Button]: 'button',
+    [ComponentType.StringSelect]: 'string_select',
+    [ComponentType.UserSelect]: 'user_select',
+    [ComponentType.RoleSelect]: 'role_select',
+    [ComponentType.MentionableSelect]: 'mentionable_select',
+    [ComponentType.ChannelSelect]: 'channel_select'
+};
+
+/**
+ * Get the event type a component interaction is sent as
+ * @param {Object} interaction - Discord component or modal submit interaction
+ * @returns {string} 'button_click', 'select_menu' or 'modal_submit'
+ */
+const getComponentEventType = (interaction) => {
+    if (interaction.isModalSubmit()) return 'modal_submit';
+    return interaction.isButton() ? 'button_click' : 'select_menu';
+};
+
+/**
+ * Build the N8N payload for a component interaction
+ * @param {Object} interaction - Discord component or modal submit interaction
+ * @param {string} prefix - customId prefix the endpoint was resolved by
+ * @param {string} eventType - Event type the payload is sent as
+ * @returns {Object} Data for N8N processing
+ */
+const buildComponentPayload = (interaction, prefix, eventType) => {
+    const timestamp = Date.now();
+    const random = Math.random().toString(36).substring(2, 8);
+    const isModal = interaction.isModalSubmit();
+
+    return {
+        interaction_id: interaction.id,
+        custom_id: interaction.customId,
+        prefix,
+        component_type: isModal ? 'modal' : COMPONENT_TYPES[interaction.componentType] || 'unknown',
+        values: interaction.isAnySelectMenu() ? interaction.values : [],
+        fields: isModal ?
+            Object.fromEntries(interaction.fields.fields.map(field => [field.customId, field.value ?? null])) : {},
+        message: interaction.message ? { id: interaction.message.id, channel_id: interaction.message.channelId } : null,
+        request_id: `${eventType}_${interaction.guildId || 'dm'}_${interaction.user.id}_${timestamp}_${random}`,
+        user_context: {
+            user_id: interaction.user.id,
+            username: interaction.user.username,
+            guild_id: interaction.guildId,
+            channel_id: interaction.channelId,
+            channel_name: interaction.channel?.name
+        }
+    };
+};
+
+/**
+ * Acknowledge the interaction before Discord's 3 second deadline
+ * Components and modals opened from a message defer an update so the workflow can edit that message;
+ * modals opened from a slash command have no message and defer an ephemeral reply instead
+ * @param {Object} interaction - Discord component or modal submit interaction
+ * @returns {Promise<boolean>} True when the source message can be updated
+ */
+const acknowledgeComponent = async (interaction) => {
+    if (interaction.isMessageComponent() || interaction.isFromMessage()) {
+        await interaction.deferUpdate();
+        return true;
+    }
+
+    await interaction.deferReply({ ephemeral: true });
+    return false;
+};
+
+/**
+ * Handle a button, select menu or modal submit interaction
+ * customIds no endpoint claims are left for in-process collectors
+ * @param {Object} interaction - Discord component or modal submit interaction
+ * @returns {Promise<boolean>} True when an endpoint handled the interaction
+ */
+const handleComponentInteraction = async (interaction) => {
+    const route = resolveComponentRoute(interaction.customId);
+    if (!route) return false;
+
+    const correlationId = correlation.startCorrelation();
+    const eventType = getComponentEventType(interaction);
+    let updatable = false;
+
+    try {
+        const limit = serviceManager.getRateLimiter()?.consume({
+            route: route.endpoint,
+            userId: interaction.user.id,
+            guildId: interaction.guildId
+        });
+        if (limit && !limit.allowed) {
+            logger.warn('Component interaction rate limited', { correlationId, customId: interaction.customId, scope: limit.scope });
+            await interaction.reply({ content: formatRateLimitMessage(limit), ephemeral: true });
+            return true;
+        }
+
+        updatable = await acknowledgeComponent(interaction);
+
+        logger.info('Processing component interaction', {
+            correlationId,
+            eventType,
+            customId: interaction.customId,
+            endpoint: route.endpoint,
+            userId: interaction.user.id
+        });
+
+        const response = await sendToN8n(buildComponentPayload(interaction, route.prefix, eventType), eventType, {
+            route: route.endpoint,
+            durable: false,
+            rateLimit: false
+        });
+
+        const replied = await deliverReply(response, { interaction, component: updatable });
+        if (!replied && !updatable) {
+            await interaction.editReply({ content: '✅ Your submission was received.' });
+        }
+    } catch (error) {
+        logger.error('Error processing component interaction', { correlationId, customId: interaction.customId, error });
+
+        const content = 'There was an error while processing this interaction!';
+        try {
+            if (!interaction.deferred && !interaction.replied) {
+                await interaction.reply({ content, ephemeral: true });
+            } else if (updatable) {
+                await interaction.followUp({ content, ephemeral: true });
+            } else {
+                await interaction.editReply({ content });
+            }
+        } catch (replyError) {
+            logger.error('Failed to send error response for component interaction', { correlationId, error: replyError });
+        }
+    } finally {
+        correlation.endCorrelation();
+    }
+
+    return true;
+};
+
+module.exports = {
+    buildComponentPayload,
+    handleComponentInteraction
+};
@@ -0,0 +1,56 @@
+/**
+ * Component Routes Module
+ * Resolves button, select menu and modal customIds to the endpoint declaring their prefix
+ */
+
+const configManager = require('../../config');
+const { logger } = require('../logging');
+
+// Prefixes sorted longest first, rebuilt after the configuration is hot-reloaded
+let compiledPrefixes = null;
+
+configManager.hotReloadManager?.on('configReloaded', () => {
+    compiledPrefixes = null;
+});
+
+/**
+ * Collect the componentPrefixes of every enabled endpoint
+ * @returns {Array<Object>} `{ prefix, endpoint }` pairs, longest prefix first
+ */
+const getComponentPrefixes = () => {
+    if (!compiledPrefixes) {
+        const owners = new Map();
+
+        for (const [endpoint, endpointConfig] of Object.entries(configManager.getAllEndpoints())) {
+            if (endpointConfig.enabled === false) continue;
+
+            for (const prefix of endpointConfig.componentPrefixes || []) {
+                if (owners.has(prefix)) {
+                    logger.warn('Ignoring component prefix declared by more than one endpoint', {
+                        prefix,
+                        endpoints: [owners.get(prefix), endpoint]
+                    });
+                    continue;
+                }
+                owners.set(prefix, endpoint);
+            }
+        }
+
+        compiledPrefixes = [...owners.entries()]
+            .map(([prefix, endpoint]) => ({ prefix, endpoint }))
+            .sort((a, b) => b.prefix.length - a.prefix.length);
+    }
+    return compiledPrefixes;
+};
+
+/**
+ * Find the endpoint for a customId; the longest matching prefix wins
+ * @param {string} customId - customId of the button, select menu or modal
+ * @returns {Object|null} `{ prefix, endpoint }`, or null when no endpoint claims the customId
+ */
+const resolveComponentRoute = (customId) =>
+    getComponentPrefixes().find(({ prefix }) => customId.startsWith(prefix)) || null;
+
+module.exports = {
+    resolveComponentRoute
+};
@@ -0,0 +1,58 @@
+/**
+ * Recent Values Module
+ * Remembers the option values each user recently submitted so autocomplete can suggest them again
+ */
+
+/**
+ * Recent Values Class
+ * Keeps the latest values per user and key, forgetting the least recently active users first
+ */
+class RecentValues {
+    constructor(config = {}) {
+        this.config = {
+            ...config,
+            maxUsers: config.maxUsers || 1000,
+            maxValues: config.maxValues || 10
+        };
+
+        this.users = new Map();
+    }
+
+    /**
+     * Remember a submitted value, moving it to the front when it was already known
+     * @param {string} userId - Discord user ID
+     * @param {string} key - Value kind, e.g. 'scrape:url'
+     * @param {string} value - Submitted value
+     */
+    remember(userId, key, value) {
+        if (!value) return;
+
+        const keys = this.users.get(userId) || new Map();
+        const values = (keys.get(key) || []).filter(existing => existing !== value);
+        keys.set(key, [value, ...values].slice(0, this.config.maxValues));
+
+        this.users.delete(userId);
+        this.users.set(userId, keys);
+
+        while (this.users.size > this.config.maxUsers) {
+            this.users.delete(this.users.keys().next().value);
+        }
+    }
+
+    /**
+     * List a user's recent values, newest first
+     * @param {string} userId - Discord user ID
+     * @param {string} key - Value kind, e.g. 'scrape:url'
+     * @returns {string[]} Recent values
+     */
+    list(userId, key) {
+        return this.users.get(userId)?.get(key) || [];
+    }
+}
+
+const recentValues = new RecentValues();
+
+module.exports = {
+    RecentValues,
+    recentValues
+};
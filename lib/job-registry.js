@@ -0,0 +1,152 @@
+/**
+ * Scrape Job Registry
+ * Tracks the state of scrape requests by request ID for /scrape status, list and cancel
+ */
+
+const JOB_STATES = ['queued', 'sent', 'running', 'completed', 'failed', 'cancelled'];
+const FINAL_JOB_STATES = ['completed', 'failed', 'cancelled'];
+
+/**
+ * Map a callback status onto a job state
+ * Intermediate workflow statuses such as 'processing' or 'extracting' mean the job is running
+ * @param {string} status - Callback status
+ * @returns {string} Job state
+ */
+const toJobState = (status) => (JOB_STATES.includes(status) ? status : 'running');
+
+/**
+ * Scrape Job Registry Class
+ * Keeps jobs in memory, dropping those older than ttlMs and the oldest beyond maxEntries
+ */
+class ScrapeJobRegistry {
+    constructor(config = {}) {
+        this.config = {
+            ...config,
+            ttlMs: config.ttlMs || 24 * 60 * 60 * 1000, // 24 hours
+            maxEntries: config.maxEntries || 1000
+        };
+
+        this.jobs = new Map();
+    }
+
+    /**
+     * Record a new job in the queued state
+     * @param {Object} params - Job details
+     * @param {string} params.requestId - Request ID sent to N8N
+     * @param {string} params.url - Scraped URL
+     * @param {Object} params.interaction - Requesting Discord interaction
+     * @param {string} [params.batchId] - Batch the job belongs to
+     * @param {string} [params.template] - Template the job was run from
+     * @returns {Object} The job
+     */
+    create({ requestId, url, interaction, batchId = null, template = null }) {
+        this.prune();
+
+        const now = Date.now();
+        const job = {
+            requestId,
+            url,
+            userId: interaction.user.id,
+            guildId: interaction.guildId,
+            channelId: interaction.channelId,
+            batchId,
+            template,
+            state: 'queued',
+            progress: null,
+            error: null,
+            createdAt: now,
+            updatedAt: now,
+            history: [{ state: 'queued', at: now }]
+        };
+
+        this.jobs.set(requestId, job);
+        return job;
+    }
+
+    /**
+     * Move a job to a new state
+     * Finished jobs keep their state, so a late response cannot revive a cancelled job
+     * @param {string} requestId - Request ID
+     * @param {string} state - New job state
+     * @param {Object} [details] - `{ progress, error }`
+     * @returns {Object|null} The job, or null when it is unknown
+     */
+    transition(requestId, state, { progress, error } = {}) {
+        const job = this.jobs.get(requestId);
+        if (!job || this.isFinal(job)) return job || null;
+
+        const now = Date.now();
+        if (job.state !== state) {
+            job.history.push({ state, at: now });
+        }
+        job.state = state;
+        job.progress = progress ?? job.progress;
+        job.error = error ?? job.error;
+        job.updatedAt = now;
+        return job;
+    }
+
+    /**
+     * Get a job by request ID
+     * @param {string} requestId - Request ID
+     * @returns {Object|null} The job
+     */
+    get(requestId) {
+        return this.jobs.get(requestId) || null;
+    }
+
+    /**
+     * List a user's jobs, newest first
+     * @param {string} userId - Discord user ID
+     * @param {Object} [options] - `{ active, limit }`; active limits the list to unfinished jobs
+     * @returns {Object[]} Jobs
+     */
+    listForUser(userId, { active = false, limit = 25 } = {}) {
+        return [...this.jobs.values()]
+            .filter(job => job.userId === userId && (!active || !this.isFinal(job)))
+            .sort((a, b) => b.createdAt - a.createdAt)
+            .slice(0, limit);
+    }
+
+    /**
+     * Check whether a job has finished
+     * @param {Object} job - Job
+     * @returns {boolean} True for completed, failed and cancelled jobs
+     */
+    isFinal(job) {
+        return FINAL_JOB_STATES.includes(job.state);
+    }
+
+    /**
+     * Drop expired jobs, then the oldest beyond maxEntries
+     */
+    prune() {
+        const cutoff = Date.now() - this.config.ttlMs;
+
+        for (const [requestId, job] of this.jobs) {
+            if (job.updatedAt < cutoff || this.jobs.size >= this.config.maxEntries) {
+                this.jobs.delete(requestId);
+            }
+        }
+    }
+
+    /**
+     * Get registry statistics
+     * @returns {Object} Job counts by state
+     */
+    getStats() {
+        const byState = Object.fromEntries(JOB_STATES.map(state => [state, 0]));
+        this.jobs.forEach(job => byState[job.state]++);
+        return { total: this.jobs.size, byState };
+    }
+}
+
+const scrapeJobs = new ScrapeJobRegistry();
+
+module.exports = {
+    ScrapeJobRegistry,
+    scrapeJobs,
+    toJobState,
+    JOB_STATES,
+    FINAL_JOB_STATES
+};
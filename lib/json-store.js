@@ -0,0 +1,62 @@
+/**
+ * JSON Store Module
+ * Persists a single JSON document on disk for features that keep user data between restarts
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * JSON Store Class
+ * Serializes writes and replaces the file atomically so a crash never leaves a partial document
+ */
+class JsonStore {
+    constructor(filePath, defaultValue = {}) {
+        this.filePath = filePath;
+        this.defaultValue = defaultValue;
+        this.writeChain = Promise.resolve();
+    }
+
+    /**
+     * Read the stored document
+     * @returns {Promise<*>} Parsed document, or a copy of the default value when the file does not exist
+     */
+    async read() {
+        try {
+            return JSON.parse(await fs.promises.readFile(this.filePath, 'utf8'));
+        } catch (error) {
+            if (error.code !== 'ENOENT') throw error;
+            return structuredClone(this.defaultValue);
+        }
+    }
+
+    /**
+     * Replace the stored document after any pending writes
+     * @param {*} value - Document to store
+     * @returns {Promise<void>}
+     */
+    write(value) {
+        const contents = `${JSON.stringify(value, null, 2)}\n`;
+
+        this.writeChain = this.writeChain.catch(() => {}).then(async () => {
+            const tempPath = `${this.filePath}.tmp`;
+            await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+            await fs.promises.writeFile(tempPath, contents);
+            await fs.promises.rename(tempPath, this.filePath);
+        });
+
+        return this.writeChain;
+    }
+}
+
+/**
+ * Resolve a file in the data directory shared by persistent bot features
+ * @param {string} fileName - File name
+ * @returns {string} Absolute file path
+ */
+const getDataPath = (fileName) => path.resolve(process.env.DATA_DIR || path.join(process.cwd(), 'data'), fileName);
+
+module.exports = {
+    JsonStore,
+    getDataPath
+};
@@ -0,0 +1,144 @@
+/**
+ * Message Cache Module
+ * Keeps snapshots of recent messages so edits and deletions of uncached messages can report
+ * what the message looked like before
+ */
+
+const { formatAttachments, formatEmbeds } = require('./formatters');
+
+/**
+ * Capture the parts of a message that edit and delete events compare
+ * @param {Object} message - Discord message object (not partial)
+ * @returns {Object} Message snapshot
+ */
+const snapshotMessage = (message) => ({
+    id: message.id,
+    channel_id: message.channelId,
+    guild_id: message.guildId ?? null,
+    author: message.author ? {
+        id: message.author.id,
+        username: message.author.username,
+        discriminator: message.author.discriminator,
+        bot: message.author.bot
+    } : null,
+    content: message.content,
+    attachments: formatAttachments(message.attachments),
+    embeds: formatEmbeds(message.embeds),
+    created_at: message.createdTimestamp ? new Date(message.createdTimestamp).toISOString() : null
+});
+
+/**
+ * Compare two snapshots of the same message
+ * Attachments are diffed by id; content and embeds are reported as old and new values
+ * @param {Object|null} before - Earlier snapshot, null when the previous state is unknown
+ * @param {Object} after - Current snapshot
+ * @returns {Object} Changes keyed by field, null for fields that did not change
+ */
+const diffMessageSnapshots = (before, after) => {
+    if (!before) {
+        return { content: { old: null, new: after.content }, embeds: null, attachments: null };
+    }
+
+    const beforeIds = new Set(before.attachments.map(attachment => attachment.id));
+    const afterIds = new Set(after.attachments.map(attachment => attachment.id));
+    const added = after.attachments.filter(attachment => !beforeIds.has(attachment.id));
+    const removed = before.attachments.filter(attachment => !afterIds.has(attachment.id));
+
+    return {
+        content: before.content !== after.content ? { old: before.content, new: after.content } : null,
+        embeds: JSON.stringify(before.embeds) !== JSON.stringify(after.embeds) ?
+            { old: before.embeds, new: after.embeds } : null,
+        attachments: added.length > 0 || removed.length > 0 ? { added, removed } : null
+    };
+};
+
+/**
+ * Message Cache Class
+ * Least-recently-used map of message snapshots, expiring them after ttlMs
+ */
+class MessageCache {
+    constructor(config = {}) {
+        this.config = {
+            ...config,
+            maxSize: config.maxSize || 5000,
+            ttlMs: config.ttlMs || 24 * 60 * 60 * 1000 // 24 hours
+        };
+
+        this.entries = new Map();
+        this.stats = { hits: 0, misses: 0, evicted: 0 };
+    }
+
+    /**
+     * Store or refresh a message snapshot
+     * @param {Object} message - Discord message object (not partial)
+     * @returns {Object} The stored snapshot
+     */
+    remember(message) {
+        const snapshot = snapshotMessage(message);
+
+        this.entries.delete(message.id);
+        this.entries.set(message.id, { snapshot, cachedAt: Date.now() });
+
+        // Map iteration follows insertion order, so the first key is the least recently used
+        while (this.entries.size > this.config.maxSize) {
+            this.entries.delete(this.entries.keys().next().value);
+            this.stats.evicted++;
+        }
+
+        return snapshot;
+    }
+
+    /**
+     * Look up a snapshot, marking it as recently used
+     * @param {string} messageId - Message ID
+     * @returns {Object|null} Snapshot, or null when unknown or expired
+     */
+    get(messageId) {
+        const entry = this.entries.get(messageId);
+        if (!entry || Date.now() - entry.cachedAt > this.config.ttlMs) {
+            this.entries.delete(messageId);
+            this.stats.misses++;
+            return null;
+        }
+
+        this.entries.delete(messageId);
+        this.entries.set(messageId, entry);
+        this.stats.hits++;
+        return entry.snapshot;
+    }
+
+    /**
+     * Remove a snapshot, returning it
+     * @param {string} messageId - Message ID
+     * @returns {Object|null} Snapshot, or null when unknown or expired
+     */
+    take(messageId) {
+        const snapshot = this.get(messageId);
+        this.entries.delete(messageId);
+        return snapshot;
+    }
+
+    /**
+     * Get cache statistics
+     * @returns {Object} Cache statistics
+     */
+    getStats() {
+        return {
+            size: this.entries.size,
+            maxSize: this.config.maxSize,
+            ...this.stats
+        };
+    }
+}
+
+const messageCache = new MessageCache({
+    maxSize: parseInt(process.env.MESSAGE_CACHE_SIZE) || undefined,
+    ttlMs: parseInt(process.env.MESSAGE_CACHE_TTL_MS) || undefined
+});
+
+module.exports = {
+    MessageCache,
+    messageCache,
+    snapshotMessage,
+    diffMessageSnapshots
+};
@@ -0,0 +1,132 @@
+/**
+ * Bot Metrics
+ * Defines the bot's Prometheus metrics and wires them to the Discord client and services
+ */
+
+const configManager = require('../../config');
+const { MetricsRegistry } = require('./registry');
+
+const CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+/**
+ * Check whether metrics are enabled in `global.monitoring`
+ * @returns {boolean} True when monitoring is enabled
+ */
+const isMetricsEnabled = () => configManager.getGlobalConfig().monitoring.enabled !== false;
+
+const registry = new MetricsRegistry({
+  retentionMs: configManager.getGlobalConfig().monitoring.metricsRetention
+});
+
+const metrics = {
+  eventsForwarded: registry.counter(
+    'discord_bot_events_forwarded_total',
+    'Events and commands sent to N8N by event type and outcome',
+    ['event_type', 'outcome']
+  ),
+  routeLatency: registry.histogram(
+    'discord_bot_route_latency_seconds',
+    'N8N route response time in seconds',
+    ['route'],
+    [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30]
+  ),
+  circuitTransitions: registry.counter(
+    'discord_bot_circuit_transitions_total',
+    'Circuit breaker state transitions by route',
+    ['route', 'state']
+  ),
+  rateLimited: registry.counter(
+    'discord_bot_rate_limited_total',
+    'Requests rejected by the rate limiter',
+    ['route', 'scope']
+  ),
+  queueDepth: registry.gauge(
+    'discord_bot_queue_depth',
+    'Requests waiting in the dispatch queue by priority',
+    ['priority']
+  ),
+  activeRequests: registry.gauge(
+    'discord_bot_active_requests',
+    'Requests currently being sent to N8N'
+  ),
+  outboxPending: registry.gauge(
+    'discord_bot_outbox_pending_events',
+    'Undelivered events waiting in the outbox'
+  ),
+  gatewayEvents: registry.counter(
+    'discord_bot_gateway_events_total',
+    'Discord gateway dispatch events received',
+    ['event']
+  )
+};
+
+/**
+ * Count Discord gateway events
+ * @param {Object} client - Discord client instance
+ */
+const registerGatewayMetrics = (client) => {
+  if (!isMetricsEnabled()) return;
+
+  // Only dispatches (op 0) are events; heartbeats, acks and hellos are connection upkeep
+  client.on('raw', (packet) => {
+    if (packet.op === 0) {
+      metrics.gatewayEvents.inc({ event: packet.t });
+    }
+  });
+};
+
+/**
+ * Record router activity and sample queue and outbox state at scrape time
+ * @param {Object} serviceManager - Initialized service manager
+ */
+const attachServiceMetrics = (serviceManager) => {
+  const router = serviceManager.getN8NRouter();
+
+  router.on('command:routed', (data) => {
+    metrics.eventsForwarded.inc({ event_type: data.commandType, outcome: 'success' });
+    metrics.routeLatency.observe({ route: data.route }, data.responseTime / 1000);
+  });
+  router.on('command:error', (data) => {
+    metrics.eventsForwarded.inc({ event_type: data.commandType, outcome: 'error' });
+  });
+  router.on('circuit:fallback', (data) => {
+    metrics.eventsForwarded.inc({ event_type: data.commandType, outcome: 'circuit_open' });
+  });
+  router.on('rate:limited', (data) => {
+    metrics.eventsForwarded.inc({ event_type: data.commandType, outcome: 'rate_limited' });
+    metrics.rateLimited.inc({ route: data.route, scope: data.scope });
+  });
+
+  for (const state of ['open', 'halfOpen', 'close']) {
+    router.on(`circuit:${state}`, (data) => metrics.circuitTransitions.inc({ route: data.endpoint, state }));
+  }
+
+  registry.addCollector(() => {
+    const queueStats = serviceManager.getConcurrentRequestManager().getStats();
+    metrics.queueDepth.reset();
+    for (const [priority, { depth }] of Object.entries(queueStats.queueByPriority)) {
+      metrics.queueDepth.set({ priority }, depth);
+    }
+    metrics.activeRequests.set({}, queueStats.activeCount);
+    metrics.outboxPending.set({}, serviceManager.getEventOutbox().getStats().pending);
+  });
+};
+
+/**
+ * Create the HTTP route handler for GET /metrics
+ * @returns {Function} Route handler for HttpServer
+ */
+const createMetricsHandler = () => async () => ({
+  status: 200,
+  headers: { 'Content-Type': CONTENT_TYPE },
+  body: registry.render()
+});
+
+module.exports = {
+  registry,
+  metrics,
+  isMetricsEnabled,
+  registerGatewayMetrics,
+  attachServiceMetrics,
+  createMetricsHandler
+};
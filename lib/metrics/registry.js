@@ -0,0 +1,228 @@
+/**
+ * Metrics Registry
+ * Dependency-free counters, gauges and histograms rendered in the Prometheus text exposition format
+ */
+
+/**
+ * Escape a label value for the exposition format
+ * @param {*} value - Label value
+ * @returns {string} Escaped value
+ */
+const escapeLabel = (value) => String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+
+/**
+ * Render a label set as `{a="1",b="2"}`
+ * @param {Object} labels - Label values keyed by name
+ * @returns {string} Rendered labels, empty when there are none
+ */
+const renderLabels = (labels) => {
+  const pairs = Object.entries(labels).map(([name, value]) => `${name}="${escapeLabel(value)}"`);
+  return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+};
+
+/**
+ * Base class for labelled metrics
+ */
+class Metric {
+  constructor(type, name, help, labelNames = []) {
+    this.type = type;
+    this.name = name;
+    this.help = help;
+    this.labelNames = labelNames;
+    this.series = new Map();
+  }
+
+  /**
+   * Get (creating if needed) the series for a label set
+   * @param {Object} labels - Label values keyed by name
+   * @returns {Object} Series state
+   */
+  getSeries(labels = {}) {
+    const values = {};
+    for (const name of this.labelNames) {
+      values[name] = labels[name] ?? '';
+    }
+
+    const key = JSON.stringify(values);
+    if (!this.series.has(key)) {
+      this.series.set(key, { labels: values, ...this.initialState() });
+    }
+
+    const series = this.series.get(key);
+    series.updatedAt = Date.now();
+    return series;
+  }
+
+  initialState() {
+    return { value: 0 };
+  }
+
+  /**
+   * Drop idle series; counters and histograms keep theirs, as a vanished series reads as a reset
+   * @param {number} cutoff - Timestamp in milliseconds
+   */
+  expire(cutoff) {}
+
+  /**
+   * Render this metric's sample lines
+   * @returns {string[]} Sample lines
+   */
+  renderSamples() {
+    return Array.from(this.series.values()).map(series => `${this.name}${renderLabels(series.labels)} ${series.value}`);
+  }
+
+  /**
+   * Render HELP, TYPE and sample lines
+   * @returns {string} Exposition text for this metric
+   */
+  render() {
+    return [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} ${this.type}`, ...this.renderSamples()].join('\n');
+  }
+}
+
+/**
+ * Monotonic counter
+ */
+class Counter extends Metric {
+  constructor(name, help, labelNames) {
+    super('counter', name, help, labelNames);
+  }
+
+  inc(labels = {}, amount = 1) {
+    this.getSeries(labels).value += amount;
+  }
+}
+
+/**
+ * Gauge set to the latest observed value
+ */
+class Gauge extends Metric {
+  constructor(name, help, labelNames) {
+    super('gauge', name, help, labelNames);
+  }
+
+  set(labels = {}, value = 0) {
+    this.getSeries(labels).value = value;
+  }
+
+  /**
+   * Drop series not updated since the cutoff
+   * @param {number} cutoff - Timestamp in milliseconds
+   */
+  expire(cutoff) {
+    for (const [key, series] of this.series) {
+      if (series.updatedAt < cutoff) {
+        this.series.delete(key);
+      }
+    }
+  }
+
+  /**
+   * Remove all series, e.g. before re-sampling label sets that may have disappeared
+   */
+  reset() {
+    this.series.clear();
+  }
+}
+
+/**
+ * Cumulative histogram
+ */
+class Histogram extends Metric {
+  constructor(name, help, labelNames, buckets = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10]) {
+    super('histogram', name, help, labelNames);
+    this.buckets = [...buckets].sort((a, b) => a - b);
+  }
+
+  initialState() {
+    return { counts: this.buckets.map(() => 0), sum: 0, count: 0 };
+  }
+
+  observe(labels = {}, value) {
+    const series = this.getSeries(labels);
+    this.buckets.forEach((bound, index) => {
+      if (value <= bound) series.counts[index]++;
+    });
+    series.sum += value;
+    series.count++;
+  }
+
+  renderSamples() {
+    const lines = [];
+    for (const series of this.series.values()) {
+      this.buckets.forEach((bound, index) => {
+        lines.push(`${this.name}_bucket${renderLabels({ ...series.labels, le: bound })} ${series.counts[index]}`);
+      });
+      lines.push(`${this.name}_bucket${renderLabels({ ...series.labels, le: '+Inf' })} ${series.count}`);
+      lines.push(`${this.name}_sum${renderLabels(series.labels)} ${series.sum}`);
+      lines.push(`${this.name}_count${renderLabels(series.labels)} ${series.count}`);
+    }
+    return lines;
+  }
+}
+
+/**
+ * Metrics Registry Class
+ * Owns metrics, runs sampling collectors at scrape time and expires idle gauge series
+ */
+class MetricsRegistry {
+  constructor(config = {}) {
+    this.config = {
+      retentionMs: config.retentionMs || 86400000, // 24 hours
+      ...config
+    };
+
+    this.metrics = new Map();
+    this.collectors = [];
+  }
+
+  register(metric) {
+    this.metrics.set(metric.name, metric);
+    return metric;
+  }
+
+  counter(name, help, labelNames) {
+    return this.register(new Counter(name, help, labelNames));
+  }
+
+  gauge(name, help, labelNames) {
+    return this.register(new Gauge(name, help, labelNames));
+  }
+
+  histogram(name, help, labelNames, buckets) {
+    return this.register(new Histogram(name, help, labelNames, buckets));
+  }
+
+  /**
+   * Add a function run before each render, typically to set gauges
+   * @param {Function} collector - Sampling function
+   */
+  addCollector(collector) {
+    this.collectors.push(collector);
+  }
+
+  /**
+   * Render every metric in the text exposition format
+   * @returns {string} Exposition text
+   */
+  render() {
+    for (const collector of this.collectors) {
+      collector();
+    }
+
+    const cutoff = Date.now() - this.config.retentionMs;
+    const blocks = [];
+    for (const metric of this.metrics.values()) {
+      metric.expire(cutoff);
+      blocks.push(metric.render());
+    }
+    return `${blocks.join('\n')}\n`;
+  }
+}
+
+module.exports = {
+  MetricsRegistry,
+  Counter,
+  Gauge,
+  Histogram
+};
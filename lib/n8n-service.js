@@ -1,31 +1,60 @@
 /**
  * N8N Service Module
- * Handles communication with N8N webhook endpoints
+ * Dispatches Discord events to N8N through the routing service layer
  */
 
-const axios = require('axios');
 const { logger, correlation } = require('./logging');
+const { N8NError, RateLimitError, ValidationError, isRetryableError } = require('./errors');
+const { SCHEMA_VERSION, validatePayload } = require('./payload-schema');
+const { serviceManager } = require('../services');
+
+// Strict mode rejects payloads that do not match their schema instead of sending them with a warning
+const STRICT_PAYLOAD_SCHEMA = process.env.PAYLOAD_SCHEMA_STRICT === 'true';
 
 /**
- * Send data to N8N webhook endpoint
+ * Send data to the N8N route configured for an event type
  * @param {Object} data - Data to send to N8N
- * @param {string} eventType - Type of event being sent
- * @returns {Promise<void>} Promise that resolves when data is sent
+ * @param {string} eventType - Type of event being sent, resolved as a route in endpoints.json
+ * @param {Object} options - Dispatch options
+ * @param {boolean} [options.durable=true] - Capture retryable failures, and payloads over the route's global
+ *   rate limit, in the event outbox
+ * @param {number|string} [options.priority] - Queue priority or 'low' | 'medium' | 'high' hint
+ * @param {Object|false} [options.rateLimit={}] - `{ userId, guildId }` the rate limit is keyed by,
+ *   or false when the caller already enforced it
+ * @param {string} [options.schemaType=eventType] - Payload schema to validate against
+ * @param {string} [options.route] - Route to send to instead of the one resolved for the event type
+ * @returns {Promise<Object>} Transformed response from the N8N router
+ * @throws {ValidationError} When the payload does not match its schema and PAYLOAD_SCHEMA_STRICT is set
+ * @throws {RateLimitError} When the rate limit for the user or route is exceeded
+ * @throws {N8NError} When the route responds unsuccessfully or returns a fallback
  */
-const sendToN8n = async (data, eventType) => {
+const sendToN8n = async (data, eventType, options = {}) => {
+    const { durable = true, rateLimit = {}, priority, schemaType = eventType, route = eventType } = options;
     const correlationId = correlation.getCorrelationId() || correlation.startCorrelation();
+    const payload = {
+        event_type: eventType,
+        schema_version: SCHEMA_VERSION,
+        timestamp: Date.now(),
+        correlation_id: correlationId,
+        ...data
+    };
 
     try {
-        const payload = {
-            event_type: eventType,
-            timestamp: Date.now(),
-            correlation_id: correlationId,
-            ...data
-        };
+        const schemaErrors = validatePayload(schemaType, payload);
+        if (schemaErrors.length > 0) {
+            const schemaError = ValidationError.payloadSchema(schemaType, schemaErrors);
+            if (STRICT_PAYLOAD_SCHEMA) throw schemaError;
+            logger.warn('Sending payload that does not match its schema', {
+                correlationId,
+                eventType,
+                error: schemaError.message
+            });
+        }
 
         logger.info('Sending data to N8N', {
             correlationId,
             eventType,
+            route,
             timestamp: new Date(payload.timestamp).toISOString(),
             payloadSize: JSON.stringify(payload).length
         });
@@ -36,22 +65,84 @@ const sendToN8n = async (data, eventType) => {
             payload: JSON.stringify(payload, null, 2)
         });
 
-        await axios.post(process.env.N8N_WEBHOOK_URL, payload);
-        
+        const response = await serviceManager.getN8NRouter().routeCommand(route, payload, {
+            headers: { 'X-Correlation-Id': correlationId },
+            rateLimit,
+            priority
+        });
+
+        if (response.metadata?.fallbackType === 'rate_limit') {
+            throw new RateLimitError(response.error.message, null, {
+                eventType,
+                type: 'rate_limit_exceeded',
+                retryAfter: response.metadata.retryAfter,
+                resetTime: response.metadata.resetTime,
+                scope: response.metadata.scope
+            });
+        }
+
+        if (!response.success) {
+            throw new N8NError(response.error?.message || 'N8N route responded unsuccessfully', eventType, {
+                status: response.status,
+                type: response.error?.type,
+                fallback: response.fallback === true,
+                requestId: response.requestId
+            });
+        }
+
         logger.info('Successfully forwarded event to N8N', {
             correlationId,
-            eventType
+            eventType,
+            requestId: response.requestId,
+            responseTime: response.responseTime
         });
+
+        return response;
     } catch (error) {
+        if (error instanceof RateLimitError) {
+            // A burst over the route's budget is replayed later; a user over their own limit is dropped
+            const captured = durable && error.details.scope === 'global';
+            logger.warn(captured ? 'Rate limited event deferred to outbox' : 'Dropped rate limited event', {
+                correlationId,
+                eventType,
+                scope: error.details.scope,
+                resetTime: error.details.resetTime
+            });
+            if (captured) {
+                await captureInOutbox(payload, route, correlationId);
+            }
+            throw error;
+        }
+
         logger.error('Error forwarding event to N8N', {
             correlationId,
             eventType,
             error
         });
+
+        if (durable && isRetryableError(error)) {
+            await captureInOutbox(payload, route, correlationId);
+        }
         throw error;
     }
 };
 
+/**
+ * Persist an undeliverable payload so it is replayed once N8N recovers
+ * @param {Object} payload - Payload that failed to send
+ * @param {string} eventType - Type of event being sent
+ * @param {string} correlationId - Request correlation ID
+ * @returns {Promise<void>} Promise that resolves when the payload is journaled
+ */
+const captureInOutbox = async (payload, eventType, correlationId) => {
+    try {
+        const entry = await serviceManager.getEventOutbox().capture(eventType, payload);
+        logger.warn('Captured undeliverable event in outbox', { correlationId, eventType, outboxId: entry.id });
+    } catch (error) {
+        logger.error('Failed to capture event in outbox', { correlationId, eventType, error });
+    }
+};
+
 module.exports = {
     sendToN8n
 };
@@ -0,0 +1,145 @@
+/**
+ * Command Payload Schemas
+ * JSON Schemas for slash command payloads, combined with the envelope definition at export time
+ */
+
+const { ref, nullable } = require('./definitions');
+
+const commandSchemas = {
+    scrape_command: {
+        description: '/scrape request built by commands/scrape/transformer.js',
+        required: ['url', 'extraction_request', 'output_schema', 'request_id', 'user_context', 'processing_hints'],
+        properties: {
+            url: { type: 'string' },
+            extraction_request: { type: 'string' },
+            output_schema: { type: 'object' },
+            request_id: { type: 'string' },
+            user_context: ref('user_context'),
+            processing_hints: {
+                type: 'object',
+                required: ['priority'],
+                properties: {
+                    priority: { enum: ['low', 'medium', 'high'] },
+                    estimated_complexity: { type: 'string' },
+                    timeout_suggestion: { type: 'number' },
+                    retry_strategy: { type: 'object' }
+                }
+            },
+            response_preferences: {
+                type: 'object',
+                properties: {
+                    format: { type: 'string' },
+                    include_metadata: { type: 'boolean' },
+                    max_response_size: { type: 'integer' },
+                    truncate_on_overflow: { type: 'boolean' },
+                    callback_url: nullable('string')
+                }
+            },
+            // Present on each request of a /scrape batch
+            batch: {
+                type: 'object',
+                required: ['id', 'index', 'total'],
+                properties: {
+                    id: { type: 'string' },
+                    index: { type: 'integer' },
+                    total: { type: 'integer' }
+                }
+            },
+            // Present on each run of a /scrape schedule or /monitor
+            schedule: {
+                type: 'object',
+                required: ['id', 'name', 'run_at'],
+                properties: {
+                    id: { type: 'string' },
+                    name: { type: 'string' },
+                    kind: { type: 'string', enum: ['scrape', 'monitor'] },
+                    run_at: { type: 'integer' }
+                }
+            },
+            // Present when the request was run from a saved template
+            template: {
+                type: 'object',
+                required: ['name'],
+                properties: {
+                    name: { type: 'string' },
+                    owner_id: { type: 'string' },
+                    shared: { type: 'boolean' }
+                }
+            }
+        }
+    },
+
+    // Sent by /scrape cancel for jobs that were already sent to N8N
+    scrape_cancel: {
+        description: 'Cancellation of a scrape job by the user who requested it',
+        required: ['request_id', 'url', 'previous_state', 'cancelled_at', 'user_context'],
+        properties: {
+            request_id: { type: 'string' },
+            batch_id: nullable('string'),
+            url: { type: 'string' },
+            previous_state: { enum: ['sent', 'running'] },
+            cancelled_at: { type: 'integer' },
+            user_context: ref('user_context')
+        }
+    },
+
+    // Sent under the endpoint's name by commands declared in endpoints.json
+    command: {
+        description: 'Slash command declared by an endpoint command block',
+        required: ['command', 'options', 'request_id', 'user_context'],
+        properties: {
+            command: { type: 'string' },
+            options: { type: 'object' },
+            request_id: { type: 'string' },
+            user_context: ref('user_context')
+        }
+    },
+
+    // Sent to the declaring endpoint by context menus declared in endpoints.json
+    message_context_menu: {
+        description: 'Message context menu command with the formatted target message',
+        required: ['command', 'target_type', 'target', 'request_id', 'user_context'],
+        properties: {
+            command: { type: 'string' },
+            target_type: { const: 'message' },
+            target: {
+                type: 'object',
+                required: ['id', 'content', 'author', 'details'],
+                properties: {
+                    id: { type: 'string' },
+                    content: { type: 'string' },
+                    author: { type: 'object' },
+                    url: { type: 'string' },
+                    details: ref('message_details')
+                }
+            },
+            request_id: { type: 'string' },
+            user_context: ref('user_context')
+        }
+    },
+
+    user_context_menu: {
+        description: 'User context menu command with the formatted target user and guild member',
+        required: ['command', 'target_type', 'target', 'request_id', 'user_context'],
+        properties: {
+            command: { type: 'string' },
+            target_type: { const: 'user' },
+            target: {
+                type: 'object',
+                required: ['id', 'username'],
+                properties: {
+                    id: { type: 'string' },
+                    username: { type: 'string' },
+                    bot: { type: 'boolean' },
+                    member: { type: ['object', 'null'] }
+                }
+            },
+            request_id: { type: 'string' },
+            user_context: ref('user_context')
+        }
+    }
+};
+
+module.exports = {
+    commandSchemas
+};
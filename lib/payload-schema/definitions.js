@@ -0,0 +1,195 @@
+/**
+ * Payload Schema Definitions
+ * Shared JSON Schema building blocks referenced by the per-event schemas as `#/$defs/<name>`
+ */
+
+// Bump the minor version for additive changes and the major version for breaking ones
+const SCHEMA_VERSION = '2.0.0';
+
+const ref = (name) => ({ $ref: `#/$defs/${name}` });
+const nullable = (type) => ({ type: [].concat(type, 'null') });
+
+const definitions = {
+    // Fields sendToN8n adds to every payload
+    envelope: {
+        type: 'object',
+        required: ['event_type', 'schema_version', 'timestamp', 'correlation_id'],
+        properties: {
+            event_type: { type: 'string' },
+            schema_version: { const: SCHEMA_VERSION },
+            timestamp: { type: 'integer', description: 'Milliseconds since the Unix epoch' },
+            correlation_id: { type: 'string' }
+        }
+    },
+
+    content: {
+        type: 'object',
+        required: ['text', 'type'],
+        properties: {
+            text: nullable('string'),
+            type: { type: 'string' }
+        }
+    },
+
+    user: {
+        type: ['object', 'null'],
+        required: ['id'],
+        properties: {
+            id: { type: 'string' },
+            username: { type: 'string' },
+            discriminator: { type: 'string' }
+        }
+    },
+
+    channel: {
+        type: ['object', 'null'],
+        required: ['id'],
+        properties: {
+            id: { type: 'string' },
+            name: { type: 'string' },
+            type: { type: ['integer', 'string'] }
+        }
+    },
+
+    guild: {
+        type: ['object', 'null'],
+        required: ['id'],
+        properties: {
+            id: { type: 'string' },
+            name: { type: 'string' }
+        }
+    },
+
+    thread: {
+        type: 'object',
+        required: ['id', 'name'],
+        properties: {
+            id: { type: 'string' },
+            name: { type: 'string' },
+            type: { type: 'integer' },
+            archived: nullable('boolean'),
+            auto_archive_duration: nullable('integer'),
+            locked: nullable('boolean'),
+            parent_id: nullable('string'),
+            rate_limit_per_user: nullable('integer')
+        }
+    },
+
+    reaction: {
+        type: 'object',
+        required: ['emoji'],
+        properties: {
+            emoji: { type: 'string' },
+            emoji_id: nullable('string'),
+            emoji_name: nullable('string'),
+            animated: nullable('boolean'),
+            burst: { type: 'boolean' },
+            count: nullable('integer'),
+            count_details: {
+                type: ['object', 'null'],
+                properties: { normal: { type: 'integer' }, burst: { type: 'integer' } }
+            },
+            message_author: ref('user'),
+            route: nullable('string')
+        }
+    },
+
+    // Attachments, embeds, stickers, mentions, reply reference and poll of a message (since 2.0.0)
+    message_details: {
+        type: 'object',
+        required: ['content_type', 'attachments', 'embeds', 'stickers', 'mentions'],
+        properties: {
+            content_type: { type: 'string' },
+            attachments: {
+                type: 'array',
+                items: {
+                    type: 'object',
+                    required: ['id', 'name', 'url', 'size'],
+                    properties: {
+                        id: { type: 'string' },
+                        name: { type: 'string' },
+                        url: { type: 'string' },
+                        proxy_url: { type: 'string' },
+                        size: { type: 'integer' },
+                        content_type: nullable('string'),
+                        width: nullable('integer'),
+                        height: nullable('integer'),
+                        duration: nullable('number'),
+                        description: nullable('string'),
+                        spoiler: { type: 'boolean' }
+                    }
+                }
+            },
+            embeds: { type: 'array', items: { type: 'object', properties: { fields: { type: 'array' } } } },
+            stickers: {
+                type: 'array',
+                items: { type: 'object', required: ['id', 'name'], properties: { id: { type: 'string' }, name: { type: 'string' } } }
+            },
+            mentions: {
+                type: 'object',
+                required: ['users', 'roles', 'channels', 'everyone'],
+                properties: {
+                    users: { type: 'array', items: { type: 'string' } },
+                    roles: { type: 'array', items: { type: 'string' } },
+                    channels: { type: 'array', items: { type: 'string' } },
+                    everyone: { type: 'boolean' },
+                    replied_user: nullable('string')
+                }
+            },
+            reference: {
+                type: ['object', 'null'],
+                properties: {
+                    message_id: nullable('string'),
+                    channel_id: { type: 'string' },
+                    guild_id: nullable('string'),
+                    message: { type: ['object', 'null'] }
+                }
+            },
+            poll: {
+                type: ['object', 'null'],
+                properties: { question: { type: 'string' }, answers: { type: 'array' } }
+            },
+            edited_at: nullable('string')
+        }
+    },
+
+    // Changed fields, usually `{ old, new }`; null for fields that did not change
+    changes: {
+        type: ['object', 'null'],
+        additionalProperties: { type: ['object', 'null'] }
+    },
+
+    // Invoking user and location of a slash command
+    user_context: {
+        type: 'object',
+        required: ['user_id', 'username'],
+        properties: {
+            user_id: { type: 'string' },
+            username: { type: 'string' },
+            guild_id: nullable('string'),
+            channel_id: nullable('string'),
+            channel_name: nullable('string')
+        }
+    },
+
+    // Top-level shape shared by every gateway event payload
+    event: {
+        type: 'object',
+        required: ['content', 'author', 'channel', 'guild'],
+        properties: {
+            content: ref('content'),
+            author: ref('user'),
+            channel: ref('channel'),
+            guild: ref('guild'),
+            thread: ref('thread'),
+            changes: ref('changes')
+        }
+    }
+};
+
+module.exports = {
+    SCHEMA_VERSION,
+    definitions,
+    ref,
+    nullable
+};
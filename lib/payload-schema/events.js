@@ -0,0 +1,225 @@
+/**
+ * Event Payload Schemas
+ * Per-event-type JSON Schemas, combined with the envelope and event definitions at export time
+ */
+
+const { ref, nullable } = require('./definitions');
+
+const stringArray = { type: 'array', items: { type: 'string' } };
+
+// Message created or edited in a channel or thread
+const message = {
+    description: 'Message sent in a channel or thread',
+    required: ['message_id', 'message'],
+    properties: {
+        message_id: { type: 'string' },
+        author: { type: 'object' },
+        message: ref('message_details')
+    }
+};
+
+const reaction = {
+    description: 'Reaction added to or removed from a message',
+    required: ['message_id', 'reaction'],
+    properties: {
+        message_id: { type: 'string' },
+        reaction: ref('reaction')
+    }
+};
+
+const thread = {
+    description: 'Thread lifecycle or membership change',
+    required: ['thread'],
+    properties: { thread: ref('thread') }
+};
+
+const member = {
+    description: 'Guild member join, leave or update',
+    required: ['member'],
+    properties: {
+        member: {
+            type: 'object',
+            required: ['id', 'roles'],
+            properties: {
+                id: { type: 'string' },
+                nickname: nullable('string'),
+                display_name: { type: 'string' },
+                roles: stringArray,
+                joined_at: nullable('string'),
+                pending: { type: 'boolean' },
+                bot: { type: 'boolean' }
+            }
+        },
+        partial: { type: 'boolean' }
+    }
+};
+
+const scheduledEvent = {
+    description: 'Guild scheduled event lifecycle',
+    required: ['scheduled_event'],
+    properties: {
+        scheduled_event: {
+            type: 'object',
+            required: ['id', 'name', 'status'],
+            properties: {
+                id: { type: 'string' },
+                name: { type: 'string' },
+                description: nullable('string'),
+                status: { enum: ['Scheduled', 'Active', 'Completed', 'Canceled'] },
+                entity_type: { enum: ['StageInstance', 'Voice', 'External'] },
+                scheduled_start_at: nullable('string'),
+                scheduled_end_at: nullable('string'),
+                channel_id: nullable('string'),
+                location: nullable('string'),
+                creator_id: nullable('string'),
+                user_count: nullable('integer'),
+                url: { type: 'string' }
+            }
+        }
+    }
+};
+
+const invite = {
+    description: 'Invite created or deleted',
+    required: ['invite'],
+    properties: {
+        invite: {
+            type: 'object',
+            required: ['code'],
+            properties: {
+                code: { type: 'string' },
+                url: { type: 'string' },
+                channel_id: nullable('string'),
+                inviter_id: nullable('string'),
+                max_age: nullable('integer'),
+                max_uses: nullable('integer'),
+                uses: nullable('integer'),
+                temporary: nullable('boolean'),
+                expires_at: nullable('string')
+            }
+        }
+    }
+};
+
+const eventSchemas = {
+    message_create: message,
+    thread_message: message,
+    message_update: {
+        description: 'Message content or attachments edited',
+        required: ['message_id', 'message', 'changes'],
+        properties: {
+            ...message.properties,
+            changes: {
+                type: 'object',
+                required: ['content', 'embeds', 'attachments'],
+                properties: {
+                    content: { type: ['object', 'null'], properties: { old: nullable('string'), new: { type: 'string' } } },
+                    embeds: { type: ['object', 'null'], properties: { old: { type: 'array' }, new: { type: 'array' } } },
+                    attachments: {
+                        type: ['object', 'null'],
+                        required: ['added', 'removed'],
+                        properties: { added: { type: 'array' }, removed: { type: 'array' } }
+                    }
+                }
+            },
+            previous_known: { type: 'boolean' }
+        }
+    },
+    message_delete: {
+        description: 'Message deleted; author and content come from the message cache when Discord had not cached it',
+        required: ['message_id'],
+        properties: {
+            message_id: { type: 'string' },
+            message: ref('message_details'),
+            partial: { type: 'boolean' },
+            cached: { type: 'boolean' },
+            last_known: {
+                type: ['object', 'null'],
+                properties: {
+                    content: { type: 'string' },
+                    attachments: { type: 'array' },
+                    embeds: { type: 'array' },
+                    created_at: nullable('string')
+                }
+            }
+        }
+    },
+    message_bulk_delete: {
+        description: 'Messages deleted together, e.g. by a moderator purge',
+        required: ['message_ids', 'count', 'messages'],
+        properties: {
+            message_ids: stringArray,
+            count: { type: 'integer' },
+            messages: {
+                type: 'array',
+                items: {
+                    type: 'object',
+                    required: ['id', 'author_id'],
+                    properties: {
+                        id: { type: 'string' },
+                        author_id: nullable('string'),
+                        content: nullable('string'),
+                        cached: { type: 'boolean' }
+                    }
+                }
+            }
+        }
+    },
+    reaction_add: reaction,
+    reaction_remove: reaction,
+    thread_create: thread,
+    thread_delete: thread,
+    thread_update: { ...thread, required: ['thread', 'changes'] },
+    thread_member_join: thread,
+    thread_member_leave: thread,
+    member_join: member,
+    member_leave: member,
+    member_update: { ...member, required: ['member', 'changes'] },
+    voice_state_update: {
+        description: 'Member joined, left, moved between or changed state in a voice channel',
+        required: ['voice'],
+        properties: {
+            voice: {
+                type: 'object',
+                required: ['action'],
+                properties: {
+                    action: { enum: ['join', 'leave', 'move', 'update'] },
+                    old_channel: ref('channel'),
+                    new_channel: ref('channel'),
+                    session_id: nullable('string')
+                }
+            }
+        }
+    },
+    scheduled_event_create: scheduledEvent,
+    scheduled_event_update: { ...scheduledEvent, required: ['scheduled_event', 'changes'] },
+    scheduled_event_delete: scheduledEvent,
+    invite_create: invite,
+    invite_delete: invite,
+    automod_action: {
+        description: 'AutoMod rule blocked, flagged or timed out a member',
+        required: ['automod'],
+        properties: {
+            automod: {
+                type: 'object',
+                required: ['rule_id', 'action', 'user_id'],
+                properties: {
+                    rule_id: { type: 'string' },
+                    trigger_type: { type: 'string' },
+                    action: { type: 'string' },
+                    timeout_seconds: nullable('integer'),
+                    alert_channel_id: nullable('string'),
+                    matched_keyword: nullable('string'),
+                    matched_content: nullable('string'),
+                    user_id: { type: 'string' },
+                    message_id: nullable('string'),
+                    alert_system_message_id: nullable('string')
+                }
+            }
+        }
+    }
+};
+
+module.exports = {
+    eventSchemas
+};
@@ -0,0 +1,77 @@
+/**
+ * Payload Schema Module
+ * Versioned contract for the payloads sent to N8N, as JSON Schema documents per event type
+ */
+
+const { SCHEMA_VERSION, definitions, ref } = require('./definitions');
+const { eventSchemas } = require('./events');
+const { commandSchemas } = require('./commands');
+const { interactionSchemas } = require('./interactions');
+const { validateSchema } = require('./validator');
+
+/**
+ * Build the complete JSON Schema document for a payload type
+ * @param {string} type - Event type, or 'command' for endpoint-declared commands
+ * @returns {Object|null} Standalone JSON Schema document, or null for unknown types
+ */
+const buildSchemaDocument = (type) => {
+    const specific = eventSchemas[type] || commandSchemas[type] || interactionSchemas[type];
+    if (!specific) return null;
+
+    const { description, ...schema } = specific;
+    const parts = eventSchemas[type] ? [ref('envelope'), ref('event'), schema] : [ref('envelope'), schema];
+
+    return {
+        $schema: 'https://json-schema.org/draft/2020-12/schema',
+        $id: `urn:n8n-discord-bot:payload:${SCHEMA_VERSION}:${type}`,
+        title: type,
+        description,
+        'x-schema-version': SCHEMA_VERSION,
+        allOf: parts,
+        $defs: definitions
+    };
+};
+
+// Documents are static, so build each once
+const documents = new Map();
+
+/**
+ * Get the JSON Schema document for a payload type
+ * @param {string} type - Event type, or 'command' for endpoint-declared commands
+ * @returns {Object|null} JSON Schema document, or null for unknown types
+ */
+const getSchema = (type) => {
+    if (!documents.has(type)) {
+        documents.set(type, buildSchemaDocument(type));
+    }
+    return documents.get(type);
+};
+
+/**
+ * List every payload type with a schema
+ * @returns {string[]} Payload types
+ */
+const getSchemaTypes = () => [
+    ...Object.keys(eventSchemas),
+    ...Object.keys(commandSchemas),
+    ...Object.keys(interactionSchemas)
+];
+
+/**
+ * Validate a payload against the schema for its type
+ * Types without a schema are checked against the envelope only
+ * @param {string} type - Payload type the schema is looked up by
+ * @param {Object} payload - Complete payload including the envelope fields
+ * @returns {string[]} Error messages, empty when the payload is valid
+ */
+const validatePayload = (type, payload) => {
+    const schema = getSchema(type) || { ...ref('envelope'), $defs: definitions };
+    return validateSchema(schema, payload);
+};
+
+module.exports = {
+    SCHEMA_VERSION,
+    getSchema,
+    getSchemaTypes,
+    validatePayload
+};
@@ -0,0 +1,47 @@
+/**
+ * Interaction Payload Schemas
+ * JSON Schemas for button, select menu, modal submit and autocomplete payloads, combined with the envelope at export time
+ */
+
+const { ref } = require('./definitions');
+
+const component = {
+    required: ['interaction_id', 'custom_id', 'prefix', 'component_type', 'request_id', 'user_context'],
+    properties: {
+        interaction_id: { type: 'string' },
+        custom_id: { type: 'string' },
+        prefix: { type: 'string' },
+        component_type: { type: 'string' },
+        values: { type: 'array', items: { type: 'string' } },
+        fields: { type: 'object', additionalProperties: { type: ['string', 'null'] } },
+        message: {
+            type: ['object', 'null'],
+            required: ['id', 'channel_id'],
+            properties: { id: { type: 'string' }, channel_id: { type: 'string' } }
+        },
+        request_id: { type: 'string' },
+        user_context: ref('user_context')
+    }
+};
+
+const interactionSchemas = {
+    button_click: { ...component, description: 'Button clicked, routed by customId prefix' },
+    select_menu: { ...component, description: 'Select menu choice, with the chosen values' },
+    modal_submit: { ...component, description: 'Modal submitted, with text input values keyed by customId' },
+    autocomplete: {
+        description: 'Option being typed in a command option with autocomplete; respond with `choices`',
+        required: ['command', 'option', 'value', 'options', 'user_context'],
+        properties: {
+            command: { type: 'string' },
+            subcommand: { type: ['string', 'null'] },
+            option: { type: 'string' },
+            value: { type: 'string' },
+            options: { type: 'object' },
+            user_context: ref('user_context')
+        }
+    }
+};
+
+module.exports = {
+    interactionSchemas
+};
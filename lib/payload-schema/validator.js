@@ -0,0 +1,108 @@
+/**
+ * Payload Schema Validator
+ * Dependency-free validation for the JSON Schema keywords used by the payload definitions:
+ * type, const, enum, required, properties, additionalProperties, items, allOf and local $ref
+ */
+
+const TYPE_CHECKS = {
+    string: value => typeof value === 'string',
+    number: value => typeof value === 'number' && Number.isFinite(value),
+    integer: value => Number.isInteger(value),
+    boolean: value => typeof value === 'boolean',
+    object: value => value !== null && typeof value === 'object' && !Array.isArray(value),
+    array: value => Array.isArray(value),
+    null: value => value === null
+};
+
+/**
+ * Resolve a local reference such as `#/$defs/user`
+ * @param {string} ref - Reference string
+ * @param {Object} root - Schema document the reference points into
+ * @returns {Object} Referenced schema
+ */
+const resolveRef = (ref, root) => {
+    const target = ref.replace(/^#\//, '').split('/').reduce((node, key) => node?.[key], root);
+    if (!target) {
+        throw new Error(`Unresolvable schema reference: ${ref}`);
+    }
+    return target;
+};
+
+/**
+ * Validate an object's properties
+ * @param {Object} schema - Object schema
+ * @param {Object} value - Object to validate
+ * @param {Object} root - Schema document for $ref resolution
+ * @param {string} path - JSON path of the value
+ * @param {string[]} errors - Collected error messages
+ */
+const validateObject = (schema, value, root, path, errors) => {
+    const properties = schema.properties || {};
+
+    for (const key of schema.required || []) {
+        if (value[key] === undefined) {
+            errors.push(`${path}.${key} is required`);
+        }
+    }
+
+    for (const [key, propertyValue] of Object.entries(value)) {
+        if (propertyValue === undefined) continue;
+
+        if (properties[key]) {
+            validateSchema(properties[key], propertyValue, root, `${path}.${key}`, errors);
+        } else if (schema.additionalProperties === false) {
+            errors.push(`${path}.${key} is not allowed`);
+        } else if (typeof schema.additionalProperties === 'object') {
+            validateSchema(schema.additionalProperties, propertyValue, root, `${path}.${key}`, errors);
+        }
+    }
+};
+
+/**
+ * Validate a value against a schema
+ * @param {Object} schema - JSON Schema
+ * @param {*} value - Value to validate
+ * @param {Object} [root=schema] - Schema document for $ref resolution
+ * @param {string} [path='$'] - JSON path of the value
+ * @param {string[]} [errors=[]] - Collected error messages
+ * @returns {string[]} Error messages, empty when the value is valid
+ */
+const validateSchema = (schema, value, root = schema, path = '$', errors = []) => {
+    if (schema.$ref) {
+        validateSchema(resolveRef(schema.$ref, root), value, root, path, errors);
+    }
+
+    for (const subschema of schema.allOf || []) {
+        validateSchema(subschema, value, root, path, errors);
+    }
+
+    if (schema.type) {
+        const types = [].concat(schema.type);
+        if (!types.some(type => TYPE_CHECKS[type](value))) {
+            errors.push(`${path} must be ${types.join(' or ')}`);
+            return errors;
+        }
+    }
+
+    if (schema.const !== undefined && value !== schema.const) {
+        errors.push(`${path} must be ${JSON.stringify(schema.const)}`);
+    }
+
+    if (schema.enum && !schema.enum.includes(value)) {
+        errors.push(`${path} must be one of ${schema.enum.map(item => JSON.stringify(item)).join(', ')}`);
+    }
+
+    if (TYPE_CHECKS.object(value)) {
+        validateObject(schema, value, root, path, errors);
+    }
+
+    if (Array.isArray(value) && schema.items) {
+        value.forEach((item, index) => validateSchema(schema.items, item, root, `${path}[${index}]`, errors));
+    }
+
+    return errors;
+};
+
+module.exports = {
+    validateSchema
+};
@@ -0,0 +1,57 @@
+/**
+ * Reaction Routes Module
+ * Resolves the configured emoji to route mappings that send reactions to dedicated N8N workflows
+ */
+
+const configManager = require('../config');
+const { logger } = require('./logging');
+
+// Named rules, rebuilt after the configuration is hot-reloaded
+let compiledRoutes = null;
+
+configManager.hotReloadManager?.on('configReloaded', () => {
+    compiledRoutes = null;
+    logger.info('Reaction routes reloaded');
+});
+
+/**
+ * Get the configured rules, caching the result until the next reload
+ * @returns {Array<Object>} Reaction route rules with names
+ */
+const getReactionRoutes = () => {
+    if (!compiledRoutes) {
+        const rules = configManager.getGlobalConfig().reactionRoutes || [];
+        compiledRoutes = rules.map((rule, index) => ({
+            eventTypes: ['reaction_add', 'reaction_remove'],
+            ...rule,
+            name: rule.name || `reaction_route_${index + 1}`
+        }));
+    }
+    return compiledRoutes;
+};
+
+/**
+ * Find the route rule for a reaction; the first matching rule decides
+ * Emojis match by unicode character, custom emoji id or custom emoji name
+ * @param {string} eventType - 'reaction_add' or 'reaction_remove'
+ * @param {Object} reaction - Discord reaction object with its message fetched
+ * @returns {Object|null} Matching rule, or null when the reaction uses the default event route
+ */
+const matchReactionRoute = (eventType, reaction) => {
+    const { emoji, message } = reaction;
+    const emojiKeys = [emoji.id, emoji.name, emoji.toString()].filter(Boolean);
+    const channel = message.channel;
+    const channelIds = [channel.id, channel.isThread() ? channel.parentId : null].filter(Boolean);
+
+    return getReactionRoutes().find(rule =>
+        rule.eventTypes.includes(eventType) &&
+        rule.emojis.some(key => emojiKeys.includes(key)) &&
+        (!rule.messages || rule.messages.includes(message.id)) &&
+        (!rule.channels || channelIds.some(id => rule.channels.includes(id))) &&
+        (!rule.guilds || rule.guilds.includes(message.guildId))
+    ) || null;
+};
+
+module.exports = {
+    matchReactionRoute
+};
@@ -0,0 +1,151 @@
+/**
+ * Reply Renderer Module
+ * Renders N8N reply contracts back into Discord interactions and channels
+ */
+
+const { DiscordError } = require('./errors');
+
+/**
+ * Build discord.js message options from a normalized reply
+ * @param {Object} reply - Reply normalized by ResponseNormalizers.normalizeReply
+ * @returns {Object} Message options accepted by send, reply and editReply
+ */
+const buildReplyPayload = (reply) => ({
+    content: reply.content || undefined,
+    embeds: reply.embeds,
+    components: reply.components,
+    files: reply.files.map(file => ({
+        attachment: file.url || Buffer.from(file.content_base64, 'base64'),
+        name: file.name || 'attachment',
+        description: file.description
+    })),
+    // Workflows must opt in to pings explicitly
+    allowedMentions: reply.allowedMentions || { parse: [] }
+});
+
+/**
+ * Resolve the thread a reply targets
+ * @param {Object} client - Discord client instance
+ * @param {string} threadId - Target thread ID
+ * @returns {Promise<Object>} Discord thread channel
+ * @throws {DiscordError} When the target is missing or not a thread
+ */
+const fetchTargetThread = async (client, threadId) => {
+    const thread = await client.channels.fetch(threadId).catch(() => null);
+    if (!thread || !thread.isThread()) {
+        throw DiscordError.channelNotAccessible(null, threadId);
+    }
+    return thread;
+};
+
+/**
+ * Render a reply back to the interaction that triggered the workflow
+ * Replies stay ephemeral unless the workflow sets `ephemeral: false`
+ * @param {Object} interaction - Discord interaction object
+ * @param {Object} reply - Normalized reply
+ * @returns {Promise<void>} Promise that resolves when the reply is rendered
+ */
+const renderInteractionReply = async (interaction, reply) => {
+    const payload = buildReplyPayload(reply);
+    const acknowledged = interaction.deferred || interaction.replied;
+
+    if (reply.threadId) {
+        const thread = await fetchTargetThread(interaction.client, reply.threadId);
+        await thread.send(payload);
+
+        const notice = { content: `📨 Response posted in <#${thread.id}>` };
+        await (acknowledged ? interaction.editReply(notice) : interaction.reply({ ...notice, ephemeral: true }));
+        return;
+    }
+
+    if (!acknowledged) {
+        await interaction.reply({ ...payload, ephemeral: reply.ephemeral !== false });
+        return;
+    }
+
+    if (reply.ephemeral === false) {
+        // A deferred ephemeral reply cannot be made public, so post a public follow-up instead
+        await interaction.followUp({ ...payload, ephemeral: false });
+        await interaction.editReply({ content: '📨 Response posted in this channel' });
+        return;
+    }
+
+    await interaction.editReply(payload);
+};
+
+/**
+ * Render a reply to a button, select menu or modal whose update was deferred
+ * The source message is edited when the workflow sets `update_message`, otherwise a follow-up is sent
+ * @param {Object} interaction - Discord component or modal submit interaction
+ * @param {Object} reply - Normalized reply
+ * @returns {Promise<void>} Promise that resolves when the reply is rendered
+ */
+const renderComponentReply = async (interaction, reply) => {
+    const payload = buildReplyPayload(reply);
+
+    if (reply.updateMessage) {
+        await interaction.editReply(payload);
+        return;
+    }
+
+    if (reply.threadId) {
+        const thread = await fetchTargetThread(interaction.client, reply.threadId);
+        await thread.send(payload);
+        return;
+    }
+
+    await interaction.followUp({ ...payload, ephemeral: reply.ephemeral !== false });
+};
+
+/**
+ * Render a reply into the channel (or thread) an event came from
+ * @param {Object} channel - Source Discord channel
+ * @param {Object} reply - Normalized reply
+ * @param {Object} [sourceMessage] - Message to reply to when `reply_to_source` is set
+ * @returns {Promise<Object>} The sent Discord message
+ */
+const renderChannelReply = async (channel, reply, sourceMessage = null) => {
+    const payload = buildReplyPayload(reply);
+    const target = reply.threadId ? await fetchTargetThread(channel.client, reply.threadId) : channel;
+
+    if (reply.replyToSource && sourceMessage && sourceMessage.channelId === target.id) {
+        return sourceMessage.reply(payload);
+    }
+
+    return target.send(payload);
+};
+
+/**
+ * Render the reply carried by an N8N router response, if the workflow returned one
+ * @param {Object} response - Response returned by sendToN8n
+ * @param {Object} context - Where the triggering event came from
+ * @param {Object} [context.interaction] - Source interaction
+ * @param {boolean} [context.component] - Whether the interaction deferred an update of its message
+ * @param {Object} [context.channel] - Source channel
+ * @param {Object} [context.message] - Source message
+ * @returns {Promise<boolean>} True when a reply was rendered
+ */
+const deliverReply = async (response, { interaction, component = false, channel, message } = {}) => {
+    const reply = response?.data?.reply;
+    if (!reply) return false;
+
+    if (interaction && component) {
+        await renderComponentReply(interaction, reply);
+    } else if (interaction) {
+        await renderInteractionReply(interaction, reply);
+    } else if (channel) {
+        await renderChannelReply(channel, reply, message);
+    } else {
+        return false;
+    }
+
+    return true;
+};
+
+module.exports = {
+    buildReplyPayload,
+    renderInteractionReply,
+    renderComponentReply,
+    renderChannelReply,
+    deliverReply
+};
@@ -0,0 +1,72 @@
+#!/usr/bin/env node
+
+/**
+ * Payload Schema Export
+ * Writes the JSON Schema of every N8N payload type so workflow builders can validate inputs
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { SCHEMA_VERSION, getSchema, getSchemaTypes } = require('../lib/payload-schema');
+
+const DEFAULT_OUTPUT_DIR = path.join('build', 'schemas');
+
+/**
+ * Parse command line flags
+ * @param {string[]} args - Command line arguments
+ * @returns {Object} Output directory and selected types
+ */
+function parseArgs(args) {
+  const options = { outDir: DEFAULT_OUTPUT_DIR, types: [] };
+
+  for (let i = 0; i < args.length; i++) {
+    if (args[i] === '--out') {
+      options.outDir = args[++i];
+    } else if (args[i] === '--type') {
+      options.types.push(...(args[++i] || '').split(',').filter(Boolean));
+    }
+  }
+
+  return options;
+}
+
+/**
+ * Export schemas as `<type>.schema.json` plus an index of versions and files
+ */
+function main() {
+  const { outDir, types } = parseArgs(process.argv.slice(2));
+  if (!outDir) {
+    console.error('Usage: node scripts/export-payload-schemas.js [--out <dir>] [--type <type>[,<type>]]');
+    process.exitCode = 1;
+    return;
+  }
+
+  const selected = types.length > 0 ? types : getSchemaTypes();
+  const unknown = selected.filter(type => !getSchema(type));
+  if (unknown.length > 0) {
+    console.error(`Unknown payload types: ${unknown.join(', ')}`);
+    process.exitCode = 1;
+    return;
+  }
+
+  fs.mkdirSync(outDir, { recursive: true });
+
+  const files = {};
+  for (const type of selected) {
+    files[type] = `${type}.schema.json`;
+    fs.writeFileSync(path.join(outDir, files[type]), `${JSON.stringify(getSchema(type), null, 2)}\n`);
+  }
+
+  const index = { schema_version: SCHEMA_VERSION, generated_at: new Date().toISOString(), schemas: files };
+  fs.writeFileSync(path.join(outDir, 'index.json'), `${JSON.stringify(index, null, 2)}\n`);
+
+  console.log(`Exported ${selected.length} payload schemas (v${SCHEMA_VERSION}) to ${outDir}`);
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = {
+  parseArgs
+};
@@ -1,16 +1,24 @@
 const { EventEmitter } = require('events');
+const configManager = require('../config');
+const { PriorityRequestQueue } = require('./priorityQueue');
+
+/**
+ * Concurrent Request Manager Class
+ * Runs up to `global.queue.concurrency` requests, queueing `global.queue.maxSize` more by priority
+ */
 class ConcurrentRequestManager extends EventEmitter {
   constructor(config = {}) {
     super();
+    const queueConfig = configManager.getGlobalConfig().queue;
     this.config = {
-      maxConcurrentRequests: config.maxConcurrentRequests || 10,
-      queueSize: config.queueSize || 50,
+      ...config,
+      maxConcurrentRequests: config.maxConcurrentRequests || queueConfig.concurrency,
+      queueSize: config.queueSize || queueConfig.maxSize,
       queueTimeout: config.queueTimeout || 30000,
-      enableQueuing: config.enableQueuing !== false,
-      ...config
+      enableQueuing: config.enableQueuing !== false
     };
     this.activeRequests = new Map();
-    this.requestQueue = [];
+    this.requestQueue = new PriorityRequestQueue({ agingIntervalMs: config.agingIntervalMs || queueConfig.agingIntervalMs });
     this.stats = {
       totalRequests: 0,
       activeCount: 0,
@@ -20,6 +28,14 @@ class ConcurrentRequestManager extends EventEmitter {
       avgProcessingTime: 0
     };
   }
+  /**
+   * Execute a request now or queue it by priority
+   * @param {string} requestId - Request identifier
+   * @param {Function} requestFunction - Function to execute
+   * @param {Object} options - Request options
+   * @param {number} [options.priority] - Request priority, higher runs first
+   * @returns {Promise<*>} Request result
+   */
   async executeRequest(requestId, requestFunction, options = {}) {
     this.stats.totalRequests++;
     if (this.canExecuteImmediately()) {
@@ -33,7 +49,8 @@ class ConcurrentRequestManager extends EventEmitter {
 
     // Reject if no capacity
     this.stats.rejectedCount++;
-    this.emit('request:rejected', { requestId, reason: 'capacity_exceeded' });
+    this.requestQueue.recordRejected(options.priority);
+    this.emit('request:rejected', { requestId, priority: options.priority, reason: 'capacity_exceeded' });
     throw new Error('Maximum concurrent requests exceeded and queue is full');
   }
 
@@ -41,14 +58,11 @@ class ConcurrentRequestManager extends EventEmitter {
     return this.activeRequests.size < this.config.maxConcurrentRequests;
   }
   canQueue() {
-    return this.requestQueue.length < this.config.queueSize;
+    return this.requestQueue.size < this.config.queueSize;
   }
   async executeImmediately(requestId, requestFunction, options) {
     const startTime = Date.now();
-    this.activeRequests.set(requestId, {
-      startTime,
-      options
-    });
+    this.activeRequests.set(requestId, { startTime, options });
 
     this.stats.activeCount = this.activeRequests.size;
     this.emit('request:started', { requestId, queueTime: 0 });
@@ -92,6 +106,7 @@ class ConcurrentRequestManager extends EventEmitter {
         requestId,
         requestFunction,
         options,
+        priority: options.priority,
         queueStartTime,
         resolve,
         reject,
@@ -109,10 +124,10 @@ class ConcurrentRequestManager extends EventEmitter {
       }
 
       // Add to queue
-      this.requestQueue.push(queueEntry);
-      this.stats.queuedCount = this.requestQueue.length;
+      const queueDepth = this.requestQueue.enqueue(queueEntry);
+      this.stats.queuedCount = queueDepth;
 
-      this.emit('request:queued', { requestId, queuePosition: this.requestQueue.length });
+      this.emit('request:queued', { requestId, priority: queueEntry.priority, queueDepth });
     });
   }
 
@@ -120,12 +135,12 @@ class ConcurrentRequestManager extends EventEmitter {
    * Process the next request in queue
    */
   async processQueue() {
-    if (this.requestQueue.length === 0 || !this.canExecuteImmediately()) {
+    if (this.requestQueue.size === 0 || !this.canExecuteImmediately()) {
       return;
     }
 
-    const queueEntry = this.requestQueue.shift();
-    this.stats.queuedCount = this.requestQueue.length;
+    const queueEntry = this.requestQueue.dequeue();
+    this.stats.queuedCount = this.requestQueue.size;
 
     // Clear timeout
     if (queueEntry.timeout) {
@@ -134,7 +149,7 @@ class ConcurrentRequestManager extends EventEmitter {
 
     try {
       const queueTime = Date.now() - queueEntry.queueStartTime;
-      this.emit('request:dequeued', { requestId: queueEntry.requestId, queueTime });
+      this.emit('request:dequeued', { requestId: queueEntry.requestId, priority: queueEntry.priority, queueTime });
 
       const result = await this.executeImmediately(
         queueEntry.requestId,
@@ -153,13 +168,12 @@ class ConcurrentRequestManager extends EventEmitter {
    * @param {string} requestId - Request identifier to remove
    */
   removeFromQueue(requestId) {
-    const index = this.requestQueue.findIndex(entry => entry.requestId === requestId);
-    if (index !== -1) {
-      const entry = this.requestQueue.splice(index, 1)[0];
+    const entry = this.requestQueue.remove(requestId);
+    if (entry) {
       if (entry.timeout) {
         clearTimeout(entry.timeout);
       }
-      this.stats.queuedCount = this.requestQueue.length;
+      this.stats.queuedCount = this.requestQueue.size;
     }
   }
 
@@ -188,7 +202,8 @@ class ConcurrentRequestManager extends EventEmitter {
       maxConcurrentRequests: this.config.maxConcurrentRequests,
       maxQueueSize: this.config.queueSize,
       utilizationPercent: Math.round((this.stats.activeCount / this.config.maxConcurrentRequests) * 100),
-      queueUtilizationPercent: Math.round((this.stats.queuedCount / this.config.queueSize) * 100)
+      queueUtilizationPercent: Math.round((this.stats.queuedCount / this.config.queueSize) * 100),
+      queueByPriority: this.requestQueue.getStats()
     };
   }
 
@@ -200,8 +215,9 @@ class ConcurrentRequestManager extends EventEmitter {
     return {
       stats: this.getStats(),
       activeRequests: Array.from(this.activeRequests.keys()),
-      queuedRequests: this.requestQueue.map(entry => ({
+      queuedRequests: this.requestQueue.entries.map(entry => ({
         requestId: entry.requestId,
+        priority: entry.priority,
         queueTime: Date.now() - entry.queueStartTime
       })),
       config: this.config
@@ -213,14 +229,13 @@ class ConcurrentRequestManager extends EventEmitter {
    */
   shutdown() {
     // Clear queue timeouts
-    this.requestQueue.forEach(entry => {
+    this.requestQueue.clear().forEach(entry => {
       if (entry.timeout) {
         clearTimeout(entry.timeout);
       }
       entry.reject(new Error('Service shutting down'));
     });
 
-    this.requestQueue = [];
     this.activeRequests.clear();
     this.stats.activeCount = 0;
     this.stats.queuedCount = 0;
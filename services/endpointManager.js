@@ -122,6 +122,7 @@ class EndpointManager extends EventEmitter {
         }
       },
       routing: {
+        route: config.commandType,
         environment: config.environment,
         priority: config.priority || 1,
         lastUpdated: config.lastUpdated,
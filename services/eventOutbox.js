@@ -0,0 +1,249 @@
+/**
+ * Event Outbox Module
+ *
+ * Persists events that failed to reach N8N in an append-only journal and
+ * replays them in order per route while the route's circuit breaker is not open.
+ *
+ * @module EventOutbox
+ */
+
+const path = require('path');
+const { EventEmitter } = require('events');
+const OutboxJournal = require('./outboxJournal');
+const { isRetryableError } = require('../lib/errors');
+
+/**
+ * Event Outbox Class
+ * Journal lines are `enqueue`, `ack` or `evict` records; pending entries are rebuilt on load
+ */
+class EventOutbox extends EventEmitter {
+  constructor(config = {}) {
+    super();
+
+    this.config = {
+      dataDir: config.dataDir || path.join(process.cwd(), 'data'),
+      fileName: config.fileName || 'outbox.journal',
+      maxAgeMs: config.maxAgeMs || 86400000, // 24 hours
+      maxSizeBytes: config.maxSizeBytes || 10 * 1024 * 1024, // 10MB
+      compactThreshold: config.compactThreshold || 500,
+      ...config
+    };
+
+    this.journal = new OutboxJournal(path.join(this.config.dataDir, this.config.fileName));
+    this.entries = new Map();
+    this.totalBytes = 0;
+    this.removedSinceCompaction = 0;
+    this.replaying = false;
+    this.stats = {
+      captured: 0,
+      replayed: 0,
+      evictedByAge: 0,
+      evictedBySize: 0,
+      dropped: 0,
+      replayFailures: 0,
+      lastReplayAt: null
+    };
+  }
+
+  /**
+   * Rebuild pending entries from the journal and compact it
+   * @returns {Promise<number>} Number of pending entries
+   */
+  async load() {
+    const { records, corruptLines } = await this.journal.read();
+
+    records.forEach(({ record: { op, ...entry }, size }) => {
+      if (op === 'enqueue') {
+        this.addEntry(entry, size);
+      } else {
+        this.removeEntry(entry.id);
+      }
+    });
+
+    this.evict();
+    await this.compact();
+
+    this.emit('outbox:loaded', { pending: this.entries.size, corruptLines });
+    return this.entries.size;
+  }
+
+  /**
+   * Capture a payload that could not be delivered
+   * @param {string} eventType - Event type the payload was routed as
+   * @param {Object} payload - Payload that failed to send
+   * @returns {Promise<Object>} The stored outbox entry
+   */
+  async capture(eventType, payload) {
+    const entry = {
+      id: `outbox_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+      eventType,
+      correlationId: payload.correlation_id || null,
+      enqueuedAt: Date.now(),
+      payload
+    };
+
+    const record = { op: 'enqueue', ...entry };
+    this.addEntry(entry, Buffer.byteLength(JSON.stringify(record)));
+    await this.journal.append(record);
+
+    this.stats.captured++;
+    this.emit('outbox:captured', { id: entry.id, eventType, correlationId: entry.correlationId });
+
+    this.evict();
+    return entry;
+  }
+
+  /**
+   * Replay pending entries in order per route, stopping a route at its first delivery failure
+   * @param {Function} dispatch - Sends an entry to N8N and resolves with the router response
+   * @param {Object} [options] - Replay options
+   * @param {Function} [options.routeOf] - Resolves an entry to the route it is delivered to
+   * @param {Function} [options.isRouteOpen] - True when a route's circuit is open, so it is skipped
+   * @returns {Promise<number>} Number of entries delivered
+   */
+  async replay(dispatch, { routeOf = entry => entry.eventType, isRouteOpen = () => false } = {}) {
+    if (this.replaying || this.entries.size === 0) return 0;
+
+    this.replaying = true;
+    this.stats.lastReplayAt = new Date().toISOString();
+    const blocked = new Set();
+    let delivered = 0;
+
+    try {
+      this.evict();
+      for (const entry of Array.from(this.entries.values())) {
+        // Later entries of a failed or open route wait, so one route down does not hold back the others
+        const route = routeOf(entry);
+        if (blocked.has(route) || isRouteOpen(route)) {
+          blocked.add(route);
+          continue;
+        }
+
+        let response = null;
+        try {
+          response = await dispatch(entry);
+        } catch (error) {
+          if (!isRetryableError(error)) {
+            // Entries that can never be routed would block their route forever
+            this.stats.replayFailures++;
+            this.stats.dropped++;
+            this.emit('outbox:dropped', { id: entry.id, eventType: entry.eventType, error: error.message });
+            this.discard(entry.id, 'evict');
+            continue;
+          }
+        }
+
+        if (!response?.success) {
+          this.stats.replayFailures++;
+          blocked.add(route);
+          continue;
+        }
+
+        this.discard(entry.id, 'ack');
+        this.stats.replayed++;
+        delivered++;
+      }
+
+      if (this.removedSinceCompaction >= this.config.compactThreshold) {
+        await this.compact();
+      }
+    } finally {
+      this.replaying = false;
+    }
+
+    this.emit('outbox:replayed', { delivered, pending: this.entries.size });
+    return delivered;
+  }
+
+  /**
+   * Drop entries older than maxAgeMs, then the oldest entries beyond maxSizeBytes
+   */
+  evict() {
+    const cutoff = Date.now() - this.config.maxAgeMs;
+
+    for (const entry of Array.from(this.entries.values())) {
+      if (entry.enqueuedAt < cutoff) {
+        this.discard(entry.id, 'evict');
+        this.stats.evictedByAge++;
+      }
+    }
+
+    while (this.totalBytes > this.config.maxSizeBytes && this.entries.size > 0) {
+      this.discard(this.entries.keys().next().value, 'evict');
+      this.stats.evictedBySize++;
+    }
+  }
+
+  /**
+   * Track a pending entry in memory
+   * @param {Object} entry - Outbox entry
+   * @param {number} size - Serialized journal line size in bytes
+   */
+  addEntry(entry, size) {
+    this.entries.set(entry.id, { ...entry, size });
+    this.totalBytes += size;
+  }
+
+  /**
+   * Forget a pending entry in memory
+   * @param {string} id - Outbox entry identifier
+   * @returns {boolean} True if the entry was pending
+   */
+  removeEntry(id) {
+    const entry = this.entries.get(id);
+    if (!entry) return false;
+
+    this.entries.delete(id);
+    this.totalBytes -= entry.size;
+    return true;
+  }
+
+  /**
+   * Remove a pending entry and journal the removal
+   * @param {string} id - Outbox entry identifier
+   * @param {string} op - Journal operation ('ack' or 'evict')
+   */
+  discard(id, op) {
+    if (this.removeEntry(id)) {
+      this.removedSinceCompaction++;
+      this.journal.append({ op, id }).catch(error => this.emit('outbox:error', { error: error.message }));
+    }
+  }
+
+  /**
+   * Rewrite the journal so it only holds pending entries
+   * @returns {Promise<void>}
+   */
+  async compact() {
+    const records = Array.from(this.entries.values()).map(({ size, ...entry }) => ({ op: 'enqueue', ...entry }));
+    await this.journal.rewrite(records);
+    this.removedSinceCompaction = 0;
+  }
+
+  /**
+   * Get outbox statistics
+   * @returns {Object} Outbox statistics
+   */
+  getStats() {
+    const oldest = this.entries.values().next().value;
+
+    return {
+      ...this.stats,
+      pending: this.entries.size,
+      sizeBytes: this.totalBytes,
+      oldestEnqueuedAt: oldest ? new Date(oldest.enqueuedAt).toISOString() : null,
+      journalPath: this.journal.journalPath,
+      replaying: this.replaying
+    };
+  }
+
+  /**
+   * Flush pending journal writes
+   * @returns {Promise<void>}
+   */
+  async shutdown() {
+    await this.journal.flush();
+  }
+}
+
+module.exports = EventOutbox;
@@ -77,6 +77,8 @@ class FallbackResponseManager {
       fallback: true,
       metadata: {
         retryAfter: options.retryAfter || '30s',
+        resetTime: options.resetTime || null,
+        scope: options.scope || null,
         fallbackType: 'rate_limit'
       }
     };
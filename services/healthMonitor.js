@@ -109,7 +109,7 @@ class HealthMonitor extends EventEmitter {
     try {
       const stats = router.getStats();
       const activeRequests = stats.activeRequests || 0;
-      const maxConcurrent = router.config.maxConcurrentRequests || 10;
+      const maxConcurrent = router.requestQueue?.config.maxConcurrentRequests || 10;
 
       return {
         healthy: true,
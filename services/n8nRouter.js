@@ -8,6 +8,10 @@ const RequestHandler = require('./requestHandler');
 const CircuitBreakerManager = require('./circuitBreakerManager');
 const EndpointManager = require('./endpointManager');
 const FallbackResponseManager = require('./fallbackResponseManager');
+const RateLimiter = require('./rateLimiter');
+const ConcurrentRequestManager = require('./concurrentRequestManager');
+const { resolvePriority } = require('./priorityQueue');
+const { forwardComponentEvents } = require('./serviceEvents');
 
 /**
  * N8N Router Service Class
@@ -16,13 +20,7 @@ class N8NRouter extends EventEmitter {
   constructor(options = {}) {
     super();
 
-    // Configuration defaults
-    this.config = {
-      maxConcurrentRequests: options.maxConcurrentRequests || 10,
-      ...options
-    };
-
-    // Initialize state
+    this.config = { ...options };
     this.activeRequests = new Set();
 
     // Initialize component services
@@ -30,45 +28,33 @@ class N8NRouter extends EventEmitter {
     this.circuitBreakerManager = new CircuitBreakerManager(options);
     this.endpointManager = new EndpointManager();
     this.fallbackManager = new FallbackResponseManager(options);
+    this.rateLimiter = new RateLimiter(options.rateLimiting);
+    this.requestQueue = options.requestQueue || new ConcurrentRequestManager(options.queue);
 
     // Set up event forwarding
-    this.setupEventForwarding();
+    forwardComponentEvents(this);
 
     // Initialize circuit breakers for configured endpoints
     this.initializeCircuitBreakers();
 
     this.emit('service:initialized', { timestamp: new Date().toISOString() });
   }
-  setupEventForwarding() {
-    // Forward request handler events
-    this.requestHandler.on('request:start', (data) => this.emit('request:start', data));
-    this.requestHandler.on('request:success', (data) => this.emit('request:success', data));
-    this.requestHandler.on('request:failure', (data) => this.emit('request:failure', data));
-
-    // Forward circuit breaker events
-    this.circuitBreakerManager.on('circuit:open', (data) => this.emit('circuit:open', data));
-    this.circuitBreakerManager.on('circuit:close', (data) => this.emit('circuit:close', data));
-    this.circuitBreakerManager.on('circuit:halfOpen', (data) => this.emit('circuit:halfOpen', data));
-
-    // Forward endpoint manager events
-    this.endpointManager.on('endpoints:initialized', (data) => this.emit('endpoints:initialized', data));
-    this.endpointManager.on('endpoint:not_found', (data) => this.emit('endpoint:not_found', data));
-  }
+
   initializeCircuitBreakers() {
-    const availableCommands = this.endpointManager.getAvailableCommands();
-    availableCommands.forEach(commandType => {
-      this.circuitBreakerManager.createCircuitBreaker(
-        commandType,
-        this.requestHandler.executeRequest.bind(this.requestHandler)
-      );
+    const execute = this.requestHandler.executeRequest.bind(this.requestHandler);
+    this.endpointManager.getAvailableCommands().forEach(commandType => {
+      this.circuitBreakerManager.createCircuitBreaker(commandType, execute);
     });
   }
 
   /**
    * Route a command to the appropriate N8N endpoint
+   * Requests run through the priority queue once resolved and rate limited
    * @param {string} commandType - The type of command to route
    * @param {Object} payload - The payload to send
    * @param {Object} options - Additional routing options
+   * @param {Object} [options.rateLimit] - `{ userId, guildId }` to enforce rate limits; omitted for replays
+   * @param {number|string} [options.priority] - Priority or 'low' | 'medium' | 'high' hint for the endpoint priority
    * @returns {Promise<Object>} The response from the N8N endpoint
    */
   async routeCommand(commandType, payload, options = {}) {
@@ -76,14 +62,6 @@ class N8NRouter extends EventEmitter {
     const startTime = Date.now();
 
     try {
-      // Check concurrent request limit
-      if (this.activeRequests.size >= this.config.maxConcurrentRequests) {
-        throw new Error('Maximum concurrent requests exceeded');
-      }
-
-      // Add to active requests
-      this.activeRequests.add(requestId);
-
       // Get routing information using enhanced endpoint manager
       const routingInfo = this.endpointManager.routeCommand(commandType, options);
       if (!routingInfo) {
@@ -96,11 +74,52 @@ class N8NRouter extends EventEmitter {
         throw new Error(`Command '${commandType}' is ${supportStatus.reason}`);
       }
 
-      // Get or create circuit breaker for endpoint
-      let circuitBreaker = this.circuitBreakerManager.getCircuitBreaker(commandType);
+      // Enforce sliding-window rate limits before spending a request on the route
+      const routeName = routingInfo.routing.route;
+      if (options.rateLimit) {
+        const limit = this.rateLimiter.consume({ ...options.rateLimit, route: routeName });
+        if (!limit.allowed) {
+          this.emit('rate:limited', { requestId, commandType, route: routeName, scope: limit.scope, resetTime: limit.resetTime });
+          return this.fallbackManager.createRateLimitFallback(commandType, requestId, startTime, {
+            retryAfter: `${Math.ceil(limit.retryAfterMs / 1000)}s`,
+            resetTime: limit.resetTime,
+            scope: limit.scope
+          });
+        }
+      }
+
+      const priority = resolvePriority(routingInfo.routing.priority, options.priority);
+      return await this.requestQueue.executeRequest(
+        requestId,
+        () => this.dispatch({ commandType, routingInfo, payload, requestId, startTime }),
+        { priority, commandType }
+      );
+    } catch (error) {
+      this.emit('command:error', {
+        requestId,
+        commandType,
+        error: error.message,
+        responseTime: Date.now() - startTime
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Send a routed request through the route's circuit breaker
+   * @param {Object} params - Dispatch parameters
+   * @returns {Promise<Object>} Transformed response, or a fallback while the circuit is open
+   */
+  async dispatch({ commandType, routingInfo, payload, requestId, startTime }) {
+    const routeName = routingInfo.routing.route;
+    this.activeRequests.add(requestId);
+
+    try {
+      // Get or create circuit breaker for the resolved route
+      let circuitBreaker = this.circuitBreakerManager.getCircuitBreaker(routeName);
       if (!circuitBreaker) {
         circuitBreaker = this.circuitBreakerManager.createCircuitBreaker(
-          commandType,
+          routeName,
           this.requestHandler.executeRequest.bind(this.requestHandler)
         );
       }
@@ -112,11 +131,7 @@ class N8NRouter extends EventEmitter {
         data: payload,
         headers: routingInfo.endpoint.headers,
         timeout: routingInfo.endpoint.timeout,
-        metadata: {
-          ...routingInfo.metadata,
-          requestId,
-          startTime
-        }
+        metadata: { ...routingInfo.metadata, requestId, startTime }
       };
 
       this.emit('command:routing', {
@@ -131,24 +146,16 @@ class N8NRouter extends EventEmitter {
       try {
         response = await circuitBreaker.fire(requestConfig);
       } catch (error) {
-        // Check if circuit breaker is open
+        // Return fallback response instead of throwing while the circuit is open
         if (error.name === 'OpenCircuitError' || circuitBreaker.opened) {
-          this.emit('circuit:fallback', {
-            requestId,
-            commandType,
-            circuitState: circuitBreaker.state
-          });
-
-          // Return fallback response instead of throwing error
+          this.emit('circuit:fallback', { requestId, commandType, circuitState: circuitBreaker.state });
           return this.fallbackManager.createCircuitBreakerFallback(commandType, requestId, startTime);
         }
-
-        // Re-throw other errors
         throw error;
       }
 
       // Transform response with enhanced metadata and routing information
-      const transformedResponse = this.requestHandler.transformResponse(response, commandType, {
+      const transformedResponse = this.requestHandler.transformResponse(response, routeName, {
         requestId,
         startTime,
         routing: routingInfo.routing
@@ -157,6 +164,7 @@ class N8NRouter extends EventEmitter {
       this.emit('command:routed', {
         requestId,
         commandType,
+        route: routeName,
         success: true,
         responseTime: Date.now() - startTime,
         priority: routingInfo.routing.priority,
@@ -164,22 +172,11 @@ class N8NRouter extends EventEmitter {
       });
 
       return transformedResponse;
-
-    } catch (error) {
-      this.emit('command:error', {
-        requestId,
-        commandType,
-        error: error.message,
-        responseTime: Date.now() - startTime
-      });
-      throw error;
     } finally {
       this.activeRequests.delete(requestId);
     }
   }
 
-  /**
-   * Create fallback response when circuit breaker is open
   /**
    * Health check for a specific endpoint
    * @param {string} endpointKey - The endpoint to check
@@ -219,6 +216,8 @@ class N8NRouter extends EventEmitter {
       ...this.requestHandler.getStats(),
       ...this.circuitBreakerManager.getStats(),
       ...this.endpointManager.getStats(),
+      rateLimiting: this.rateLimiter.getStats(),
+      queue: this.requestQueue.getStats(),
       activeRequests: this.activeRequests.size
     };
   }
@@ -239,6 +238,7 @@ class N8NRouter extends EventEmitter {
 
     // Shutdown component services
     this.circuitBreakerManager.shutdown();
+    this.rateLimiter.shutdown();
 
     this.emit('service:shutdown:complete', {
       remainingRequests: this.activeRequests.size
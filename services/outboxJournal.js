@@ -0,0 +1,93 @@
+/**
+ * Outbox Journal Module
+ *
+ * Append-only JSON-lines journal backing the event outbox.
+ *
+ * @module OutboxJournal
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Outbox Journal Class
+ * Serializes all writes so records land on disk in the order they were issued
+ */
+class OutboxJournal {
+  constructor(journalPath) {
+    this.journalPath = journalPath;
+    this.writeChain = Promise.resolve();
+  }
+
+  /**
+   * Read every record from the journal
+   * @returns {Promise<Object>} Parsed records and the number of unreadable lines
+   */
+  async read() {
+    await fs.promises.mkdir(path.dirname(this.journalPath), { recursive: true });
+
+    let contents = '';
+    try {
+      contents = await fs.promises.readFile(this.journalPath, 'utf8');
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+
+    const records = [];
+    let corruptLines = 0;
+
+    contents.split('\n').filter(Boolean).forEach(line => {
+      try {
+        records.push({ record: JSON.parse(line), size: Buffer.byteLength(line) });
+      } catch (error) {
+        corruptLines++;
+      }
+    });
+
+    return { records, corruptLines };
+  }
+
+  /**
+   * Append a record after any pending writes
+   * @param {Object} record - Journal record
+   * @returns {Promise<void>}
+   */
+  append(record) {
+    return this.enqueueWrite(() => fs.promises.appendFile(this.journalPath, `${JSON.stringify(record)}\n`));
+  }
+
+  /**
+   * Atomically replace the journal contents
+   * @param {Array<Object>} records - Records the journal should hold
+   * @returns {Promise<void>}
+   */
+  rewrite(records) {
+    return this.enqueueWrite(async () => {
+      const tempPath = `${this.journalPath}.tmp`;
+      const contents = records.map(record => `${JSON.stringify(record)}\n`).join('');
+
+      await fs.promises.writeFile(tempPath, contents);
+      await fs.promises.rename(tempPath, this.journalPath);
+    });
+  }
+
+  /**
+   * Chain a write so a failed write does not block later ones
+   * @param {Function} write - Write operation
+   * @returns {Promise<void>}
+   */
+  enqueueWrite(write) {
+    this.writeChain = this.writeChain.catch(() => {}).then(write);
+    return this.writeChain;
+  }
+
+  /**
+   * Wait for pending writes to settle
+   * @returns {Promise<void>}
+   */
+  async flush() {
+    await this.writeChain.catch(() => {});
+  }
+}
+
+module.exports = OutboxJournal;
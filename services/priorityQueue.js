@@ -0,0 +1,182 @@
+/**
+ * Priority Request Queue
+ *
+ * Orders queued requests by priority (higher first, FIFO within a priority).
+ * A waiting entry gains `agingStep` priority every `agingIntervalMs` so low
+ * priority work is not starved by a steady stream of high priority requests.
+ *
+ * @module PriorityQueue
+ */
+
+const MIN_PRIORITY = 1;
+const MAX_PRIORITY = 10;
+
+// Caller hints, e.g. from commands/scrape/processing.js#determinePriority
+const PRIORITY_HINTS = { low: -1, medium: 0, high: 1 };
+
+/**
+ * Combine an endpoint priority with a caller hint
+ * @param {number} basePriority - Endpoint priority from configuration
+ * @param {number|string} [hint] - Absolute priority or 'low' | 'medium' | 'high'
+ * @returns {number} Priority clamped to the configured range
+ */
+function resolvePriority(basePriority = MIN_PRIORITY, hint) {
+  const priority = typeof hint === 'number'
+    ? hint
+    : basePriority + (PRIORITY_HINTS[hint] || 0);
+  return Math.min(MAX_PRIORITY, Math.max(MIN_PRIORITY, Math.round(priority)));
+}
+
+/**
+ * Priority Request Queue Class
+ */
+class PriorityRequestQueue {
+  constructor(config = {}) {
+    this.config = {
+      agingIntervalMs: config.agingIntervalMs || 5000,
+      agingStep: config.agingStep || 1
+    };
+
+    this.entries = [];
+    this.sequence = 0;
+    this.metrics = new Map();
+  }
+
+  get size() {
+    return this.entries.length;
+  }
+
+  /**
+   * Get (creating if needed) the metrics bucket for a priority
+   * @param {number} priority - Request priority
+   * @returns {Object} Metrics bucket
+   */
+  metricsFor(priority) {
+    if (!this.metrics.has(priority)) {
+      this.metrics.set(priority, {
+        enqueued: 0, dequeued: 0, timedOut: 0, rejected: 0, promoted: 0, totalWaitMs: 0
+      });
+    }
+    return this.metrics.get(priority);
+  }
+
+  /**
+   * Calculate an entry's priority including aging
+   * @param {Object} entry - Queue entry
+   * @param {number} now - Current time in milliseconds
+   * @returns {number} Effective priority
+   */
+  effectivePriority(entry, now) {
+    const waited = Math.floor((now - entry.enqueuedAt) / this.config.agingIntervalMs);
+    return entry.priority + waited * this.config.agingStep;
+  }
+
+  /**
+   * Add an entry to the queue
+   * @param {Object} entry - Queue entry with requestId and priority
+   * @returns {number} Queue depth after insertion
+   */
+  enqueue(entry) {
+    entry.priority = resolvePriority(entry.priority);
+    entry.enqueuedAt = Date.now();
+    entry.sequence = this.sequence++;
+
+    this.entries.push(entry);
+    this.metricsFor(entry.priority).enqueued++;
+    return this.entries.length;
+  }
+
+  /**
+   * Remove and return the entry with the highest effective priority
+   * @returns {Object|null} Queue entry, or null when empty
+   */
+  dequeue() {
+    if (this.entries.length === 0) {
+      return null;
+    }
+
+    const now = Date.now();
+    let bestIndex = 0;
+    let bestPriority = this.effectivePriority(this.entries[0], now);
+
+    // Entries are in arrival order, so strict comparison keeps FIFO among equals
+    for (let i = 1; i < this.entries.length; i++) {
+      const priority = this.effectivePriority(this.entries[i], now);
+      if (priority > bestPriority) {
+        bestIndex = i;
+        bestPriority = priority;
+      }
+    }
+
+    const [entry] = this.entries.splice(bestIndex, 1);
+    const metrics = this.metricsFor(entry.priority);
+    metrics.dequeued++;
+    metrics.totalWaitMs += now - entry.enqueuedAt;
+    if (bestPriority > entry.priority) {
+      metrics.promoted++;
+    }
+
+    return entry;
+  }
+
+  /**
+   * Remove an entry that timed out while queued
+   * @param {string} requestId - Request identifier
+   * @returns {Object|null} Removed entry
+   */
+  remove(requestId) {
+    const index = this.entries.findIndex(entry => entry.requestId === requestId);
+    if (index === -1) {
+      return null;
+    }
+
+    const [entry] = this.entries.splice(index, 1);
+    this.metricsFor(entry.priority).timedOut++;
+    return entry;
+  }
+
+  /**
+   * Record a request turned away because the queue was full
+   * @param {number} priority - Request priority
+   */
+  recordRejected(priority) {
+    this.metricsFor(resolvePriority(priority)).rejected++;
+  }
+
+  /**
+   * Remove and return every entry
+   * @returns {Object[]} Entries that were queued
+   */
+  clear() {
+    const entries = this.entries;
+    this.entries = [];
+    return entries;
+  }
+
+  /**
+   * Get per-priority queue metrics
+   * @returns {Object} Metrics keyed by priority
+   */
+  getStats() {
+    const depth = {};
+    for (const entry of this.entries) {
+      depth[entry.priority] = (depth[entry.priority] || 0) + 1;
+    }
+
+    const stats = {};
+    for (const [priority, { totalWaitMs, ...metrics }] of [...this.metrics].sort((a, b) => b[0] - a[0])) {
+      stats[priority] = {
+        ...metrics,
+        depth: depth[priority] || 0,
+        avgWaitMs: metrics.dequeued > 0 ? Math.round(totalWaitMs / metrics.dequeued) : 0
+      };
+    }
+    return stats;
+  }
+}
+
+module.exports = {
+  PriorityRequestQueue,
+  resolvePriority,
+  PRIORITY_HINTS
+};
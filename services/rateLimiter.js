@@ -0,0 +1,145 @@
+/**
+ * Sliding Window Rate Limiter
+ *
+ * Enforces `global.rateLimiting` from the configuration: `perUser` requests per
+ * user, guild and route, and `global` requests per route across all users, each
+ * within a sliding `windowMs` window. The global budget is kept per route so a
+ * burst of forwarded events cannot starve slash commands. Limits are read on
+ * every check so hot-reloaded configuration applies immediately.
+ *
+ * @module RateLimiter
+ */
+
+const configManager = require('../config');
+
+/**
+ * Rate Limiter Class
+ */
+class RateLimiter {
+  constructor(config = {}) {
+    // Explicit values override the configuration file
+    this.overrides = Object.fromEntries(Object.entries(config).filter(([, value]) => value !== undefined));
+    this.buckets = new Map();
+    this.stats = { allowed: 0, limited: 0, limitedByScope: { user: 0, global: 0 } };
+
+    // Drop idle buckets so one-off users do not accumulate
+    this.sweepTimer = setInterval(() => this.sweep(), this.getLimits().windowMs);
+    this.sweepTimer.unref?.();
+  }
+
+  /**
+   * Get the effective limits
+   * @returns {Object} perUser, global and windowMs
+   */
+  getLimits() {
+    return { ...configManager.getGlobalConfig().rateLimiting, ...this.overrides };
+  }
+
+  /**
+   * Get hits still inside the window for a bucket
+   * @param {string} key - Bucket key
+   * @param {number} windowStart - Oldest timestamp still counted
+   * @returns {number[]} Timestamps of counted hits, oldest first
+   */
+  getHits(key, windowStart) {
+    const hits = this.buckets.get(key) || [];
+    let expired = 0;
+    while (expired < hits.length && hits[expired] <= windowStart) {
+      expired++;
+    }
+    if (expired > 0) {
+      hits.splice(0, expired);
+    }
+    return hits;
+  }
+
+  /**
+   * Count a request against its buckets if every limit allows it
+   * @param {Object} params - Request identity and cost
+   * @param {string} params.route - Resolved route name
+   * @param {string} [params.userId] - Discord user ID; without one only the route's global limit applies
+   * @param {string} [params.guildId] - Discord guild ID, null for DMs
+   * @param {number} [params.cost=1] - Requests to count at once; none are counted unless all fit
+   * @param {number} [params.now] - Current time in milliseconds
+   * @returns {Object} Decision with allowed, scope, limit, remainingRequests, resetTime and retryAfterMs
+   */
+  consume({ route, userId = null, guildId = null, cost = 1, now = Date.now() }) {
+    const { perUser, global, windowMs } = this.getLimits();
+    const buckets = [{ scope: 'global', key: `global:${route}`, limit: global }];
+    if (userId) {
+      buckets.unshift({ scope: 'user', key: `user:${route}:${guildId || 'dm'}:${userId}`, limit: perUser });
+    }
+
+    const windowStart = now - windowMs;
+    const checked = buckets.map(bucket => ({ ...bucket, hits: this.getHits(bucket.key, windowStart) }));
+
+    const exceeded = checked.find(bucket => bucket.hits.length + cost > bucket.limit);
+    if (exceeded) {
+      // The window frees enough room once the hit that makes the cost fit expires
+      const freeing = exceeded.hits[Math.min(exceeded.hits.length + cost - exceeded.limit, exceeded.hits.length) - 1];
+      const resetTime = (freeing ?? now) + windowMs;
+      this.stats.limited++;
+      this.stats.limitedByScope[exceeded.scope]++;
+
+      return {
+        allowed: false,
+        scope: exceeded.scope,
+        limit: exceeded.limit,
+        remainingRequests: Math.max(0, exceeded.limit - exceeded.hits.length),
+        resetTime,
+        retryAfterMs: Math.max(0, resetTime - now)
+      };
+    }
+
+    for (const bucket of checked) {
+      bucket.hits.push(...Array(cost).fill(now));
+      this.buckets.set(bucket.key, bucket.hits);
+    }
+    this.stats.allowed++;
+
+    // Report against the tightest bucket
+    const tightest = checked.reduce((a, b) => (a.limit - a.hits.length <= b.limit - b.hits.length ? a : b));
+    return {
+      allowed: true,
+      scope: tightest.scope,
+      limit: tightest.limit,
+      remainingRequests: tightest.limit - tightest.hits.length,
+      resetTime: (tightest.hits[0] ?? now) + windowMs,
+      retryAfterMs: 0
+    };
+  }
+
+  /**
+   * Remove buckets with no hits inside the window
+   */
+  sweep() {
+    const windowStart = Date.now() - this.getLimits().windowMs;
+    for (const key of this.buckets.keys()) {
+      if (this.getHits(key, windowStart).length === 0) {
+        this.buckets.delete(key);
+      }
+    }
+  }
+
+  /**
+   * Get rate limiter statistics
+   * @returns {Object} Rate limiter statistics
+   */
+  getStats() {
+    return {
+      ...this.stats,
+      limitedByScope: { ...this.stats.limitedByScope },
+      trackedBuckets: this.buckets.size,
+      limits: this.getLimits()
+    };
+  }
+
+  /**
+   * Stop the sweep timer
+   */
+  shutdown() {
+    clearInterval(this.sweepTimer);
+  }
+}
+
+module.exports = RateLimiter;
@@ -27,6 +27,11 @@ class ResponseNormalizers {
       normalized.timestamp = new Date().toISOString();
     }
 
+    // Opt-in Discord reply contract
+    if (data.reply !== undefined) {
+      normalized.reply = this.normalizeReply(data.reply);
+    }
+
     // Command-specific normalization
     switch (commandType) {
       case 'scrape':
@@ -79,6 +84,43 @@ class ResponseNormalizers {
     };
   }
 
+  /**
+   * Normalize the Discord reply a workflow asks the bot to render
+   * Clamps fields to Discord's message limits; returns null when nothing is renderable
+   * @param {Object|string} reply - Raw reply from the N8N response body
+   * @returns {Object|null} Normalized reply
+   */
+  normalizeReply(reply) {
+    if (typeof reply === 'string') {
+      reply = { content: reply };
+    }
+    if (!reply || typeof reply !== 'object') {
+      return null;
+    }
+
+    const normalized = {
+      content: typeof reply.content === 'string' ? reply.content.substring(0, 2000) : null,
+      embeds: Array.isArray(reply.embeds) ? reply.embeds.slice(0, 10) : [],
+      components: Array.isArray(reply.components) ? reply.components.slice(0, 5) : [],
+      files: Array.isArray(reply.files)
+        ? reply.files.filter(file => file && (file.url || file.content_base64)).slice(0, 10)
+        : [],
+      ephemeral: typeof reply.ephemeral === 'boolean' ? reply.ephemeral : null,
+      threadId: reply.thread_id || reply.threadId || null,
+      replyToSource: reply.reply_to_source === true,
+      updateMessage: reply.update_message === true,
+      allowedMentions: reply.allowed_mentions || null
+    };
+
+    // Message updates may only swap components, e.g. to disable the buttons that were clicked
+    const hasBody = normalized.content || normalized.embeds.length > 0 || normalized.files.length > 0;
+    if (!hasBody && !(normalized.updateMessage && normalized.components.length > 0)) {
+      return null;
+    }
+
+    return normalized;
+  }
+
   /**
    * Parse and normalize response data based on command type
    * @param {*} data - Raw response data
@@ -16,6 +16,7 @@ class RoutingTableBuilder extends EventEmitter {
   constructor() {
     super();
     this.routingTable = new Map();
+    this.eventAliases = new Map();
   }
 
   /**
@@ -25,6 +26,7 @@ class RoutingTableBuilder extends EventEmitter {
    */
   buildRoutingTable(endpointsConfig, environmentsConfig) {
     this.routingTable.clear();
+    this.eventAliases.clear();
 
     const environment = process.env.NODE_ENV || 'development';
     const envOverrides = environmentsConfig[environment]?.overrides?.endpoints || {};
@@ -44,6 +46,7 @@ class RoutingTableBuilder extends EventEmitter {
       };
 
       this.routingTable.set(commandType, finalConfig);
+      this.registerEventAliases(commandType, finalConfig.events);
 
       this.emit('route:registered', {
         commandType,
@@ -61,13 +64,43 @@ class RoutingTableBuilder extends EventEmitter {
     return this.routingTable;
   }
 
+  /**
+   * Map event types onto the route that dispatches them
+   * @param {string} routeName - The route declaring the events
+   * @param {Array<string>} [events] - Event types handled by the route
+   */
+  registerEventAliases(routeName, events = []) {
+    events.forEach(eventType => {
+      const existingRoute = this.eventAliases.get(eventType);
+      if (existingRoute) {
+        this.emit('route:alias:conflict', { eventType, routes: [existingRoute, routeName] });
+        return;
+      }
+
+      this.eventAliases.set(eventType, routeName);
+    });
+  }
+
+  /**
+   * Resolve a command or event type to its route name
+   * @param {string} commandType - The command or event type
+   * @returns {string|null} The route name
+   */
+  resolveRouteName(commandType) {
+    if (this.routingTable.has(commandType)) {
+      return commandType;
+    }
+    return this.eventAliases.get(commandType) || null;
+  }
+
   /**
    * Get route configuration from routing table
-   * @param {string} commandType - The command type
+   * @param {string} commandType - The command or event type
    * @returns {Object|null} The route configuration
    */
   getRoute(commandType) {
-    return this.routingTable.get(commandType) || null;
+    const routeName = this.resolveRouteName(commandType);
+    return routeName ? this.routingTable.get(routeName) : null;
   }
 
   /**
@@ -114,7 +147,7 @@ class RoutingTableBuilder extends EventEmitter {
    * @returns {Object} Support status with details
    */
   isCommandSupported(commandType) {
-    const config = this.routingTable.get(commandType);
+    const config = this.getRoute(commandType);
 
     if (!config) {
       return { supported: false, reason: 'not_configured' };
@@ -149,7 +182,8 @@ class RoutingTableBuilder extends EventEmitter {
       environments: Array.from(environments),
       priorities: Array.from(priorities).sort((a, b) => a - b),
       commands,
-      enabledCommands
+      enabledCommands,
+      eventAliases: Object.fromEntries(this.eventAliases)
     };
   }
 
@@ -158,6 +192,7 @@ class RoutingTableBuilder extends EventEmitter {
    */
   clear() {
     this.routingTable.clear();
+    this.eventAliases.clear();
     this.emit('routing:table:cleared');
   }
 }
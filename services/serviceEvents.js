@@ -0,0 +1,104 @@
+/**
+ * Service Event Wiring
+ *
+ * Connects N8N router events to service logging and dependent services.
+ *
+ * @module ServiceEvents
+ */
+
+/**
+ * Re-emit events from the router's component services on the router
+ * @param {Object} n8nRouter - N8N Router instance
+ */
+function forwardComponentEvents(n8nRouter) {
+  const forward = (source, events) => events.forEach(event => {
+    source.on(event, (data) => n8nRouter.emit(event, data));
+  });
+
+  forward(n8nRouter.requestHandler, ['request:start', 'request:success', 'request:failure']);
+  forward(n8nRouter.circuitBreakerManager, ['circuit:open', 'circuit:close', 'circuit:halfOpen']);
+  forward(n8nRouter.endpointManager, ['endpoints:initialized', 'endpoint:not_found']);
+}
+
+/**
+ * Attach router listeners for logging and outbox replay
+ * @param {Object} manager - Service manager instance
+ * @param {Object} n8nRouter - N8N Router instance
+ * @param {string} correlationId - Correlation ID of the initialization run
+ */
+function attachRouterListeners(manager, n8nRouter, correlationId) {
+  n8nRouter.on('service:initialized', (data) => {
+    manager.logger.info('N8N Router service initialized', { correlationId, data });
+  });
+
+  n8nRouter.on('command:routed', (data) => {
+    manager.logger.info('Command routed successfully', { correlationId, data });
+  });
+
+  n8nRouter.on('circuit:open', (data) => {
+    manager.logger.warn('Circuit breaker opened', { correlationId, data });
+  });
+
+  n8nRouter.on('command:error', (data) => {
+    manager.logger.error('Command routing error', { correlationId, data });
+  });
+
+  n8nRouter.on('rate:limited', (data) => {
+    manager.logger.warn('Request rate limited', { correlationId, data });
+  });
+
+  // A recovering circuit drains its route right away instead of waiting for the replay timer
+  n8nRouter.on('circuit:halfOpen', () => manager.replayOutbox());
+  n8nRouter.on('circuit:close', () => manager.replayOutbox());
+}
+
+/**
+ * Replay outbox entries through the router, skipping routes whose circuit is open
+ * @param {Object} eventOutbox - Event outbox instance
+ * @param {Object} n8nRouter - N8N Router instance
+ * @param {Object} logger - Service logger
+ * @returns {Promise<number>} Number of entries delivered
+ */
+async function replayOutbox(eventOutbox, n8nRouter, logger) {
+  if (!eventOutbox || !n8nRouter) {
+    return 0;
+  }
+
+  const { endpointManager, circuitBreakerManager } = n8nRouter;
+  try {
+    const delivered = await eventOutbox.replay((entry) => n8nRouter.routeCommand(entry.eventType, entry.payload, {
+      headers: { 'X-Correlation-Id': entry.correlationId, 'X-Outbox-Replay': 'true' }
+    }), {
+      routeOf: (entry) => endpointManager.routingBuilder.resolveRouteName(entry.eventType) || entry.eventType,
+      isRouteOpen: (route) => circuitBreakerManager.getCircuitBreaker(route)?.opened === true
+    });
+
+    if (delivered > 0) {
+      logger.info('Replayed outbox events', { delivered, pending: eventOutbox.getStats().pending });
+    }
+    return delivered;
+  } catch (error) {
+    logger.error('Outbox replay failed', { error });
+    return 0;
+  }
+}
+
+/**
+ * Replay the outbox now and then periodically, so routes whose circuit never tripped are retried too
+ * @param {Object} manager - Service manager instance
+ * @param {number} [intervalMs=60000] - Time between replays
+ * @returns {NodeJS.Timeout} Replay timer
+ */
+function scheduleOutboxReplay(manager, intervalMs = 60000) {
+  manager.replayOutbox();
+  const timer = setInterval(() => manager.replayOutbox(), intervalMs);
+  timer.unref();
+  return timer;
+}
+
+module.exports = {
+  forwardComponentEvents,
+  attachRouterListeners,
+  replayOutbox,
+  scheduleOutboxReplay
+};
@@ -0,0 +1,249 @@
+/**
+ * Service Manager Module
+ *
+ * Owns the lifecycle of the routing, health and outbox services.
+ *
+ * @module ServiceManager
+ */
+
+const N8NRouter = require('./n8nRouter');
+const HealthMonitor = require('./healthMonitor');
+const ConcurrentRequestManager = require('./concurrentRequestManager');
+const EventOutbox = require('./eventOutbox');
+const { attachRouterListeners, replayOutbox, scheduleOutboxReplay } = require('./serviceEvents');
+const { logger, correlation } = require('../lib/logging');
+
+class ServiceManager {
+  constructor() {
+    this.services = new Map();
+    this.initialized = false;
+    this.healthMonitor = null;
+    this.concurrentRequestManager = null;
+    this.eventOutbox = null;
+    this.outboxReplayTimer = null;
+    this.logger = logger.child('ServiceManager');
+  }
+
+  async initialize(config = {}) {
+    if (this.initialized) {
+      throw new Error('Services already initialized');
+    }
+
+    const correlationId = correlation.startCorrelation();
+
+    try {
+      this.logger.info('Initializing services', { correlationId, config });
+
+      // The router dispatches through the shared priority queue
+      this.concurrentRequestManager = new ConcurrentRequestManager(config.concurrentRequests || {});
+      this.services.set('concurrentRequestManager', this.concurrentRequestManager);
+
+      const n8nRouter = new N8NRouter({ ...config.n8nRouter, requestQueue: this.concurrentRequestManager });
+      this.services.set('n8nRouter', n8nRouter);
+
+      this.healthMonitor = new HealthMonitor(config.healthMonitor || {});
+      this.services.set('healthMonitor', this.healthMonitor);
+
+      this.eventOutbox = new EventOutbox(config.outbox || {});
+      this.services.set('eventOutbox', this.eventOutbox);
+      const pendingEvents = await this.eventOutbox.load();
+      this.logger.info('Event outbox loaded', { correlationId, pendingEvents });
+
+      attachRouterListeners(this, n8nRouter, correlationId);
+
+      this.initialized = true;
+      await this.startHealthMonitoring();
+      this.outboxReplayTimer = scheduleOutboxReplay(this, config.outbox?.replayIntervalMs);
+      this.logger.info('All services initialized successfully', { correlationId });
+
+      return this;
+    } catch (error) {
+      this.logger.error('Failed to initialize services', { correlationId, error });
+      throw error;
+    } finally {
+      correlation.endCorrelation();
+    }
+  }
+
+  getService(serviceName) {
+    if (!this.initialized) {
+      throw new Error('Services not initialized. Call initialize() first.');
+    }
+
+    const service = this.services.get(serviceName);
+    if (!service) {
+      throw new Error(`Service '${serviceName}' not found`);
+    }
+
+    return service;
+  }
+
+  getN8NRouter() {
+    return this.getService('n8nRouter');
+  }
+
+  /**
+   * Get the rate limiter shared by commands and forwarded events
+   * @returns {RateLimiter|null} Rate limiter instance
+   */
+  getRateLimiter() {
+    return this.getN8NRouter()?.rateLimiter || null;
+  }
+
+  async startHealthMonitoring() {
+    if (!this.healthMonitor) {
+      return;
+    }
+
+    const correlationId = correlation.startCorrelation();
+
+    try {
+      const services = {
+        n8nRouter: this.getN8NRouter(),
+        requestHandler: this.getN8NRouter()?.requestHandler,
+        circuitBreakerManager: this.getN8NRouter()?.circuitBreakerManager
+      };
+
+      this.healthMonitor.startMonitoring(services);
+
+      this.healthMonitor.on('health:unhealthy', (data) => {
+        this.logger.warn('Unhealthy status detected', { correlationId, overall: data.overall });
+      });
+
+      this.healthMonitor.on('monitoring:started', (data) => {
+        this.logger.info('Health monitoring started', { correlationId, interval: data.interval });
+      });
+    } finally {
+      correlation.endCorrelation();
+    }
+  }
+
+  getHealthMonitor() {
+    return this.getService('healthMonitor');
+  }
+
+  getConcurrentRequestManager() {
+    return this.getService('concurrentRequestManager');
+  }
+
+  getEventOutbox() {
+    return this.getService('eventOutbox');
+  }
+
+  async replayOutbox() {
+    return replayOutbox(this.eventOutbox, this.services.get('n8nRouter'), this.logger);
+  }
+
+  async healthCheck() {
+    if (!this.initialized) {
+      throw new Error('Services not initialized');
+    }
+
+    const correlationId = correlation.startCorrelation();
+    try {
+      const healthStatus = {
+        overall: 'healthy',
+        services: {},
+        timestamp: new Date().toISOString()
+      };
+
+      for (const [serviceName, service] of this.services) {
+        if (service && typeof service.healthCheck === 'function') {
+          healthStatus.services[serviceName] = await service.healthCheck();
+        }
+      }
+
+      const hasUnhealthyService = Object.values(healthStatus.services)
+        .some(status => status && status.status === 'unhealthy');
+      if (hasUnhealthyService) {
+        healthStatus.overall = 'unhealthy';
+      }
+
+      this.logger.info('Health check completed', { correlationId, status: healthStatus.overall });
+      return healthStatus;
+    } catch (error) {
+      this.logger.error('Health check failed', { correlationId, error });
+      return {
+        overall: 'unhealthy',
+        error: error.message,
+        timestamp: new Date().toISOString()
+      };
+    } finally {
+      correlation.endCorrelation();
+    }
+  }
+
+  async basicHealthCheck() {
+    return {
+      status: this.initialized ? 'healthy' : 'unhealthy',
+      initialized: this.initialized,
+      services: Array.from(this.services.keys()),
+      timestamp: new Date().toISOString()
+    };
+  }
+
+  async shutdown() {
+    if (!this.initialized) {
+      return;
+    }
+
+    const correlationId = correlation.startCorrelation();
+    this.logger.info('Shutting down services', { correlationId });
+
+    try {
+      if (this.healthMonitor) {
+        this.healthMonitor.stopMonitoring();
+        this.logger.info('Health monitoring stopped', { correlationId });
+      }
+
+      if (this.concurrentRequestManager) {
+        this.concurrentRequestManager.shutdown();
+        this.logger.info('Concurrent request manager shut down', { correlationId });
+      }
+
+      const n8nRouter = this.services.get('n8nRouter');
+      if (n8nRouter) {
+        await n8nRouter.shutdown();
+        this.logger.info('N8N Router shut down', { correlationId });
+      }
+
+      if (this.eventOutbox) {
+        clearInterval(this.outboxReplayTimer);
+        await this.eventOutbox.shutdown();
+        this.logger.info('Event outbox flushed', { correlationId });
+      }
+
+      this.services.clear();
+      this.healthMonitor = null;
+      this.concurrentRequestManager = null;
+      this.eventOutbox = null;
+      this.initialized = false;
+
+      this.logger.info('All services shut down successfully', { correlationId });
+    } catch (error) {
+      this.logger.error('Error during shutdown', { correlationId, error });
+      throw error;
+    } finally {
+      correlation.endCorrelation();
+    }
+  }
+
+  getDetailedHealthStatus() {
+    if (!this.healthMonitor) {
+      return { error: 'Health monitoring not available' };
+    }
+    return {
+      ...this.healthMonitor.getHealthStatus(),
+      outbox: this.eventOutbox ? this.eventOutbox.getStats() : null
+    };
+  }
+
+  getConcurrentRequestStats() {
+    if (!this.concurrentRequestManager) {
+      return { error: 'Concurrent request manager not available' };
+    }
+    return this.concurrentRequestManager.getDetailedStatus();
+  }
+}
+
+module.exports = ServiceManager;